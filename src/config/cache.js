@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+const DAY = 24 * 60 * 60;
+
+const cacheConfig = {
+  driver: process.env.SERPAPI_CACHE_DRIVER || 'mysql', // mysql, file or none
+  directory: process.env.SERPAPI_CACHE_DIR || '.cache/serpapi', // Used by the file driver
+  ttlSeconds: {
+    search: parseInt(process.env.SERPAPI_CACHE_TTL_SEARCH) || DAY, // Author and title searches
+    cited_by: parseInt(process.env.SERPAPI_CACHE_TTL_CITED_BY) || 7 * DAY, // "Cited by" pages
+    versions: parseInt(process.env.SERPAPI_CACHE_TTL_VERSIONS) || 7 * DAY, // Version clusters
+    profiles: parseInt(process.env.SERPAPI_CACHE_TTL_PROFILES) || 7 * DAY, // Author profile searches by name
+    author: parseInt(process.env.SERPAPI_CACHE_TTL_AUTHOR) || DAY // Author profile pages (articles and metrics)
+  }
+};
+
+module.exports = cacheConfig;
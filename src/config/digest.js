@@ -0,0 +1,18 @@
+require('dotenv').config();
+
+const digestConfig = {
+  enabled: process.env.DIGEST_ENABLED !== 'false', // Send digests on DIGEST_CRON from the scheduler
+  cron: process.env.DIGEST_CRON || '0 6 * * *', // When scheduled digests go out (after the 2:00 AM watchlists)
+  maxArticles: parseInt(process.env.DIGEST_MAX_ARTICLES) || 200, // Articles per digest; the rest wait for the next one
+  from: process.env.DIGEST_FROM || 'Google Scholar Fetcher <digest@localhost>', // Sender of digest emails
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS when offered
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null
+  },
+  timeoutMs: parseInt(process.env.DIGEST_TIMEOUT_MS) || 10000 // Per-delivery timeout (SMTP and webhooks)
+};
+
+module.exports = digestConfig;
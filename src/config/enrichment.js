@@ -0,0 +1,16 @@
+require('dotenv').config();
+
+const enrichmentConfig = {
+  enabled: process.env.ENRICHMENT_ENABLED === 'true', // Look new articles up in the metadata providers before saving
+  providers: (process.env.ENRICHMENT_PROVIDERS || 'crossref,openalex,semantic_scholar')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name), // Queried in order until every field is filled
+  minConfidence: parseFloat(process.env.ENRICHMENT_MIN_CONFIDENCE) || 0.9, // Title/year/author match score (0-1) required to use a record
+  mailto: process.env.ENRICHMENT_MAILTO || null, // Contact address for the Crossref and OpenAlex polite pools
+  semanticScholarApiKey: process.env.SEMANTIC_SCHOLAR_API_KEY || null, // Optional, raises Semantic Scholar rate limits
+  stubFile: process.env.ENRICHMENT_STUB_FILE || null, // JSON records answered by the "stub" provider
+  timeoutMs: parseInt(process.env.ENRICHMENT_TIMEOUT_MS) || 10000 // Per-request timeout
+};
+
+module.exports = enrichmentConfig;
@@ -0,0 +1,10 @@
+require('dotenv').config();
+
+const feedConfig = {
+  maxEntries: parseInt(process.env.FEED_MAX_ENTRIES) || 50, // Newest articles listed in a feed
+  maxAge: parseInt(process.env.FEED_MAX_AGE) || 300, // Seconds readers may reuse a feed before revalidating
+  rateLimit: parseInt(process.env.FEED_RATE_LIMIT) || 60, // Feed requests per IP per 15 minutes
+  baseUrl: process.env.FEED_BASE_URL || null // Public URL of the server (defaults to the request host); entry IDs derive from it
+};
+
+module.exports = feedConfig;
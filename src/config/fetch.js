@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+const fetchConfig = {
+  maxAuthors: parseInt(process.env.FETCH_MAX_AUTHORS) || 20, // Upper bound on authors per request
+  defaultPerAuthor: parseInt(process.env.FETCH_DEFAULT_PER_AUTHOR) || 3, // New articles saved per author
+  maxPerAuthor: parseInt(process.env.FETCH_MAX_PER_AUTHOR) || 20, // Upper bound on per_author
+  maxPagesPerAuthor: parseInt(process.env.FETCH_MAX_PAGES_PER_AUTHOR) || 5, // Result pages walked per author
+  maxPagesPerRun: parseInt(process.env.FETCH_MAX_PAGES_PER_RUN) || 50, // Result pages (SerpAPI credits) per run
+  defaultPerQuery: parseInt(process.env.FETCH_DEFAULT_PER_QUERY) || 10, // New articles saved per topic query run
+  maxPerQuery: parseInt(process.env.FETCH_MAX_PER_QUERY) || 50, // Upper bound on per_query
+  maxPagesPerQuery: parseInt(process.env.FETCH_MAX_PAGES_PER_QUERY) || 5, // Result pages walked per topic query
+  citationRefreshLimit: parseInt(process.env.CITATION_REFRESH_LIMIT) || 20, // Articles re-queried per citation refresh
+  citedByMaxDepth: parseInt(process.env.CITED_BY_MAX_DEPTH) || 2, // Levels of citing papers crawled/traversed
+  citedByMaxPages: parseInt(process.env.CITED_BY_MAX_PAGES) || 5, // Cited-by result pages per crawl
+  profilePageSize: 100, // Articles per Scholar author profile page (SerpAPI maximum)
+  profileMaxPages: parseInt(process.env.PROFILE_MAX_PAGES) || 5, // Profile pages read by a full profile refresh
+  graphMaxNodes: 500, // Articles returned by a single graph traversal
+  coauthorGraphMaxDepth: parseInt(process.env.COAUTHOR_GRAPH_MAX_DEPTH) || 3, // Co-author levels followed around an author
+  coauthorGraphMaxNodes: parseInt(process.env.COAUTHOR_GRAPH_MAX_NODES) || 1000, // Authors in a single co-authorship graph
+  requestDelayMs: 2000 // Delay between SerpAPI requests (rate limiting)
+};
+
+module.exports = fetchConfig;
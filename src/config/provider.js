@@ -0,0 +1,8 @@
+require('dotenv').config();
+
+const providerConfig = {
+  driver: process.env.SCHOLAR_PROVIDER || 'serpapi', // serpapi, fixture (offline replay) or record (serpapi + capture fixtures)
+  fixtureDirectory: process.env.SCHOLAR_FIXTURE_DIR || 'fixtures/serpapi' // Recorded responses for the fixture and record providers
+};
+
+module.exports = providerConfig;
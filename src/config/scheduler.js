@@ -0,0 +1,11 @@
+require('dotenv').config();
+
+const schedulerConfig = {
+  enabled: process.env.SCHEDULER_ENABLED !== 'false', // Run watchlists from this server process
+  timezone: process.env.SCHEDULER_TIMEZONE || 'UTC', // Timezone for watchlist cron expressions
+  jobWorkerEnabled: process.env.FETCH_JOB_WORKER_ENABLED !== 'false', // Process queued fetch jobs in this server process
+  jobPollIntervalMs: parseInt(process.env.FETCH_JOB_POLL_INTERVAL_MS) || 5000, // Delay between queue checks when idle
+  jobRateLimit: parseInt(process.env.FETCH_JOB_RATE_LIMIT) || 300 // Job status and cancel requests per IP per 15 minutes
+};
+
+module.exports = schedulerConfig;
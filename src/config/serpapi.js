@@ -1,14 +1,29 @@
 require('dotenv').config();
 
+// 0 disables retries; anything that is not a non-negative integer falls back to 3
+const maxRetries = parseInt(process.env.SERPAPI_MAX_RETRIES);
+
 const serpApiConfig = {
   apiKey: process.env.SERP_API_KEY,
   baseUrl: 'https://serpapi.com/search.json',
   engine: 'google_scholar',
+  dailyCreditLimit: parseInt(process.env.SERPAPI_DAILY_CREDIT_LIMIT) || 0, // Searches per UTC day (0 = no limit)
+  monthlyCreditLimit: parseInt(process.env.SERPAPI_MONTHLY_CREDIT_LIMIT) || 0, // Searches per UTC calendar month (0 = no limit)
+  requestTimeoutMs: parseInt(process.env.SERPAPI_TIMEOUT_MS) || 30000, // Per-request timeout
+  retry: {
+    maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : 3, // Retries of rate-limited, timed-out, 5xx and network failures
+    baseDelayMs: parseInt(process.env.SERPAPI_RETRY_BASE_DELAY_MS) || 1000, // First backoff, doubled per attempt (with jitter)
+    maxDelayMs: parseInt(process.env.SERPAPI_RETRY_MAX_DELAY_MS) || 30000 // Longest wait; a longer Retry-After is not waited for
+  },
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.SERPAPI_CIRCUIT_FAILURE_THRESHOLD) || 5, // Consecutive failed requests before opening
+    cooldownMs: parseInt(process.env.SERPAPI_CIRCUIT_COOLDOWN_MS) || 60000 // Time open before a trial request
+  },
   defaultParams: {
     engine: 'google_scholar',
     api_key: process.env.SERP_API_KEY,
     num: 10, // Results per page
-    no_cache: false // Allow cached results
+    no_cache: false // Allow SerpAPI's own cached results (force_refresh sends no_cache=true)
   }
 };
 
@@ -0,0 +1,760 @@
+const articleModel = require('../models/articleModel');
+const authorModel = require('../models/authorModel');
+const citationSnapshotModel = require('../models/citationSnapshotModel');
+const citationService = require('../services/citationService');
+const citationGraphService = require('../services/citationGraphService');
+const versionService = require('../services/versionService');
+const articleVersionModel = require('../models/articleVersionModel');
+const exportService = require('../services/exportService');
+const parserService = require('../services/parserService');
+const searchService = require('../services/searchService');
+const fetchConfig = require('../config/fetch');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+const SORT_OPTIONS = ['citations', 'year', 'created_at'];
+const ORDER_OPTIONS = ['asc', 'desc'];
+const SEARCH_MODES = ['natural', 'boolean'];
+const SEARCH_SORT_OPTIONS = ['relevance', 'citations', 'year'];
+const EXPORT_FORMATS = Object.keys(exportService.formats);
+const EXPORT_MAX_ARTICLES = 5000;
+
+const TEXT_FILTERS = ['journal', 'publisher', 'author'];
+const SEARCH_PARAMS = ['q', 'mode', 'sort', 'order'];
+
+/**
+ * Find a query parameter given more than once
+ * A repeated parameter (?journal=a&journal=b) arrives as an array
+ * @param {object} query - Express request query
+ * @param {Array<string>} fields - Parameters expected as single strings
+ * @returns {string|undefined} - First repeated parameter
+ */
+const findRepeatedParam = (query, fields) => fields.find(field => query[field] !== undefined && typeof query[field] !== 'string');
+
+/**
+ * Extract listing filters from query parameters
+ * @param {object} query - Express request query
+ * @returns {object} - { filters, error }
+ */
+const parseFilters = (query) => {
+  const repeated = findRepeatedParam(query, TEXT_FILTERS);
+  if (repeated) {
+    return { error: `"${repeated}" must be given at most once` };
+  }
+
+  return {
+    filters: {
+      year_from: parseInt(query.year_from) || null,
+      year_to: parseInt(query.year_to) || null,
+      journal: query.journal ? query.journal.trim() : null,
+      publisher: query.publisher ? query.publisher.trim() : null,
+      min_citations: parseInt(query.min_citations) || null,
+      author: query.author ? query.author.trim() : null,
+      author_id: parseInt(query.author_id) || null
+    }
+  };
+};
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Article ID or null when invalid
+ */
+const parseArticleId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Parse an optional integer option bounded to 1..max
+ * @param {*} value - Raw value (query string or JSON body)
+ * @param {number} defaultValue - Value used when not given
+ * @param {number} max - Upper bound
+ * @returns {number|null} - Parsed value or null when invalid
+ */
+const parseBoundedInt = (value, defaultValue, max) => {
+  if (value === undefined) return defaultValue;
+
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 1 && parsed <= max ? parsed : null;
+};
+
+/**
+ * Attach ordered author names to articles (linked authors, else the raw authors string)
+ * @param {Array<object>} articles - Article rows
+ * @returns {Promise<Array<object>>} - Articles with author_names
+ */
+const withAuthorNames = async (articles) => {
+  const names = await authorModel.findNamesByArticleIds(articles.map(article => article.id));
+
+  return articles.map(article => ({
+    ...article,
+    author_names: names.get(article.id) || parserService.splitAuthors(article.authors)
+  }));
+};
+
+/**
+ * Stored articles whose citation keys may collide with the exported ones
+ * (same year and first title word), with author_names
+ * @param {Array<object>} articles - Exported articles
+ * @returns {Promise<Array<object>>} - Stored articles
+ */
+const findCitationKeySiblings = async (articles) => {
+  const yearTitleKeys = new Set(articles.map(article => exportService.yearTitleKey(article)));
+  const candidates = await articleModel.findByPublicationYears([...new Set(articles.map(article => article.publication_year || null))]);
+
+  return withAuthorNames(candidates.filter(article => yearTitleKeys.has(exportService.yearTitleKey(article))));
+};
+
+/**
+ * Send rendered articles as a downloadable file
+ * @param {object} res - Express response
+ * @param {Array<object>} articles - Articles with author_names
+ * @param {string} format - Export format
+ * @param {string} basename - File name without extension
+ * @returns {Promise<object>} - Express response
+ */
+const sendExport = async (res, articles, format, basename) => {
+  const { contentType, extension } = exportService.formats[format];
+  const body = exportService.render(articles, format, await findCitationKeySiblings(articles));
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${basename}.${extension}"`);
+  return res.status(200).send(body);
+};
+
+/**
+ * Respond with the citation graph around an article in one direction
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Express next
+ * @param {string} direction - 'cited_by' or 'cites'
+ */
+const sendCitationGraph = async (req, res, next, direction) => {
+  try {
+    const id = parseArticleId(req.params.id);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Article id must be a positive integer'
+      });
+    }
+
+    const depth = parseBoundedInt(req.query.depth, 1, fetchConfig.citedByMaxDepth);
+
+    if (!depth) {
+      return res.status(400).json({
+        success: false,
+        error: `"depth" must be an integer between 1 and ${fetchConfig.citedByMaxDepth}`
+      });
+    }
+
+    const article = await articleModel.findById(id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: `Article ${id} not found`
+      });
+    }
+
+    const graph = await citationGraphService.traverse(id, direction, depth);
+
+    return res.status(200).json({
+      success: true,
+      article: {
+        id: article.id,
+        title: article.paper_title,
+        citation_count: article.citation_count
+      },
+      direction,
+      depth,
+      data: graph.nodes,
+      edges: graph.edges,
+      truncated: graph.truncated
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+class ArticleController {
+  /**
+   * List stored articles with filters, sorting and pagination
+   * GET /api/articles?page=1&limit=20&year_from=2015&year_to=2020&journal=Nature&sort=citations&order=desc
+   */
+  async listArticles(req, res, next) {
+    try {
+      const { sort = 'created_at', order = 'desc' } = req.query;
+
+      if (!SORT_OPTIONS.includes(sort)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid sort "${sort}". Allowed values: ${SORT_OPTIONS.join(', ')}`
+        });
+      }
+
+      if (!ORDER_OPTIONS.includes(order)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid order "${order}". Allowed values: ${ORDER_OPTIONS.join(', ')}`
+        });
+      }
+
+      const { filters, error } = parseFilters(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      if (filters.year_from && filters.year_to && filters.year_from > filters.year_to) {
+        return res.status(400).json({
+          success: false,
+          error: '"year_from" must be less than or equal to "year_to"'
+        });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const [articles, total] = await Promise.all([
+        articleModel.findWithFilters(filters, { limit, offset, sort, order }),
+        articleModel.countWithFilters(filters)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: articles,
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Full-text search over stored titles and abstracts, relevance-ranked,
+   * combined with the listing filters
+   * GET /api/articles/search?q="deep learning" -survey&year_from=2015&author=Hinton&page=1&limit=20
+   */
+  async searchArticles(req, res, next) {
+    try {
+      const repeated = findRepeatedParam(req.query, SEARCH_PARAMS);
+
+      if (repeated) {
+        return res.status(400).json({
+          success: false,
+          error: `"${repeated}" must be given at most once`
+        });
+      }
+
+      const q = (req.query.q || '').trim();
+      const { mode, sort = 'relevance', order = 'desc' } = req.query;
+
+      if (!q) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query parameter "q" is required'
+        });
+      }
+
+      if (q.length > 500) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query parameter "q" must be at most 500 characters'
+        });
+      }
+
+      if (mode && !SEARCH_MODES.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid mode "${mode}". Allowed values: ${SEARCH_MODES.join(', ')}`
+        });
+      }
+
+      if (!SEARCH_SORT_OPTIONS.includes(sort)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid sort "${sort}". Allowed values: ${SEARCH_SORT_OPTIONS.join(', ')}`
+        });
+      }
+
+      if (!ORDER_OPTIONS.includes(order)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid order "${order}". Allowed values: ${ORDER_OPTIONS.join(', ')}`
+        });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+      const { filters, error } = parseFilters(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const results = await searchService.search(q, filters, { mode, sort, order, limit, offset });
+
+      return res.status(200).json({
+        success: true,
+        query: q,
+        mode: results.mode,
+        data: results.articles,
+        pagination: buildPaginationMeta(results.total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single article by database ID
+   * GET /api/articles/:id
+   */
+  async getArticleById(req, res, next) {
+    try {
+      const id = parseArticleId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article id must be a positive integer'
+        });
+      }
+
+      const article = await articleModel.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: `Article ${id} not found`
+        });
+      }
+
+      article.linked_authors = await authorModel.findByArticleId(id);
+      article.versions = await articleVersionModel.findByArticleId(id);
+
+      return res.status(200).json({
+        success: true,
+        data: article
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the citation count history of an article
+   * GET /api/articles/:id/citation-history
+   */
+  async getCitationHistory(req, res, next) {
+    try {
+      const id = parseArticleId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article id must be a positive integer'
+        });
+      }
+
+      const article = await articleModel.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: `Article ${id} not found`
+        });
+      }
+
+      const history = await citationSnapshotModel.findByArticleId(id);
+
+      return res.status(200).json({
+        success: true,
+        article: {
+          id: article.id,
+          title: article.paper_title,
+          citation_count: article.citation_count
+        },
+        data: history
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-query stored articles and update their citation counts
+   * POST /api/articles/refresh-citations
+   * Body: { "limit": 20 } or { "article_ids": [1, 2, 3] }
+   */
+  async refreshCitations(req, res, next) {
+    try {
+      const body = req.body || {};
+      let articleIds = null;
+      let limit = fetchConfig.citationRefreshLimit;
+
+      if (body.article_ids !== undefined) {
+        if (!Array.isArray(body.article_ids) || body.article_ids.length < 1 || body.article_ids.length > 100 ||
+            !body.article_ids.every(id => Number.isInteger(id) && id > 0)) {
+          return res.status(400).json({
+            success: false,
+            error: '"article_ids" must be an array of between 1 and 100 positive integers'
+          });
+        }
+        articleIds = body.article_ids;
+      }
+
+      if (body.limit !== undefined) {
+        limit = Number(body.limit);
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+          return res.status(400).json({
+            success: false,
+            error: '"limit" must be an integer between 1 and 100'
+          });
+        }
+      }
+
+      const results = await citationService.refreshCitations({ limit, articleIds, trigger: 'api' });
+
+      return res.status(200).json({
+        success: true,
+        message: `Checked ${results.summary.checked} articles`,
+        ...results
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single article by Google Scholar ID
+   * GET /api/articles/by-scholar-id/:gsid
+   */
+  async getArticleByScholarId(req, res, next) {
+    try {
+      const { gsid } = req.params;
+
+      // Merged duplicates resolve to their canonical article
+      const article = await articleModel.findByGoogleScholarId(gsid) ||
+        await articleModel.findByVersionScholarId(gsid);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: `Article with Google Scholar ID '${gsid}' not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: article
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Crawl the papers citing an article and store them with citation edges
+   * POST /api/articles/:id/crawl-cited-by
+   * Body: { "depth": 1, "max_pages": 5, "force_refresh": false }
+   */
+  async crawlCitedBy(req, res, next) {
+    try {
+      const id = parseArticleId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article id must be a positive integer'
+        });
+      }
+
+      const body = req.body || {};
+      const depth = parseBoundedInt(body.depth, 1, fetchConfig.citedByMaxDepth);
+      const maxPages = parseBoundedInt(body.max_pages, fetchConfig.citedByMaxPages, fetchConfig.citedByMaxPages);
+
+      if (!depth) {
+        return res.status(400).json({
+          success: false,
+          error: `"depth" must be an integer between 1 and ${fetchConfig.citedByMaxDepth}`
+        });
+      }
+
+      if (!maxPages) {
+        return res.status(400).json({
+          success: false,
+          error: `"max_pages" must be an integer between 1 and ${fetchConfig.citedByMaxPages}`
+        });
+      }
+
+      const article = await articleModel.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: `Article ${id} not found`
+        });
+      }
+
+      if (!article.cites_id) {
+        return res.status(422).json({
+          success: false,
+          error: `Article ${id} has no cites_id; Google Scholar lists no citing papers for it`
+        });
+      }
+
+      const summary = await citationGraphService.crawlCitedBy(article, {
+        depth,
+        maxPages,
+        forceRefresh: !!body.force_refresh,
+        trigger: 'api'
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Recorded ${summary.edges_created} new citation edges`,
+        article: {
+          id: article.id,
+          title: article.paper_title
+        },
+        summary
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stored articles citing an article
+   * GET /api/articles/:id/cited-by?depth=1
+   */
+  async getCitedBy(req, res, next) {
+    return sendCitationGraph(req, res, next, 'cited_by');
+  }
+
+  /**
+   * Stored articles cited by an article
+   * GET /api/articles/:id/cites?depth=1
+   */
+  async getCites(req, res, next) {
+    return sendCitationGraph(req, res, next, 'cites');
+  }
+
+  /**
+   * Alternate versions (URLs/PDF links) of an article
+   * GET /api/articles/:id/versions
+   */
+  async getVersions(req, res, next) {
+    try {
+      const id = parseArticleId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article id must be a positive integer'
+        });
+      }
+
+      const article = await articleModel.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: `Article ${id} not found`
+        });
+      }
+
+      const versions = await articleVersionModel.findByArticleId(id);
+
+      return res.status(200).json({
+        success: true,
+        article: {
+          id: article.id,
+          title: article.paper_title,
+          cluster_id: article.cluster_id
+        },
+        data: versions
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Fetch all versions in an article's Google Scholar cluster
+   * POST /api/articles/:id/fetch-versions
+   * Body: { "force_refresh": false }
+   */
+  async fetchVersions(req, res, next) {
+    try {
+      const id = parseArticleId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article id must be a positive integer'
+        });
+      }
+
+      const article = await articleModel.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: `Article ${id} not found`
+        });
+      }
+
+      if (!article.cluster_id) {
+        return res.status(422).json({
+          success: false,
+          error: `Article ${id} has no cluster_id; run a citation refresh to resolve it`
+        });
+      }
+
+      const result = await versionService.fetchVersions(article, {
+        forceRefresh: !!(req.body && req.body.force_refresh),
+        trigger: 'api'
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Found ${result.fetched} versions, ${result.added} new`,
+        cached: result.cached,
+        article: {
+          id: article.id,
+          title: article.paper_title,
+          cluster_id: article.cluster_id
+        },
+        data: result.versions
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Merge stored duplicates into canonical articles
+   * POST /api/articles/deduplicate
+   * Body: { "dry_run": true }
+   */
+  async deduplicate(req, res, next) {
+    try {
+      const dryRun = !!(req.body && req.body.dry_run);
+      const results = await versionService.deduplicate({ dryRun });
+
+      return res.status(200).json({
+        success: true,
+        message: `${dryRun ? 'Would merge' : 'Merged'} ${results.summary.articles_merged} duplicate articles`,
+        ...results
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export stored articles matching the listing filters
+   * GET /api/articles/export?format=bibtex&year_from=2015&author=Hinton
+   */
+  async exportArticles(req, res, next) {
+    try {
+      const { format, sort = 'created_at', order = 'desc' } = req.query;
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Query parameter "format" is required. Allowed values: ${EXPORT_FORMATS.join(', ')}`
+        });
+      }
+
+      if (!SORT_OPTIONS.includes(sort) || !ORDER_OPTIONS.includes(order)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid sort or order. Allowed sort values: ${SORT_OPTIONS.join(', ')}`
+        });
+      }
+
+      const { filters, error } = parseFilters(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const articles = await articleModel.findWithFilters(filters, {
+        limit: EXPORT_MAX_ARTICLES,
+        offset: 0,
+        sort,
+        order
+      });
+
+      return await sendExport(res, await withAuthorNames(articles), format, 'articles');
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export a single article
+   * GET /api/articles/:id/export?format=ris
+   */
+  async exportArticle(req, res, next) {
+    try {
+      const id = parseArticleId(req.params.id);
+      const { format } = req.query;
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article id must be a positive integer'
+        });
+      }
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Query parameter "format" is required. Allowed values: ${EXPORT_FORMATS.join(', ')}`
+        });
+      }
+
+      const article = await articleModel.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: `Article ${id} not found`
+        });
+      }
+
+      return await sendExport(res, await withAuthorNames([article]), format, `article-${id}`);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ArticleController();
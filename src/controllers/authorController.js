@@ -0,0 +1,846 @@
+const authorModel = require('../models/authorModel');
+const citationSnapshotModel = require('../models/citationSnapshotModel');
+const authorProfileService = require('../services/authorProfileService');
+const authorIdentityService = require('../services/authorIdentityService');
+const coauthorGraphService = require('../services/coauthorGraphService');
+const fetchConfig = require('../config/fetch');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+const SORT_OPTIONS = ['articles', 'citations', 'name', 'first_seen'];
+const ORDER_OPTIONS = ['asc', 'desc'];
+
+// Google Scholar profile IDs, e.g. "JicYPdAAAAAJ"
+const SCHOLAR_AUTHOR_ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+const GRAPH_FORMATS = ['json', ...Object.keys(coauthorGraphService.formats)];
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Author ID or null when invalid
+ */
+const parseAuthorId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Parse a list of positive integer IDs
+ * @param {*} value - Raw list
+ * @returns {Array<number>|null} - IDs, or null when the list is not an array of positive integers
+ */
+const parseIdList = (value) => {
+  if (!Array.isArray(value)) return null;
+  const ids = value.map(id => parseInt(id));
+  return ids.every(id => id > 0) ? ids : null;
+};
+
+/**
+ * Extract and validate co-authorship graph filters from query parameters
+ * @param {object} query - Express request query
+ * @returns {object} - { filters, error }
+ */
+const parseGraphFilters = (query) => {
+  const filters = {};
+
+  for (const field of ['year_from', 'year_to', 'min_articles', 'min_shared']) {
+    if (query[field] !== undefined) {
+      const value = Number(query[field]);
+      if (!Number.isInteger(value) || value < 1) {
+        return { error: `"${field}" must be a positive integer` };
+      }
+      filters[field] = value;
+    }
+  }
+
+  if (filters.year_from && filters.year_to && filters.year_from > filters.year_to) {
+    return { error: '"year_from" must be less than or equal to "year_to"' };
+  }
+
+  return { filters };
+};
+
+/**
+ * Respond with a co-authorship graph as JSON or as a GraphML/GEXF download
+ * @param {object} res - Express response
+ * @param {object} graph - { nodes, edges, truncated }
+ * @param {string} format - json, graphml or gexf
+ * @param {string} basename - File name without extension
+ * @param {object} extra - Additional JSON response fields
+ */
+const sendGraph = (res, graph, format, basename, extra = {}) => {
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      ...extra,
+      data: graph.nodes,
+      edges: graph.edges,
+      truncated: graph.truncated
+    });
+  }
+
+  const { contentType, extension } = coauthorGraphService.formats[format];
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${basename}.${extension}"`);
+  return res.status(200).send(coauthorGraphService.render(graph, format));
+};
+
+class AuthorController {
+  /**
+   * List stored authors
+   * GET /api/authors?page=1&limit=20&name=Hinton&sort=citations&order=desc
+   */
+  async listAuthors(req, res, next) {
+    try {
+      const { sort = 'articles', order = 'desc' } = req.query;
+      const name = req.query.name ? req.query.name.trim() : null;
+
+      if (!SORT_OPTIONS.includes(sort)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid sort "${sort}". Allowed values: ${SORT_OPTIONS.join(', ')}`
+        });
+      }
+
+      if (!ORDER_OPTIONS.includes(order)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid order "${order}". Allowed values: ${ORDER_OPTIONS.join(', ')}`
+        });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const [authors, total] = await Promise.all([
+        authorModel.findAll({ limit, offset, sort, order, name }),
+        authorModel.count(name)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: authors,
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get author profile
+   * GET /api/authors/:id
+   */
+  async getAuthorById(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: author
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List articles linked to an author
+   * GET /api/authors/:id/articles?page=1&limit=20
+   */
+  async getAuthorArticles(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const [articles, total] = await Promise.all([
+        authorModel.findArticles(id, limit, offset),
+        authorModel.countArticles(id)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        author: {
+          id: author.id,
+          full_name: author.full_name
+        },
+        data: articles,
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get daily citation totals across an author's articles
+   * GET /api/authors/:id/citation-history
+   */
+  async getCitationHistory(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const history = await citationSnapshotModel.findDailyTotalsByAuthorId(id);
+
+      return res.status(200).json({
+        success: true,
+        author: {
+          id: author.id,
+          full_name: author.full_name,
+          total_citations: author.total_citations
+        },
+        data: history
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find Google Scholar profiles matching a name
+   * GET /api/authors/profiles/search?name=Geoffrey%20Hinton&force_refresh=true
+   */
+  async searchProfiles(req, res, next) {
+    try {
+      const name = req.query.name ? req.query.name.trim() : '';
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query parameter "name" is required'
+        });
+      }
+
+      const candidates = await authorProfileService.searchProfiles(name, {
+        forceRefresh: req.query.force_refresh === 'true',
+        trigger: 'api'
+      });
+
+      return res.status(200).json({
+        success: true,
+        query: name,
+        count: candidates.length,
+        data: candidates
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Link an author to a Google Scholar profile
+   * PUT /api/authors/:id/scholar-profile
+   * Body: { "scholar_author_id": "JicYPdAAAAAJ", "scholar_name": "Geoffrey Hinton" }
+   */
+  async linkScholarProfile(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+      const body = req.body || {};
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      if (typeof body.scholar_author_id !== 'string' || !SCHOLAR_AUTHOR_ID_PATTERN.test(body.scholar_author_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'scholar_author_id must be a 12-character Google Scholar profile id (the "user" parameter of the profile URL)'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const linked = await authorModel.findByScholarAuthorId(body.scholar_author_id);
+
+      if (linked && linked.id !== id) {
+        return res.status(409).json({
+          success: false,
+          error: `Scholar profile ${body.scholar_author_id} is already linked to author ${linked.id} (${linked.full_name})`
+        });
+      }
+
+      const scholarName = typeof body.scholar_name === 'string' && body.scholar_name.trim()
+        ? body.scholar_name.trim()
+        : null;
+      await authorModel.setScholarProfile(id, body.scholar_author_id, scholarName);
+
+      return res.status(200).json({
+        success: true,
+        message: `Author ${id} linked to Scholar profile ${body.scholar_author_id}`,
+        data: await authorModel.findById(id)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unlink an author from its Google Scholar profile
+   * DELETE /api/authors/:id/scholar-profile
+   */
+  async unlinkScholarProfile(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      if (!author.scholar_author_id) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} is not linked to a Scholar profile`
+        });
+      }
+
+      await authorModel.setScholarProfile(id, null);
+
+      return res.status(200).json({
+        success: true,
+        message: `Author ${id} unlinked from Scholar profile ${author.scholar_author_id}`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Read an author's linked Scholar profile: metrics and full article list
+   * POST /api/authors/:id/scholar-profile/refresh
+   * Body: { "max_pages": 5, "force_refresh": false }
+   */
+  async refreshScholarProfile(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+      const body = req.body || {};
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      let maxPages;
+      if (body.max_pages !== undefined) {
+        maxPages = parseInt(body.max_pages);
+        if (!maxPages || maxPages < 1 || maxPages > 50) {
+          return res.status(400).json({
+            success: false,
+            error: 'max_pages must be between 1 and 50'
+          });
+        }
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      if (!author.scholar_author_id) {
+        return res.status(422).json({
+          success: false,
+          error: `Author ${id} is not linked to a Scholar profile; link one with PUT /api/authors/${id}/scholar-profile`
+        });
+      }
+
+      const result = await authorProfileService.refreshProfile(author, {
+        maxPages,
+        forceRefresh: !!body.force_refresh,
+        trigger: 'api'
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Read ${result.summary.fetched} profile articles, ${result.summary.saved} new`,
+        author: {
+          id: author.id,
+          full_name: author.full_name,
+          scholar_author_id: author.scholar_author_id
+        },
+        metrics: result.metrics,
+        summary: result.summary,
+        data: result.articles
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List an author's aliases and the names it is listed under on its articles
+   * GET /api/authors/:id/aliases
+   */
+  async getAliases(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const [aliases, listedNames] = await Promise.all([
+        authorModel.findAliases(id),
+        authorModel.findListedNames(id)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        author: {
+          id: author.id,
+          full_name: author.full_name,
+          name_key: author.name_key
+        },
+        data: aliases,
+        listed_names: listedNames
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add an alias, so articles listing that name are linked to the author
+   * POST /api/authors/:id/aliases
+   * Body: { "alias": "G. E. Hinton" }
+   */
+  async addAlias(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+      const alias = req.body && typeof req.body.alias === 'string' ? req.body.alias.trim() : '';
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      if (!alias || alias.length > 255) {
+        return res.status(400).json({
+          success: false,
+          error: 'alias must be a name of 1 to 255 characters'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const existing = await authorModel.findAlias(alias);
+
+      if (existing && existing.author_id !== id) {
+        return res.status(409).json({
+          success: false,
+          error: `"${alias}" is already an alias of author ${existing.author_id}`
+        });
+      }
+
+      const namesake = await authorModel.findByFullName(alias);
+
+      if (namesake && namesake.id !== id) {
+        return res.status(409).json({
+          success: false,
+          error: `"${alias}" is the name of author ${namesake.id}; merge the authors instead`
+        });
+      }
+
+      await authorModel.addAlias(id, alias, 'manual');
+
+      return res.status(201).json({
+        success: true,
+        message: `"${alias}" added as alias of author ${id}`,
+        data: await authorModel.findAliases(id)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove an alias
+   * DELETE /api/authors/:id/aliases/:aliasId
+   */
+  async deleteAlias(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+      const aliasId = parseAuthorId(req.params.aliasId);
+
+      if (!id || !aliasId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id and alias id must be positive integers'
+        });
+      }
+
+      const deleted = await authorModel.deleteAlias(id, aliasId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Alias ${aliasId} of author ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Alias ${aliasId} removed from author ${id}`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stored authors that may be the same person (compatible surname and initials)
+   * GET /api/authors/:id/duplicates
+   */
+  async getDuplicates(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const candidates = await authorIdentityService.findDuplicates(author);
+
+      return res.status(200).json({
+        success: true,
+        author: {
+          id: author.id,
+          full_name: author.full_name,
+          name_key: author.name_key
+        },
+        count: candidates.length,
+        data: candidates
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Merge other authors into this one
+   * POST /api/authors/:id/merge
+   * Body: { "author_ids": [12, 15] }
+   */
+  async mergeAuthors(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+      const sourceIds = parseIdList(req.body && req.body.author_ids);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      if (!sourceIds || sourceIds.length === 0 || sourceIds.length > 50) {
+        return res.status(400).json({
+          success: false,
+          error: 'author_ids must be an array of 1 to 50 author ids'
+        });
+      }
+
+      const result = await authorIdentityService.merge(id, sourceIds);
+
+      return res.status(200).json({
+        success: true,
+        message: `Merged ${result.merged.length} authors into author ${id}`,
+        data: result.author,
+        merged: result.merged
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move articles to another (new or existing) author, by the names the author
+   * is listed under and/or by article
+   * POST /api/authors/:id/split
+   * Body: { "names": ["G Hinton"], "article_ids": [42], "full_name": "Gerald Hinton" }
+   */
+  async splitAuthor(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+      const body = req.body || {};
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const names = body.names === undefined ? [] : body.names;
+      if (!Array.isArray(names) || !names.every(name => typeof name === 'string' && name.trim())) {
+        return res.status(400).json({
+          success: false,
+          error: 'names must be an array of listed author names'
+        });
+      }
+
+      const articleIds = body.article_ids === undefined ? [] : parseIdList(body.article_ids);
+      if (!articleIds) {
+        return res.status(400).json({
+          success: false,
+          error: 'article_ids must be an array of article ids'
+        });
+      }
+
+      if (names.length === 0 && articleIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide names and/or article_ids to split off'
+        });
+      }
+
+      if (body.full_name !== undefined && (typeof body.full_name !== 'string' || !body.full_name.trim() || body.full_name.length > 255)) {
+        return res.status(400).json({
+          success: false,
+          error: 'full_name must be a name of 1 to 255 characters'
+        });
+      }
+
+      const result = await authorIdentityService.split(id, {
+        names: names.map(name => name.trim()),
+        articleIds,
+        fullName: body.full_name ? body.full_name.trim() : null
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Moved ${result.moved} articles from author ${id} to author ${result.target.id}`,
+        source: result.source,
+        target: result.target,
+        moved: result.moved
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Co-authorship graph of all linked authors
+   * GET /api/authors/coauthor-graph?format=json|graphml|gexf&min_articles=2&min_shared=1&year_from=2015
+   */
+  async getCoauthorGraph(req, res, next) {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!GRAPH_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid format "${format}". Allowed values: ${GRAPH_FORMATS.join(', ')}`
+        });
+      }
+
+      const { filters, error } = parseGraphFilters(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const graph = await coauthorGraphService.build(filters);
+
+      return sendGraph(res, graph, format, 'coauthors', { filters });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Co-authorship network around an author
+   * GET /api/authors/:id/coauthor-graph?depth=1&format=json|graphml|gexf&min_shared=1&year_from=2015
+   */
+  async getEgoCoauthorGraph(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const format = req.query.format || 'json';
+
+      if (!GRAPH_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid format "${format}". Allowed values: ${GRAPH_FORMATS.join(', ')}`
+        });
+      }
+
+      const maxDepth = fetchConfig.coauthorGraphMaxDepth;
+      const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+
+      if (!Number.isInteger(depth) || depth < 1 || depth > maxDepth) {
+        return res.status(400).json({
+          success: false,
+          error: `"depth" must be an integer between 1 and ${maxDepth}`
+        });
+      }
+
+      const { filters, error } = parseGraphFilters({ ...req.query, min_articles: undefined });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const graph = await coauthorGraphService.buildEgo(author, depth, filters);
+
+      return sendGraph(res, graph, format, `coauthors-author-${id}`, {
+        author: {
+          id: author.id,
+          full_name: author.full_name
+        },
+        depth,
+        filters
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuthorController();
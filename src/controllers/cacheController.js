@@ -0,0 +1,52 @@
+const cacheService = require('../services/cacheService');
+
+class CacheController {
+  /**
+   * SerpAPI cache settings and entry counts per call type
+   * GET /api/admin/cache
+   */
+  async getStats(req, res, next) {
+    try {
+      return res.status(200).json({
+        success: true,
+        data: await cacheService.stats()
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Purge cached SerpAPI responses
+   * DELETE /api/admin/cache?type=search&expired=true
+   */
+  async purge(req, res, next) {
+    try {
+      const { type } = req.query;
+
+      if (type && !cacheService.callTypes.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid type "${type}". Allowed values: ${cacheService.callTypes.join(', ')}`
+        });
+      }
+
+      const expiredOnly = req.query.expired === 'true';
+      const deleted = await cacheService.purge({ call_type: type, expiredOnly });
+
+      console.log(`🧹 Purged ${deleted} SerpAPI cache entries`);
+
+      return res.status(200).json({
+        success: true,
+        message: `Purged ${deleted} ${expiredOnly ? 'expired ' : ''}cache entries`,
+        deleted
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CacheController();
@@ -0,0 +1,440 @@
+const digestSubscriberModel = require('../models/digestSubscriberModel');
+const digestService = require('../services/digestService');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+// Formats a subscriber can receive (slack is only used by the Slack channel)
+const SUBSCRIBER_FORMATS = ['html', 'markdown', 'text'];
+
+// Statuses recorded in digest_deliveries
+const DELIVERY_STATUSES = ['sent', 'failed'];
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Subscriber ID or null when invalid
+ */
+const parseSubscriberId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Check a delivery target for a channel
+ * @param {string} channel - email, webhook or slack
+ * @param {string} target - Email address or URL
+ * @returns {string|null} - Error message or null
+ */
+const validateTarget = (channel, target) => {
+  if (channel === 'email') {
+    return /^[^\s@]+@[^\s@]+$/.test(target) ? null : '"target" must be an email address for the email channel';
+  }
+
+  try {
+    const url = new URL(target);
+    if (url.protocol === 'http:' || url.protocol === 'https:') return null;
+  } catch (error) {
+    // Not a URL
+  }
+  return `"target" must be an http(s) URL for the ${channel} channel`;
+};
+
+/**
+ * Validate a subscriber body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {object} - { data, error }
+ */
+const validateSubscriber = (body = {}, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: '"name" is required (1 to 100 characters)' };
+    }
+    data.name = name;
+  }
+
+  if (body.channel !== undefined || !partial) {
+    if (!digestService.getChannelNames().includes(body.channel)) {
+      return { error: `"channel" is required (${digestService.getChannelNames().join(', ')})` };
+    }
+    data.channel = body.channel;
+  }
+
+  if (body.target !== undefined || !partial) {
+    const target = typeof body.target === 'string' ? body.target.trim() : '';
+    if (!target || target.length > 500) {
+      return { error: '"target" is required (an email address or webhook URL, up to 500 characters)' };
+    }
+    data.target = target;
+  }
+
+  if (body.format !== undefined) {
+    if (!SUBSCRIBER_FORMATS.includes(body.format)) {
+      return { error: `"format" must be one of: ${SUBSCRIBER_FORMATS.join(', ')}` };
+    }
+    data.format = body.format;
+  }
+
+  if (body.group_by !== undefined) {
+    if (!digestService.groupBy.includes(body.group_by)) {
+      return { error: `"group_by" must be one of: ${digestService.groupBy.join(', ')}` };
+    }
+    data.group_by = body.group_by;
+  }
+
+  if (body.min_citations !== undefined) {
+    if (!Number.isInteger(body.min_citations) || body.min_citations < 0) {
+      return { error: '"min_citations" must be a non-negative integer' };
+    }
+    data.min_citations = body.min_citations;
+  }
+
+  for (const field of ['send_empty', 'enabled']) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'boolean') {
+        return { error: `"${field}" must be a boolean` };
+      }
+      data[field] = body[field];
+    }
+  }
+
+  return { data };
+};
+
+class DigestController {
+  /**
+   * List subscribers
+   * GET /api/digests/subscribers
+   */
+  async listSubscribers(req, res, next) {
+    try {
+      return res.status(200).json({
+        success: true,
+        data: await digestSubscriberModel.findAll()
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a subscriber
+   * GET /api/digests/subscribers/:id
+   */
+  async getSubscriber(req, res, next) {
+    try {
+      const id = parseSubscriberId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subscriber id must be a positive integer'
+        });
+      }
+
+      const subscriber = await digestSubscriberModel.findById(id);
+
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          error: `Subscriber ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: subscriber
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a subscriber; its first digest covers articles saved from now on
+   * POST /api/digests/subscribers
+   * Body: { "name": "Lab mailing list", "channel": "email", "target": "lab@example.org", "format": "html" }
+   */
+  async createSubscriber(req, res, next) {
+    try {
+      const { data, error } = validateSubscriber(req.body);
+      const targetError = error ? null : validateTarget(data.channel, data.target);
+
+      if (error || targetError) {
+        return res.status(400).json({
+          success: false,
+          error: error || targetError
+        });
+      }
+
+      const id = await digestSubscriberModel.create(data);
+
+      return res.status(201).json({
+        success: true,
+        data: await digestSubscriberModel.findById(id)
+      });
+
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update a subscriber (only the given fields change)
+   * PATCH /api/digests/subscribers/:id
+   */
+  async updateSubscriber(req, res, next) {
+    try {
+      const id = parseSubscriberId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subscriber id must be a positive integer'
+        });
+      }
+
+      const { data, error } = validateSubscriber(req.body, true);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const subscriber = await digestSubscriberModel.findById(id);
+
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          error: `Subscriber ${id} not found`
+        });
+      }
+
+      // A new channel needs a target it can deliver to
+      const merged = { ...subscriber, ...data };
+      const targetError = validateTarget(merged.channel, merged.target);
+
+      if (targetError) {
+        return res.status(400).json({
+          success: false,
+          error: targetError
+        });
+      }
+
+      await digestSubscriberModel.update(id, data);
+
+      return res.status(200).json({
+        success: true,
+        data: await digestSubscriberModel.findById(id)
+      });
+
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a subscriber and its delivery history
+   * DELETE /api/digests/subscribers/:id
+   */
+  async deleteSubscriber(req, res, next) {
+    try {
+      const id = parseSubscriberId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subscriber id must be a positive integer'
+        });
+      }
+
+      const deleted = await digestSubscriberModel.delete(id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Subscriber ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Subscriber ${id} deleted`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Render a subscriber's pending digest without sending it
+   * GET /api/digests/subscribers/:id/preview?format=html|markdown|text|slack
+   */
+  async previewDigest(req, res, next) {
+    try {
+      const id = parseSubscriberId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subscriber id must be a positive integer'
+        });
+      }
+
+      const subscriber = await digestSubscriberModel.findById(id);
+
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          error: `Subscriber ${id} not found`
+        });
+      }
+
+      const format = req.query.format || (subscriber.channel === 'slack' ? 'slack' : subscriber.format);
+
+      if (!digestService.formats[format]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported format "${format}". Use one of: ${Object.keys(digestService.formats).join(', ')}`
+        });
+      }
+
+      const digest = await digestService.build(subscriber);
+
+      res.set('Content-Type', digestService.formats[format]);
+      return res.status(200).send(digestService.render(digest, format));
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a subscriber's digest now
+   * POST /api/digests/subscribers/:id/send
+   */
+  async sendDigest(req, res, next) {
+    try {
+      const id = parseSubscriberId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subscriber id must be a positive integer'
+        });
+      }
+
+      const subscriber = await digestSubscriberModel.findById(id);
+
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          error: `Subscriber ${id} not found`
+        });
+      }
+
+      const result = await digestService.deliver(subscriber, 'manual');
+
+      if (result.status === 'failed') {
+        return res.status(502).json({
+          success: false,
+          error: `Digest delivery failed: ${result.error}`,
+          data: result
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send digests to every enabled subscriber now
+   * POST /api/digests/send
+   */
+  async sendAllDigests(req, res, next) {
+    try {
+      const results = await digestService.sendAll('manual');
+
+      return res.status(200).json({
+        success: true,
+        ...results
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List delivery attempts, most recent first
+   * GET /api/digests/deliveries?subscriber_id=1&status=failed&page=1&limit=20
+   */
+  async listDeliveries(req, res, next) {
+    try {
+      const filters = {};
+
+      if (req.query.subscriber_id !== undefined) {
+        filters.subscriber_id = parseSubscriberId(req.query.subscriber_id);
+        if (!filters.subscriber_id) {
+          return res.status(400).json({
+            success: false,
+            error: 'subscriber_id must be a positive integer'
+          });
+        }
+      }
+
+      if (req.query.status !== undefined) {
+        if (!DELIVERY_STATUSES.includes(req.query.status)) {
+          return res.status(400).json({
+            success: false,
+            error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+          });
+        }
+        filters.status = req.query.status;
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const [deliveries, total] = await Promise.all([
+        digestSubscriberModel.findDeliveries(filters, { limit, offset }),
+        digestSubscriberModel.countDeliveries(filters)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: deliveries,
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new DigestController();
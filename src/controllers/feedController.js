@@ -0,0 +1,203 @@
+const articleModel = require('../models/articleModel');
+const authorModel = require('../models/authorModel');
+const topicQueryModel = require('../models/topicQueryModel');
+const feedService = require('../services/feedService');
+const feedConfig = require('../config/feed');
+
+const FEED_FORMATS = Object.keys(feedService.formats);
+
+/**
+ * Parse and validate an :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - ID or null when invalid
+ */
+const parseId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Public URL of the server, used for feed and entry links
+ * @param {object} req - Express request
+ * @returns {string} - Base URL without trailing slash
+ */
+const getBaseUrl = (req) => (feedConfig.baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+/**
+ * Send a feed. The validators come from a cheap feed state query, so a reader
+ * whose copy is current gets 304 Not Modified before any article is loaded
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} options - { format, path, state, updated, meta: { title, description, homePath }, load }
+ * @returns {Promise<object>} - Express response
+ */
+const sendFeed = async (req, res, options) => {
+  const { format, path, state, meta } = options;
+  const baseUrl = getBaseUrl(req);
+  const lastModified = feedService.lastModified(options.updated);
+
+  res.set('Cache-Control', `public, max-age=${feedConfig.maxAge}`);
+  res.set('ETag', feedService.etag(`${baseUrl}${path}`, format, state, lastModified));
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const feed = feedService.build({
+    title: meta.title,
+    description: meta.description,
+    selfUrl: `${baseUrl}${path}`,
+    homeUrl: `${baseUrl}${meta.homePath}`,
+    updated: lastModified
+  }, await options.load(), baseUrl);
+
+  res.set('Content-Type', feedService.formats[format]);
+  return res.status(200).send(feedService.render(feed, format));
+};
+
+/**
+ * Error response for an unsupported feed extension
+ * @param {object} res - Express response
+ * @param {string} format - Requested format
+ * @returns {object} - Express response
+ */
+const unsupportedFormat = (res, format) => res.status(400).json({
+  success: false,
+  error: `Unsupported feed format "${format}". Use one of: ${FEED_FORMATS.join(', ')}`
+});
+
+class FeedController {
+  /**
+   * Feed of the most recently saved articles
+   * GET /feeds/articles.atom|rss|json
+   */
+  async getArticlesFeed(req, res, next) {
+    try {
+      const { format } = req.params;
+
+      if (!FEED_FORMATS.includes(format)) {
+        return unsupportedFormat(res, format);
+      }
+
+      const state = await articleModel.getFeedState();
+
+      return await sendFeed(req, res, {
+        format,
+        path: `/feeds/articles.${format}`,
+        state,
+        updated: state.last_created_at,
+        meta: {
+          title: 'Google Scholar Fetcher: new articles',
+          description: 'Articles most recently saved by the fetcher',
+          homePath: '/api/articles'
+        },
+        load: () => articleModel.findAll(feedConfig.maxEntries, 0)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Feed of an author's most recently saved articles
+   * GET /feeds/authors/:id.atom|rss|json (/feeds/authors/:id serves Atom)
+   */
+  async getAuthorFeed(req, res, next) {
+    try {
+      const id = parseId(req.params.id);
+      const format = req.params.format || 'atom';
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      if (!FEED_FORMATS.includes(format)) {
+        return unsupportedFormat(res, format);
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      const state = await authorModel.getArticleFeedState(id);
+
+      return await sendFeed(req, res, {
+        format,
+        path: `/feeds/authors/${id}.${format}`,
+        state,
+        updated: state.last_created_at,
+        meta: {
+          title: `${author.full_name}: new articles`,
+          description: `Articles by ${author.full_name} most recently saved by the fetcher`,
+          homePath: `/api/authors/${id}/articles`
+        },
+        load: () => authorModel.findLatestArticles(id, feedConfig.maxEntries)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Feed of the articles a topic query surfaced, most recent match first
+   * GET /feeds/topic-queries/:id.atom|rss|json?new_only=true (/feeds/topic-queries/:id serves Atom)
+   */
+  async getTopicQueryFeed(req, res, next) {
+    try {
+      const id = parseId(req.params.id);
+      const format = req.params.format || 'atom';
+      const newOnly = req.query.new_only === 'true';
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Topic query id must be a positive integer'
+        });
+      }
+
+      if (!FEED_FORMATS.includes(format)) {
+        return unsupportedFormat(res, format);
+      }
+
+      const topicQuery = await topicQueryModel.findById(id);
+
+      if (!topicQuery) {
+        return res.status(404).json({
+          success: false,
+          error: `Topic query ${id} not found`
+        });
+      }
+
+      const state = await topicQueryModel.getMatchFeedState(id, newOnly);
+
+      return await sendFeed(req, res, {
+        format,
+        path: `/feeds/topic-queries/${id}.${format}${newOnly ? '?new_only=true' : ''}`,
+        state,
+        updated: state.last_matched_at,
+        meta: {
+          title: `${topicQuery.name}: new articles`,
+          description: `Articles ${newOnly ? 'saved' : 'found'} by the topic query "${topicQuery.query}"`,
+          homePath: `/api/topic-queries/${id}/articles${newOnly ? '?new_only=true' : ''}`
+        },
+        load: () => topicQueryModel.findMatches(id, { newOnly, limit: feedConfig.maxEntries })
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FeedController();
@@ -0,0 +1,233 @@
+const fetchJobModel = require('../models/fetchJobModel');
+const fetchService = require('../services/fetchService');
+const fetchJobService = require('../services/fetchJobService');
+const fetchConfig = require('../config/fetch');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+const STATUS_OPTIONS = ['queued', 'running', 'completed', 'partial', 'cancelled', 'failed'];
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Job ID or null when invalid
+ */
+const parseJobId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Validate a fetch job body
+ * @param {object} body - Request body
+ * @returns {object} - { data, error }
+ */
+const validateJob = (body = {}) => {
+  const authors = fetchService.parseAuthorList(body.authors);
+  if (authors.length < 1 || authors.length > fetchConfig.maxAuthors) {
+    return { error: `"authors" is required (1 to ${fetchConfig.maxAuthors} author names)` };
+  }
+
+  const data = {
+    authors,
+    perAuthor: fetchConfig.defaultPerAuthor,
+    maxPages: fetchConfig.maxPagesPerAuthor,
+    forceRefresh: !!body.force_refresh
+  };
+
+  if (body.per_author !== undefined) {
+    if (!Number.isInteger(body.per_author) || body.per_author < 1 || body.per_author > fetchConfig.maxPerAuthor) {
+      return { error: `"per_author" must be an integer between 1 and ${fetchConfig.maxPerAuthor}` };
+    }
+    data.perAuthor = body.per_author;
+  }
+
+  if (body.max_pages !== undefined) {
+    if (!Number.isInteger(body.max_pages) || body.max_pages < 1 || body.max_pages > fetchConfig.maxPagesPerAuthor) {
+      return { error: `"max_pages" must be an integer between 1 and ${fetchConfig.maxPagesPerAuthor}` };
+    }
+    data.maxPages = body.max_pages;
+  }
+
+  return { data };
+};
+
+/**
+ * Shape a job for responses: per-author progress in request order
+ * @param {object} job - Fetch job
+ * @returns {object} - Job with authors progress and totals
+ */
+const withProgress = (job) => {
+  const { results, ...rest } = job;
+  const finished = !['queued', 'running'].includes(job.status);
+
+  const authors = job.authors.map((name, index) => {
+    if (results[index]) {
+      return { ...results[index], status: 'done' };
+    }
+    if (finished) {
+      return { author: name, status: 'skipped' };
+    }
+    return { author: name, status: job.status === 'running' && index === results.length ? 'running' : 'pending' };
+  });
+
+  return {
+    ...rest,
+    progress: {
+      authors_total: job.authors.length,
+      authors_done: results.length,
+      total_saved: results.reduce((sum, author) => sum + author.saved, 0),
+      total_pages: results.reduce((sum, author) => sum + author.pages_consumed, 0),
+      cache_hits: results.reduce((sum, author) => sum + (author.cache_hits || 0), 0)
+    },
+    authors
+  };
+};
+
+class FetchJobController {
+  /**
+   * Queue an author fetch and return immediately
+   * POST /api/fetch-jobs
+   * Body: { "authors": ["Geoffrey Hinton", "Yann LeCun"], "per_author": 3, "max_pages": 5, "force_refresh": false }
+   */
+  async createJob(req, res, next) {
+    try {
+      const { data, error } = validateJob(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const job = await fetchJobService.enqueue(data.authors, data);
+
+      console.log(`📥 Queued fetch job #${job.id} for authors: ${data.authors.join(', ')}`);
+
+      return res.status(202)
+        .location(`/api/fetch-jobs/${job.id}`)
+        .json({
+          success: true,
+          data: withProgress(job)
+        });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List fetch jobs, most recent first
+   * GET /api/fetch-jobs?page=1&limit=20&status=running
+   */
+  async listJobs(req, res, next) {
+    try {
+      const { status } = req.query;
+
+      if (status && !STATUS_OPTIONS.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status "${status}". Allowed values: ${STATUS_OPTIONS.join(', ')}`
+        });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const [jobs, total] = await Promise.all([
+        fetchJobModel.findAll({ limit, offset, status }),
+        fetchJobModel.count(status)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: jobs.map(withProgress),
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a fetch job with per-author progress
+   * GET /api/fetch-jobs/:id
+   */
+  async getJob(req, res, next) {
+    try {
+      const id = parseJobId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Job id must be a positive integer'
+        });
+      }
+
+      const job = await fetchJobModel.findById(id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Fetch job ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: withProgress(job)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a queued or running fetch job
+   * POST /api/fetch-jobs/:id/cancel
+   */
+  async cancelJob(req, res, next) {
+    try {
+      const id = parseJobId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Job id must be a positive integer'
+        });
+      }
+
+      const job = await fetchJobModel.findById(id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Fetch job ${id} not found`
+        });
+      }
+
+      const cancelled = await fetchJobModel.requestCancel(id);
+
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          error: `Fetch job ${id} is already ${job.status}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: job.status === 'running'
+          ? `Fetch job ${id} will stop before its next SerpAPI request`
+          : `Fetch job ${id} cancelled`,
+        data: withProgress(await fetchJobModel.findById(id))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FetchJobController();
@@ -0,0 +1,135 @@
+const fetchRunModel = require('../models/fetchRunModel');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+const TRIGGER_OPTIONS = ['api', 'schedule', 'manual'];
+const STATUS_OPTIONS = ['running', 'success', 'partial', 'cancelled', 'failed'];
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Run ID or null when invalid
+ */
+const parseRunId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+class RunController {
+  /**
+   * List fetch runs, most recent first
+   * GET /api/runs?page=1&limit=20&trigger=schedule&status=failed&watchlist_id=2&author=Geoffrey%20Hinton
+   */
+  async listRuns(req, res, next) {
+    try {
+      const { trigger, status } = req.query;
+
+      if (trigger && !TRIGGER_OPTIONS.includes(trigger)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid trigger "${trigger}". Allowed values: ${TRIGGER_OPTIONS.join(', ')}`
+        });
+      }
+
+      if (status && !STATUS_OPTIONS.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status "${status}". Allowed values: ${STATUS_OPTIONS.join(', ')}`
+        });
+      }
+
+      let watchlistId = null;
+      if (req.query.watchlist_id !== undefined) {
+        watchlistId = parseRunId(req.query.watchlist_id);
+        if (!watchlistId) {
+          return res.status(400).json({
+            success: false,
+            error: '"watchlist_id" must be a positive integer'
+          });
+        }
+      }
+
+      const filters = {
+        trigger_source: trigger,
+        status,
+        watchlist_id: watchlistId,
+        author: req.query.author ? req.query.author.trim() : null
+      };
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const [runs, total] = await Promise.all([
+        fetchRunModel.findAll(filters, { limit, offset }),
+        fetchRunModel.count(filters)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: runs,
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Outcome totals per searched author across all runs
+   * GET /api/runs/authors?empty=true
+   */
+  async listAuthorTotals(req, res, next) {
+    try {
+      const onlyEmpty = req.query.empty === 'true';
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const [authors, total] = await Promise.all([
+        fetchRunModel.findAuthorTotals({ limit, offset, onlyEmpty }),
+        fetchRunModel.countAuthors(onlyEmpty)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: authors,
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a run with its per-author outcomes
+   * GET /api/runs/:id
+   */
+  async getRunById(req, res, next) {
+    try {
+      const id = parseRunId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Run id must be a positive integer'
+        });
+      }
+
+      const run = await fetchRunModel.findById(id);
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: `Run ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: run
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new RunController();
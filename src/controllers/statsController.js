@@ -0,0 +1,168 @@
+const authorModel = require('../models/authorModel');
+const statsService = require('../services/statsService');
+
+// Entries per ranking (top journals, publishers, most cited, co-authors)
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a value is a calendar date written as YYYY-MM-DD
+ * @param {string} value - Raw value
+ * @returns {boolean} - True for valid dates
+ */
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Author ID or null when invalid
+ */
+const parseAuthorId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Extract and validate statistics filters and options from query parameters
+ * @param {object} query - Express request query
+ * @returns {object} - { filters, options, error }
+ */
+const parseStatsQuery = (query) => {
+  const filters = {};
+
+  for (const field of ['year_from', 'year_to', 'author_id']) {
+    if (query[field] !== undefined) {
+      const value = Number(query[field]);
+      if (!Number.isInteger(value) || value < 1) {
+        return { error: `"${field}" must be a positive integer` };
+      }
+      filters[field] = value;
+    }
+  }
+
+  if (filters.year_from && filters.year_to && filters.year_from > filters.year_to) {
+    return { error: '"year_from" must not be after "year_to"' };
+  }
+
+  if (query.author) {
+    filters.author = query.author.trim();
+  }
+
+  for (const field of ['saved_from', 'saved_to', 'since']) {
+    if (query[field] !== undefined && !isValidDate(query[field])) {
+      return { error: `"${field}" must be a date (YYYY-MM-DD)` };
+    }
+  }
+
+  if (query.saved_from && query.saved_to && query.saved_from > query.saved_to) {
+    return { error: '"saved_from" must not be after "saved_to"' };
+  }
+
+  if (query.saved_from) filters.saved_from = query.saved_from;
+  if (query.saved_to) filters.saved_to = query.saved_to;
+
+  let top = DEFAULT_TOP;
+  if (query.top !== undefined) {
+    top = Number(query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+      return { error: `"top" must be an integer between 1 and ${MAX_TOP}` };
+    }
+  }
+
+  return { filters, options: { top, since: query.since || null } };
+};
+
+class StatsController {
+  /**
+   * Collection-wide metrics over stored articles
+   * GET /api/stats?year_from=2015&saved_from=2024-01-01&author=Hinton&since=2024-06-01&top=10
+   */
+  async getStatistics(req, res, next) {
+    try {
+      const { filters, options, error } = parseStatsQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        filters,
+        data: await statsService.getStatistics(filters, options)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Metrics over an author's stored articles, with co-authors and the
+   * metrics reported by the author's Google Scholar profile
+   * GET /api/stats/authors/:id?year_from=2015&since=2024-06-01
+   */
+  async getAuthorStatistics(req, res, next) {
+    try {
+      const id = parseAuthorId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Author id must be a positive integer'
+        });
+      }
+
+      const { filters, options, error } = parseStatsQuery({ ...req.query, author_id: undefined });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const author = await authorModel.findById(id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author ${id} not found`
+        });
+      }
+
+      filters.author_id = id;
+
+      return res.status(200).json({
+        success: true,
+        author: {
+          id: author.id,
+          full_name: author.full_name,
+          scholar_author_id: author.scholar_author_id,
+          // As reported by Google Scholar over all of the author's publications
+          scholar_profile: author.scholar_author_id ? {
+            citations: author.scholar_citations,
+            h_index: author.h_index,
+            i10_index: author.i10_index,
+            updated_at: author.profile_updated_at
+          } : null
+        },
+        filters,
+        data: await statsService.getStatistics(filters, options)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new StatsController();
@@ -0,0 +1,401 @@
+const cron = require('node-cron');
+const topicQueryModel = require('../models/topicQueryModel');
+const schedulerService = require('../services/schedulerService');
+const fetchConfig = require('../config/fetch');
+const { parsePagination, buildPaginationMeta } = require('../utils/pagination');
+
+// Google Scholar result languages: "en", "zh-CN"
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Topic query ID or null when invalid
+ */
+const parseTopicQueryId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Whether a value is a publication year Scholar can filter on
+ * @param {*} value - Value
+ * @returns {boolean} - True for an integer year up to next year
+ */
+const isValidYear = (value) => Number.isInteger(value) && value >= 1000 && value <= new Date().getFullYear() + 1;
+
+/**
+ * Validate a topic query body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {object} - { data, error }
+ */
+const validateTopicQuery = (body = {}, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: '"name" is required (1 to 100 characters)' };
+    }
+    data.name = name;
+  }
+
+  if (body.query !== undefined || !partial) {
+    const query = typeof body.query === 'string' ? body.query.trim() : '';
+    if (!query || query.length > 500) {
+      return { error: '"query" is required (1 to 500 characters)' };
+    }
+    data.query = query;
+  }
+
+  for (const field of ['year_from', 'year_to']) {
+    if (body[field] !== undefined && body[field] !== null && !isValidYear(body[field])) {
+      return { error: `"${field}" must be a year between 1000 and ${new Date().getFullYear() + 1}` };
+    }
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+
+  if (body.language !== undefined && body.language !== null) {
+    if (typeof body.language !== 'string' || !LANGUAGE_PATTERN.test(body.language)) {
+      return { error: '"language" must be a language code (e.g. "en" or "zh-CN")' };
+    }
+  }
+  if (body.language !== undefined) data.language = body.language;
+
+  if (body.sort_by_date !== undefined) {
+    if (typeof body.sort_by_date !== 'boolean') {
+      return { error: '"sort_by_date" must be a boolean' };
+    }
+    data.sort_by_date = body.sort_by_date;
+  }
+
+  if (body.cron_expression !== undefined || !partial) {
+    if (typeof body.cron_expression !== 'string' || !cron.validate(body.cron_expression.trim())) {
+      return { error: '"cron_expression" is required and must be a valid cron expression (e.g. "0 3 * * *")' };
+    }
+    data.cron_expression = body.cron_expression.trim();
+  }
+
+  if (body.per_query !== undefined && body.per_query !== null) {
+    if (!Number.isInteger(body.per_query) || body.per_query < 1 || body.per_query > fetchConfig.maxPerQuery) {
+      return { error: `"per_query" must be an integer between 1 and ${fetchConfig.maxPerQuery}` };
+    }
+  }
+  if (body.per_query !== undefined) data.per_query = body.per_query;
+
+  if (body.max_pages !== undefined && body.max_pages !== null) {
+    if (!Number.isInteger(body.max_pages) || body.max_pages < 1 || body.max_pages > fetchConfig.maxPagesPerQuery) {
+      return { error: `"max_pages" must be an integer between 1 and ${fetchConfig.maxPagesPerQuery}` };
+    }
+  }
+  if (body.max_pages !== undefined) data.max_pages = body.max_pages;
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: '"enabled" must be a boolean' };
+    }
+    data.enabled = body.enabled;
+  }
+
+  return { data };
+};
+
+/**
+ * Check that a year range is not reversed
+ * @param {object} data - { year_from, year_to }
+ * @returns {string|null} - Error message or null
+ */
+const validateYearRange = (data) => {
+  if (data.year_from && data.year_to && data.year_from > data.year_to) {
+    return '"year_from" must not be after "year_to"';
+  }
+  return null;
+};
+
+/**
+ * Add scheduler state to a topic query for responses
+ * @param {object} topicQuery - Topic query
+ * @returns {object} - Topic query with scheduled flag
+ */
+const withScheduleState = (topicQuery) => ({
+  ...topicQuery,
+  scheduled: schedulerService.isTopicQueryScheduled(topicQuery.id)
+});
+
+class TopicQueryController {
+  /**
+   * List topic queries
+   * GET /api/topic-queries
+   */
+  async listTopicQueries(req, res, next) {
+    try {
+      const topicQueries = await topicQueryModel.findAll();
+
+      return res.status(200).json({
+        success: true,
+        data: topicQueries.map(withScheduleState)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a topic query
+   * GET /api/topic-queries/:id
+   */
+  async getTopicQuery(req, res, next) {
+    try {
+      const id = parseTopicQueryId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Topic query id must be a positive integer'
+        });
+      }
+
+      const topicQuery = await topicQueryModel.findById(id);
+
+      if (!topicQuery) {
+        return res.status(404).json({
+          success: false,
+          error: `Topic query ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: withScheduleState(topicQuery)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a topic query
+   * POST /api/topic-queries
+   * Body: { "name": "GNN drug discovery", "query": "\"graph neural networks\" drug discovery", "year_from": 2024, "cron_expression": "0 3 * * *" }
+   */
+  async createTopicQuery(req, res, next) {
+    try {
+      const { data, error } = validateTopicQuery(req.body);
+      const rangeError = error ? null : validateYearRange(data);
+
+      if (error || rangeError) {
+        return res.status(400).json({
+          success: false,
+          error: error || rangeError
+        });
+      }
+
+      const id = await topicQueryModel.create(data);
+      await schedulerService.reloadTopicQuery(id);
+
+      return res.status(201).json({
+        success: true,
+        data: withScheduleState(await topicQueryModel.findById(id))
+      });
+
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update a topic query (only the given fields change)
+   * PATCH /api/topic-queries/:id
+   */
+  async updateTopicQuery(req, res, next) {
+    try {
+      const id = parseTopicQueryId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Topic query id must be a positive integer'
+        });
+      }
+
+      const { data, error } = validateTopicQuery(req.body, true);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const topicQuery = await topicQueryModel.findById(id);
+
+      if (!topicQuery) {
+        return res.status(404).json({
+          success: false,
+          error: `Topic query ${id} not found`
+        });
+      }
+
+      const rangeError = validateYearRange({ ...topicQuery, ...data });
+
+      if (rangeError) {
+        return res.status(400).json({
+          success: false,
+          error: rangeError
+        });
+      }
+
+      await topicQueryModel.update(id, data);
+      await schedulerService.reloadTopicQuery(id);
+
+      return res.status(200).json({
+        success: true,
+        data: withScheduleState(await topicQueryModel.findById(id))
+      });
+
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a topic query (its matches stay listed on the articles)
+   * DELETE /api/topic-queries/:id
+   */
+  async deleteTopicQuery(req, res, next) {
+    try {
+      const id = parseTopicQueryId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Topic query id must be a positive integer'
+        });
+      }
+
+      const deleted = await topicQueryModel.delete(id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Topic query ${id} not found`
+        });
+      }
+
+      schedulerService.unscheduleTopicQuery(id);
+
+      return res.status(200).json({
+        success: true,
+        message: `Topic query ${id} deleted`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run a topic query now
+   * POST /api/topic-queries/:id/run
+   * Body: { "force_refresh": false }
+   */
+  async runTopicQuery(req, res, next) {
+    try {
+      const id = parseTopicQueryId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Topic query id must be a positive integer'
+        });
+      }
+
+      const topicQuery = await topicQueryModel.findById(id);
+
+      if (!topicQuery) {
+        return res.status(404).json({
+          success: false,
+          error: `Topic query ${id} not found`
+        });
+      }
+
+      const results = await schedulerService.runTopicQuery(topicQuery, 'manual', {
+        forceRefresh: !!(req.body && req.body.force_refresh)
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Ran topic query "${topicQuery.name}"`,
+        ...results
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List articles a topic query surfaced, most recently matched first
+   * GET /api/topic-queries/:id/articles?page=1&limit=20&new_only=true
+   */
+  async getTopicQueryArticles(req, res, next) {
+    try {
+      const id = parseTopicQueryId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Topic query id must be a positive integer'
+        });
+      }
+
+      const topicQuery = await topicQueryModel.findById(id);
+
+      if (!topicQuery) {
+        return res.status(404).json({
+          success: false,
+          error: `Topic query ${id} not found`
+        });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+      const newOnly = req.query.new_only === 'true';
+
+      const [articles, total] = await Promise.all([
+        topicQueryModel.findMatches(id, { newOnly, limit, offset }),
+        topicQueryModel.countMatches(id, newOnly)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        topic_query: {
+          id: topicQuery.id,
+          name: topicQuery.name,
+          query: topicQuery.query
+        },
+        data: articles,
+        pagination: buildPaginationMeta(total, page, limit)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TopicQueryController();
@@ -0,0 +1,34 @@
+const usageService = require('../services/usageService');
+
+class UsageController {
+  /**
+   * SerpAPI credit consumption against the daily/monthly budget
+   * GET /api/usage?days=30
+   */
+  async getUsage(req, res, next) {
+    try {
+      let days = 30;
+
+      if (req.query.days !== undefined) {
+        days = parseInt(req.query.days);
+
+        if (!days || days < 1 || days > 366) {
+          return res.status(400).json({
+            success: false,
+            error: '"days" must be an integer between 1 and 366'
+          });
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: await usageService.getUsage(days)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new UsageController();
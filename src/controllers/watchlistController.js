@@ -0,0 +1,296 @@
+const cron = require('node-cron');
+const watchlistModel = require('../models/watchlistModel');
+const fetchService = require('../services/fetchService');
+const schedulerService = require('../services/schedulerService');
+const fetchConfig = require('../config/fetch');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Watchlist ID or null when invalid
+ */
+const parseWatchlistId = (value) => {
+  const id = parseInt(value);
+  return id && id > 0 ? id : null;
+};
+
+/**
+ * Validate a watchlist body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {object} - { data, error }
+ */
+const validateWatchlist = (body = {}, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: '"name" is required (1 to 100 characters)' };
+    }
+    data.name = name;
+  }
+
+  if (body.authors !== undefined || !partial) {
+    const authors = fetchService.parseAuthorList(body.authors);
+    if (authors.length < 1 || authors.length > fetchConfig.maxAuthors) {
+      return { error: `"authors" is required (1 to ${fetchConfig.maxAuthors} author names)` };
+    }
+    data.authors = authors;
+  }
+
+  if (body.cron_expression !== undefined || !partial) {
+    if (typeof body.cron_expression !== 'string' || !cron.validate(body.cron_expression.trim())) {
+      return { error: '"cron_expression" is required and must be a valid cron expression (e.g. "0 2 * * 1")' };
+    }
+    data.cron_expression = body.cron_expression.trim();
+  }
+
+  if (body.per_author !== undefined && body.per_author !== null) {
+    if (!Number.isInteger(body.per_author) || body.per_author < 1 || body.per_author > fetchConfig.maxPerAuthor) {
+      return { error: `"per_author" must be an integer between 1 and ${fetchConfig.maxPerAuthor}` };
+    }
+  }
+  if (body.per_author !== undefined) data.per_author = body.per_author;
+
+  if (body.max_pages !== undefined && body.max_pages !== null) {
+    if (!Number.isInteger(body.max_pages) || body.max_pages < 1 || body.max_pages > fetchConfig.maxPagesPerAuthor) {
+      return { error: `"max_pages" must be an integer between 1 and ${fetchConfig.maxPagesPerAuthor}` };
+    }
+  }
+  if (body.max_pages !== undefined) data.max_pages = body.max_pages;
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: '"enabled" must be a boolean' };
+    }
+    data.enabled = body.enabled;
+  }
+
+  return { data };
+};
+
+/**
+ * Add scheduler state to a watchlist for responses
+ * @param {object} watchlist - Watchlist
+ * @returns {object} - Watchlist with scheduled flag
+ */
+const withScheduleState = (watchlist) => ({
+  ...watchlist,
+  scheduled: schedulerService.isScheduled(watchlist.id)
+});
+
+class WatchlistController {
+  /**
+   * List watchlists
+   * GET /api/watchlists
+   */
+  async listWatchlists(req, res, next) {
+    try {
+      const watchlists = await watchlistModel.findAll();
+
+      return res.status(200).json({
+        success: true,
+        data: watchlists.map(withScheduleState)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a watchlist
+   * GET /api/watchlists/:id
+   */
+  async getWatchlist(req, res, next) {
+    try {
+      const id = parseWatchlistId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Watchlist id must be a positive integer'
+        });
+      }
+
+      const watchlist = await watchlistModel.findById(id);
+
+      if (!watchlist) {
+        return res.status(404).json({
+          success: false,
+          error: `Watchlist ${id} not found`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: withScheduleState(watchlist)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a watchlist
+   * POST /api/watchlists
+   * Body: { "name": "AI Pioneers", "authors": ["Geoffrey Hinton"], "cron_expression": "0 2 * * 2" }
+   */
+  async createWatchlist(req, res, next) {
+    try {
+      const { data, error } = validateWatchlist(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const id = await watchlistModel.create(data);
+      await schedulerService.reload(id);
+
+      return res.status(201).json({
+        success: true,
+        data: withScheduleState(await watchlistModel.findById(id))
+      });
+
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update a watchlist (only the given fields change)
+   * PATCH /api/watchlists/:id
+   */
+  async updateWatchlist(req, res, next) {
+    try {
+      const id = parseWatchlistId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Watchlist id must be a positive integer'
+        });
+      }
+
+      const { data, error } = validateWatchlist(req.body, true);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const updated = await watchlistModel.update(id, data);
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          error: `Watchlist ${id} not found`
+        });
+      }
+
+      await schedulerService.reload(id);
+
+      return res.status(200).json({
+        success: true,
+        data: withScheduleState(await watchlistModel.findById(id))
+      });
+
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a watchlist
+   * DELETE /api/watchlists/:id
+   */
+  async deleteWatchlist(req, res, next) {
+    try {
+      const id = parseWatchlistId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Watchlist id must be a positive integer'
+        });
+      }
+
+      const deleted = await watchlistModel.delete(id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Watchlist ${id} not found`
+        });
+      }
+
+      schedulerService.unschedule(id);
+
+      return res.status(200).json({
+        success: true,
+        message: `Watchlist ${id} deleted`
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run a watchlist now
+   * POST /api/watchlists/:id/run
+   */
+  async runWatchlist(req, res, next) {
+    try {
+      const id = parseWatchlistId(req.params.id);
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Watchlist id must be a positive integer'
+        });
+      }
+
+      const watchlist = await watchlistModel.findById(id);
+
+      if (!watchlist) {
+        return res.status(404).json({
+          success: false,
+          error: `Watchlist ${id} not found`
+        });
+      }
+
+      const results = await schedulerService.runWatchlist(watchlist, 'manual');
+
+      return res.status(200).json({
+        success: true,
+        message: `Processed ${watchlist.authors.length} authors for watchlist "${watchlist.name}"`,
+        ...results
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WatchlistController();
@@ -0,0 +1,52 @@
+const { pool } = require('../config/database');
+const authorModel = require('../models/authorModel');
+const parserService = require('../services/parserService');
+
+// Articles saved before author linking existed have no article_authors rows
+const findUnlinkedArticles = `
+  SELECT ar.id, ar.authors
+  FROM articles ar
+  LEFT JOIN article_authors aa ON aa.article_id = ar.id
+  WHERE ar.deleted_at IS NULL AND ar.authors IS NOT NULL AND aa.id IS NULL
+  ORDER BY ar.id ASC
+`;
+
+const runBackfill = async () => {
+  try {
+    console.log('🚀 Linking authors for existing articles...');
+
+    const [articles] = await pool.query(findUnlinkedArticles);
+    let linked = 0;
+
+    for (const article of articles) {
+      const names = parserService.splitAuthors(article.authors);
+      if (names.length === 0) continue;
+
+      await authorModel.linkArticleAuthors(article.id, names);
+      linked++;
+    }
+
+    console.log(`✅ Linked authors for ${linked} of ${articles.length} articles`);
+
+  } catch (error) {
+    console.error('❌ Author backfill failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+};
+
+// Run backfill if this file is executed directly
+if (require.main === module) {
+  runBackfill()
+    .then(() => {
+      console.log('Backfill script finished');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Backfill script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runBackfill };
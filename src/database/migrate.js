@@ -1,10 +1,13 @@
 const { pool } = require('../config/database');
+const authorNames = require('../utils/authorNames');
+const versionService = require('../services/versionService');
 
 const createArticlesTable = `
   CREATE TABLE IF NOT EXISTS articles (
     id BIGINT PRIMARY KEY AUTO_INCREMENT,
     paper_title VARCHAR(500) NOT NULL,
     authors VARCHAR(1000),
+    authors_truncated BOOLEAN NOT NULL DEFAULT FALSE,
     publication_year INTEGER,
     journal VARCHAR(500),
     article_url VARCHAR(500),
@@ -14,13 +17,25 @@ const createArticlesTable = `
     cites_id VARCHAR(50),
     pdf_url VARCHAR(500),
     publisher VARCHAR(255),
+    cluster_id VARCHAR(50),
+    normalized_title VARCHAR(500),
+    merged_into_id BIGINT NULL,
+    doi VARCHAR(255),
+    issn VARCHAR(20),
+    enrichment_sources JSON NULL,
+    enriched_at TIMESTAMP NULL DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     deleted_at TIMESTAMP NULL DEFAULT NULL,
     INDEX idx_google_scholar_id (google_scholar_id),
+    INDEX idx_cluster_id (cluster_id),
+    INDEX idx_doi (doi),
+    INDEX idx_normalized_title_year (normalized_title(191), publication_year),
     INDEX idx_publication_year (publication_year),
     INDEX idx_citation_count (citation_count),
-    INDEX idx_deleted_at (deleted_at)
+    INDEX idx_deleted_at (deleted_at),
+    FULLTEXT INDEX ft_title_abstract (paper_title, abstract_text),
+    FULLTEXT INDEX ft_title (paper_title)
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 `;
 
@@ -33,19 +48,61 @@ const createAuthorsTable = `
     deleted_at TIMESTAMP NULL DEFAULT NULL,
     article_count INT DEFAULT 0,
     total_citations INT DEFAULT 0,
+    scholar_author_id VARCHAR(20) NULL,
+    scholar_name VARCHAR(255),
+    affiliation VARCHAR(500),
+    scholar_citations INT,
+    h_index INT,
+    i10_index INT,
+    citations_per_year JSON NULL,
+    profile_updated_at TIMESTAMP NULL DEFAULT NULL,
+    name_key VARCHAR(255),
+    merged_into_id BIGINT NULL,
     UNIQUE INDEX idx_full_name (full_name),
+    UNIQUE INDEX idx_scholar_author_id (scholar_author_id),
+    INDEX idx_scholar_name (scholar_name),
+    INDEX idx_name_key (name_key),
     INDEX idx_article_count (article_count),
     INDEX idx_total_citations (total_citations),
     INDEX idx_deleted_at (deleted_at)
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 `;
 
+// Scholar profile and name matching columns for authors tables created earlier
+const authorColumns = [
+  { name: 'scholar_author_id', definition: 'VARCHAR(20) NULL', index: 'UNIQUE INDEX idx_scholar_author_id (scholar_author_id)' },
+  { name: 'scholar_name', definition: 'VARCHAR(255)', index: 'INDEX idx_scholar_name (scholar_name)' },
+  { name: 'affiliation', definition: 'VARCHAR(500)' },
+  { name: 'scholar_citations', definition: 'INT' },
+  { name: 'h_index', definition: 'INT' },
+  { name: 'i10_index', definition: 'INT' },
+  { name: 'citations_per_year', definition: 'JSON NULL' },
+  { name: 'profile_updated_at', definition: 'TIMESTAMP NULL DEFAULT NULL' },
+  { name: 'name_key', definition: 'VARCHAR(255)', index: 'INDEX idx_name_key (name_key)' },
+  { name: 'merged_into_id', definition: 'BIGINT NULL' }
+];
+
+// Other spellings of an author's name (merged authors, matched abbreviations, curator entries)
+const createAuthorAliasesTable = `
+  CREATE TABLE IF NOT EXISTS author_aliases (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    author_id BIGINT NOT NULL,
+    alias VARCHAR(255) NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (author_id) REFERENCES authors(id) ON DELETE CASCADE,
+    UNIQUE INDEX idx_alias (alias),
+    INDEX idx_author_id (author_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
 const createArticleAuthorsTable = `
   CREATE TABLE IF NOT EXISTS article_authors (
     id BIGINT PRIMARY KEY AUTO_INCREMENT,
     article_id BIGINT NOT NULL,
     author_id BIGINT NOT NULL,
     author_position INT,
+    listed_name VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
     FOREIGN KEY (author_id) REFERENCES authors(id) ON DELETE CASCADE,
@@ -55,6 +112,326 @@ const createArticleAuthorsTable = `
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 `;
 
+// Name as listed on the article, for article_authors tables created earlier
+const articleAuthorColumns = [
+  { name: 'listed_name', definition: 'VARCHAR(255)' }
+];
+
+const createCitationSnapshotsTable = `
+  CREATE TABLE IF NOT EXISTS citation_snapshots (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    article_id BIGINT NOT NULL,
+    citation_count INTEGER NULL,
+    source VARCHAR(20) NOT NULL,
+    observed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    INDEX idx_article_observed (article_id, observed_at),
+    INDEX idx_observed_at (observed_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`;
+
+const createArticleCitationsTable = `
+  CREATE TABLE IF NOT EXISTS article_citations (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    citing_article_id BIGINT NOT NULL,
+    cited_article_id BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (citing_article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    FOREIGN KEY (cited_article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    UNIQUE INDEX idx_citing_cited (citing_article_id, cited_article_id),
+    INDEX idx_cited_article_id (cited_article_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`;
+
+// Columns added after the first release, for databases created earlier
+const articleColumns = [
+  { name: 'cluster_id', definition: 'VARCHAR(50)', index: 'INDEX idx_cluster_id (cluster_id)' },
+  { name: 'normalized_title', definition: 'VARCHAR(500)', index: 'INDEX idx_normalized_title_year (normalized_title(191), publication_year)' },
+  { name: 'merged_into_id', definition: 'BIGINT NULL' },
+  { name: 'doi', definition: 'VARCHAR(255)', index: 'INDEX idx_doi (doi)' },
+  { name: 'issn', definition: 'VARCHAR(20)' },
+  { name: 'enrichment_sources', definition: 'JSON NULL' },
+  { name: 'enriched_at', definition: 'TIMESTAMP NULL DEFAULT NULL' },
+  { name: 'authors_truncated', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' }
+];
+
+// Full-text search indexes, for articles tables created earlier
+const articleIndexes = [
+  { name: 'ft_title_abstract', definition: 'FULLTEXT INDEX ft_title_abstract (paper_title, abstract_text)' },
+  { name: 'ft_title', definition: 'FULLTEXT INDEX ft_title (paper_title)' }
+];
+
+const createArticleVersionsTable = `
+  CREATE TABLE IF NOT EXISTS article_versions (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    article_id BIGINT NOT NULL,
+    google_scholar_id VARCHAR(50),
+    article_url VARCHAR(500),
+    pdf_url VARCHAR(500),
+    source VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    UNIQUE INDEX idx_article_version (article_id, google_scholar_id),
+    INDEX idx_google_scholar_id (google_scholar_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+const createWatchlistsTable = `
+  CREATE TABLE IF NOT EXISTS watchlists (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    authors JSON NOT NULL,
+    cron_expression VARCHAR(100) NOT NULL,
+    per_author INT NULL,
+    max_pages INT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_run_at TIMESTAMP NULL DEFAULT NULL,
+    last_run_status VARCHAR(20) NULL,
+    last_run_summary JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE INDEX idx_name (name),
+    INDEX idx_enabled (enabled),
+    INDEX idx_deleted_at (deleted_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+// Saved Google Scholar keyword queries run on a schedule next to the author watchlists
+const createTopicQueriesTable = `
+  CREATE TABLE IF NOT EXISTS topic_queries (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    query VARCHAR(500) NOT NULL,
+    year_from INT NULL,
+    year_to INT NULL,
+    language VARCHAR(10) NULL,
+    sort_by_date BOOLEAN NOT NULL DEFAULT FALSE,
+    cron_expression VARCHAR(100) NOT NULL,
+    per_query INT NULL,
+    max_pages INT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_run_at TIMESTAMP NULL DEFAULT NULL,
+    last_run_status VARCHAR(20) NULL,
+    last_run_summary JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE INDEX idx_name (name),
+    INDEX idx_enabled (enabled),
+    INDEX idx_deleted_at (deleted_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+// Articles a topic query surfaced (is_new: saved by that query rather than stored earlier)
+const createArticleTopicMatchesTable = `
+  CREATE TABLE IF NOT EXISTS article_topic_matches (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    topic_query_id BIGINT NOT NULL,
+    article_id BIGINT NOT NULL,
+    is_new BOOLEAN NOT NULL DEFAULT FALSE,
+    matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (topic_query_id) REFERENCES topic_queries(id) ON DELETE CASCADE,
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    UNIQUE INDEX idx_query_article (topic_query_id, article_id),
+    INDEX idx_article_id (article_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`;
+
+// Digest recipients; last_article_id is the newest article already reported to them
+const createDigestSubscribersTable = `
+  CREATE TABLE IF NOT EXISTS digest_subscribers (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    target VARCHAR(500) NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'html',
+    group_by VARCHAR(20) NOT NULL DEFAULT 'source',
+    min_citations INT NOT NULL DEFAULT 0,
+    send_empty BOOLEAN NOT NULL DEFAULT FALSE,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_article_id BIGINT NOT NULL DEFAULT 0,
+    last_sent_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE INDEX idx_name (name),
+    INDEX idx_enabled (enabled)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+const createDigestDeliveriesTable = `
+  CREATE TABLE IF NOT EXISTS digest_deliveries (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    subscriber_id BIGINT NOT NULL,
+    trigger_source VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    article_count INT NOT NULL DEFAULT 0,
+    from_article_id BIGINT NULL,
+    to_article_id BIGINT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscriber_id) REFERENCES digest_subscribers(id) ON DELETE CASCADE,
+    INDEX idx_subscriber_created (subscriber_id, created_at),
+    INDEX idx_status (status)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+const createFetchRunsTable = `
+  CREATE TABLE IF NOT EXISTS fetch_runs (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    trigger_source VARCHAR(20) NOT NULL,
+    watchlist_id BIGINT NULL,
+    status VARCHAR(20) NOT NULL,
+    authors_requested INT NOT NULL DEFAULT 0,
+    per_author INT,
+    max_pages INT,
+    total_fetched INT DEFAULT 0,
+    total_saved INT DEFAULT 0,
+    total_already_exists INT DEFAULT 0,
+    serpapi_calls INT DEFAULT 0,
+    cache_hits INT DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_started_at (started_at),
+    INDEX idx_trigger_source (trigger_source),
+    INDEX idx_status (status),
+    INDEX idx_watchlist_id (watchlist_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+const createFetchRunAuthorsTable = `
+  CREATE TABLE IF NOT EXISTS fetch_run_authors (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    run_id BIGINT NOT NULL,
+    author_name VARCHAR(255) NOT NULL,
+    quota INT,
+    fetched INT DEFAULT 0,
+    saved INT DEFAULT 0,
+    already_exists INT DEFAULT 0,
+    pages_consumed INT DEFAULT 0,
+    cache_hits INT DEFAULT 0,
+    stop_reason VARCHAR(30),
+    error_message TEXT,
+    article_ids JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (run_id) REFERENCES fetch_runs(id) ON DELETE CASCADE,
+    INDEX idx_run_id (run_id),
+    INDEX idx_author_name (author_name)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+const createSerpApiUsageTable = `
+  CREATE TABLE IF NOT EXISTS serpapi_usage (
+    usage_date DATE NOT NULL,
+    call_type VARCHAR(20) NOT NULL,
+    trigger_source VARCHAR(20) NOT NULL,
+    requests INT NOT NULL DEFAULT 0,
+    cache_hits INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (usage_date, call_type, trigger_source)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+`;
+
+// Cache columns for run history and job tables created before the SerpAPI cache
+const cacheColumns = [
+  { table: 'fetch_runs', name: 'cache_hits', definition: 'INT DEFAULT 0' },
+  { table: 'fetch_run_authors', name: 'cache_hits', definition: 'INT DEFAULT 0' },
+  { table: 'fetch_jobs', name: 'force_refresh', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' }
+];
+
+const createFetchJobsTable = `
+  CREATE TABLE IF NOT EXISTS fetch_jobs (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    authors JSON NOT NULL,
+    per_author INT NOT NULL,
+    max_pages INT NOT NULL,
+    results JSON NULL,
+    run_id BIGINT NULL,
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    force_refresh BOOLEAN NOT NULL DEFAULT FALSE,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL DEFAULT NULL,
+    finished_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_created (status, created_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+const createSerpApiCacheTable = `
+  CREATE TABLE IF NOT EXISTS serpapi_cache (
+    cache_key CHAR(64) PRIMARY KEY,
+    call_type VARCHAR(20) NOT NULL,
+    params JSON NOT NULL,
+    response MEDIUMTEXT NOT NULL,
+    hits INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    last_hit_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_call_type (call_type),
+    INDEX idx_expires_at (expires_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+`;
+
+// The day-of-week rotation previously hard-coded in .github/workflows/daily_fetch.yml
+const defaultWatchlists = [
+  { name: 'Monday - Default researchers', cron: '0 2 * * 1', authors: ['Fernando Ambros', 'Pilar Beristain', 'Marciano Vargas'] },
+  { name: 'Tuesday - AI Pioneers', cron: '0 2 * * 2', authors: ['Geoffrey Hinton', 'Yann LeCun', 'Yoshua Bengio'] },
+  { name: 'Wednesday - Modern AI', cron: '0 2 * * 3', authors: ['Andrew Ng', 'Fei-Fei Li', 'Sebastian Thrun'] },
+  { name: 'Thursday - Deep Learning', cron: '0 2 * * 4', authors: ['Ian Goodfellow', 'Demis Hassabis', 'Ilya Sutskever'] },
+  { name: 'Friday - ML Theory', cron: '0 2 * * 5', authors: ['Michael Jordan', 'Christopher Manning', 'Judea Pearl'] },
+  { name: 'Saturday - AI Research', cron: '0 2 * * 6', authors: ['Daphne Koller', 'Peter Norvig', 'Stuart Russell'] },
+  { name: 'Sunday - Computer Science', cron: '0 2 * * 0', authors: ['Donald Knuth', 'Alan Turing', 'Grace Hopper'] }
+];
+
+/**
+ * Add a column (and its index) to an existing table unless it is already there
+ * @param {object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {object} column - { name, definition, index }
+ * @returns {Promise<boolean>} - True if the column was added
+ */
+const addColumnIfMissing = async (connection, table, column) => {
+  const [rows] = await connection.query(`
+    SELECT COUNT(*) as count
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column.name]);
+
+  if (rows[0].count > 0) {
+    return false;
+  }
+
+  await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition}`);
+  if (column.index) {
+    await connection.query(`ALTER TABLE ${table} ADD ${column.index}`);
+  }
+  return true;
+};
+
+/**
+ * Add an index to an existing table unless one with that name is already there
+ * @param {object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {object} index - { name, definition }
+ * @returns {Promise<boolean>} - True if the index was added
+ */
+const addIndexIfMissing = async (connection, table, index) => {
+  const [rows] = await connection.query(`
+    SELECT COUNT(*) as count
+    FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+  `, [table, index.name]);
+
+  if (rows[0].count > 0) {
+    return false;
+  }
+
+  await connection.query(`ALTER TABLE ${table} ADD ${index.definition}`);
+  return true;
+};
+
 const runMigrations = async () => {
   let connection;
   
@@ -67,14 +444,129 @@ const runMigrations = async () => {
     await connection.query(createArticlesTable);
     console.log('✅ Articles table created successfully');
     
+    // Bring articles tables created by earlier versions up to date
+    for (const column of articleColumns) {
+      if (await addColumnIfMissing(connection, 'articles', column)) {
+        console.log(`✅ Added articles.${column.name} column`);
+      }
+    }
+    
+    // Normalized titles for articles stored before duplicate matching existed
+    const backfilled = await versionService.backfillNormalizedTitles();
+    if (backfilled > 0) {
+      console.log(`✅ Added normalized titles for ${backfilled} articles`);
+    }
+    
+    for (const index of articleIndexes) {
+      if (await addIndexIfMissing(connection, 'articles', index)) {
+        console.log(`✅ Added articles.${index.name} index`);
+      }
+    }
+    
     // Create authors table
     await connection.query(createAuthorsTable);
     console.log('✅ Authors table created successfully');
     
+    for (const column of authorColumns) {
+      if (await addColumnIfMissing(connection, 'authors', column)) {
+        console.log(`✅ Added authors.${column.name} column`);
+      }
+    }
+    
+    // Name keys for authors stored before name matching existed
+    const [unkeyedAuthors] = await connection.query('SELECT id, full_name FROM authors WHERE name_key IS NULL');
+    for (const author of unkeyedAuthors) {
+      await connection.query('UPDATE authors SET name_key = ? WHERE id = ?', [authorNames.nameKey(author.full_name), author.id]);
+    }
+    if (unkeyedAuthors.length > 0) {
+      console.log(`✅ Added name keys for ${unkeyedAuthors.length} authors`);
+    }
+    
+    // Create author_aliases table
+    await connection.query(createAuthorAliasesTable);
+    console.log('✅ Author_aliases table created successfully');
+    
     // Create article_authors relationship table
     await connection.query(createArticleAuthorsTable);
     console.log('✅ Article_authors table created successfully');
     
+    for (const column of articleAuthorColumns) {
+      if (await addColumnIfMissing(connection, 'article_authors', column)) {
+        // Until now every author was stored under the name listed on the article
+        await connection.query(`
+          UPDATE article_authors aa
+          JOIN authors a ON a.id = aa.author_id
+          SET aa.listed_name = a.full_name
+        `);
+        console.log(`✅ Added article_authors.${column.name} column`);
+      }
+    }
+    
+    // Create citation_snapshots history table
+    await connection.query(createCitationSnapshotsTable);
+    console.log('✅ Citation_snapshots table created successfully');
+    
+    // Create article_citations graph table
+    await connection.query(createArticleCitationsTable);
+    console.log('✅ Article_citations table created successfully');
+    
+    // Create article_versions table (alternate URLs/PDFs of merged duplicates)
+    await connection.query(createArticleVersionsTable);
+    console.log('✅ Article_versions table created successfully');
+    
+    // Create watchlists table and seed the former weekly rotation once
+    await connection.query(createWatchlistsTable);
+    const [[{ count: watchlistCount }]] = await connection.query('SELECT COUNT(*) as count FROM watchlists');
+    if (watchlistCount === 0) {
+      for (const watchlist of defaultWatchlists) {
+        await connection.query(
+          'INSERT INTO watchlists (name, authors, cron_expression) VALUES (?, ?, ?)',
+          [watchlist.name, JSON.stringify(watchlist.authors), watchlist.cron]
+        );
+      }
+      console.log(`✅ Seeded ${defaultWatchlists.length} default watchlists`);
+    }
+    console.log('✅ Watchlists table created successfully');
+    
+    // Create topic query tables
+    await connection.query(createTopicQueriesTable);
+    console.log('✅ Topic_queries table created successfully');
+    
+    await connection.query(createArticleTopicMatchesTable);
+    console.log('✅ Article_topic_matches table created successfully');
+    
+    // Create digest tables
+    await connection.query(createDigestSubscribersTable);
+    console.log('✅ Digest_subscribers table created successfully');
+    
+    await connection.query(createDigestDeliveriesTable);
+    console.log('✅ Digest_deliveries table created successfully');
+    
+    // Create fetch run history tables
+    await connection.query(createFetchRunsTable);
+    console.log('✅ Fetch_runs table created successfully');
+    
+    await connection.query(createFetchRunAuthorsTable);
+    console.log('✅ Fetch_run_authors table created successfully');
+    
+    // Create fetch_jobs queue table
+    await connection.query(createFetchJobsTable);
+    console.log('✅ Fetch_jobs table created successfully');
+    
+    for (const column of cacheColumns) {
+      if (await addColumnIfMissing(connection, column.table, column)) {
+        console.log(`✅ Added ${column.table}.${column.name} column`);
+      }
+    }
+    
+    // Create serpapi_cache table (used when SERPAPI_CACHE_DRIVER=mysql)
+    await connection.query(createSerpApiCacheTable);
+    console.log('✅ Serpapi_cache table created successfully');
+    
+    // Create serpapi_usage table (credit accounting)
+    await connection.query(createSerpApiUsageTable);
+    console.log('✅ Serpapi_usage table created successfully');
+    
     console.log('🎉 All migrations completed successfully!');
     
   } catch (error) {
@@ -0,0 +1,54 @@
+const { pool } = require('../config/database');
+const citationService = require('../services/citationService');
+
+/**
+ * Parse "--limit N" from the command line
+ * @param {Array<string>} argv - Process arguments
+ * @returns {number|undefined} - Limit or undefined for the configured default
+ */
+const parseLimit = (argv) => {
+  const index = argv.indexOf('--limit');
+  if (index === -1) return undefined;
+
+  const limit = parseInt(argv[index + 1]);
+  if (!limit || limit < 1) {
+    throw new Error('--limit must be a positive integer');
+  }
+  return limit;
+};
+
+const runRefresh = async (limit) => {
+  try {
+    console.log('🚀 Refreshing citation counts...');
+
+    const { summary } = await citationService.refreshCitations({ limit, trigger: 'manual' });
+
+    console.log(`✅ Checked ${summary.checked} articles (${summary.updated} updated, +${summary.citations_gained} citations)`);
+    if (summary.stop_reason === 'credit_budget_exhausted') {
+      console.warn(`⚠️  SerpAPI credit budget exhausted, ${summary.skipped} articles left for the next refresh`);
+    }
+    return summary;
+
+  } catch (error) {
+    console.error('❌ Citation refresh failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+};
+
+// Run refresh if this file is executed directly
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => runRefresh(parseLimit(process.argv.slice(2))))
+    .then(() => {
+      console.log('Citation refresh script finished');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Citation refresh script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runRefresh };
@@ -8,13 +8,13 @@ const errorHandler = (err, req, res, next) => {
   let status = err.status || 500;
   let message = err.message || 'Internal Server Error';
 
-  // SerpAPI specific errors
-  if (message.includes('SerpAPI Error')) {
+  // SerpAPI specific errors (typed SerpAPI errors carry their own status)
+  if (!err.status && message.includes('SerpAPI Error')) {
     status = 502; // Bad Gateway
   }
 
   // Network errors
-  if (message.includes('Network Error')) {
+  if (!err.status && message.includes('Network Error')) {
     status = 503; // Service Unavailable
   }
 
@@ -25,15 +25,21 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // Validation errors
-  if (message.includes('required')) {
+  if (!err.status && message.includes('required')) {
     status = 400;
   }
 
+  // Rate limits, open circuit breaker
+  if (err.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+  }
+
   // Send error response
   res.status(status).json({
     success: false,
     error: message,
     status,
+    ...(err.status && err.code && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
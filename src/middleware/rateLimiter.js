@@ -1,4 +1,6 @@
 const rateLimit = require('express-rate-limit');
+const feedConfig = require('../config/feed');
+const schedulerConfig = require('../config/scheduler');
 
 /**
  * Rate Limiter Configuration
@@ -30,7 +32,39 @@ const strictLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * More lenient rate limiter for feeds, which feed readers poll
+ * Limits to FEED_RATE_LIMIT requests per 15 minutes
+ */
+const feedLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: feedConfig.rateLimit,
+  message: {
+    error: 'Too many feed requests, please try again later.',
+    status: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * More lenient rate limiter for fetch job status polling and cancellation
+ * Limits to FETCH_JOB_RATE_LIMIT requests per 15 minutes
+ */
+const jobLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: schedulerConfig.jobRateLimit,
+  message: {
+    error: 'Too many fetch job requests, please try again later.',
+    status: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   limiter,
-  strictLimiter
+  strictLimiter,
+  feedLimiter,
+  jobLimiter
 };
@@ -0,0 +1,68 @@
+const { pool } = require('../config/database');
+
+// Column holding the known article for each graph direction
+const DIRECTION_COLUMNS = {
+  cited_by: 'cited_article_id',
+  cites: 'citing_article_id'
+};
+
+class ArticleCitationModel {
+  /**
+   * Record that one stored article cites another
+   * @param {number} citingArticleId - Article that cites
+   * @param {number} citedArticleId - Article being cited
+   * @returns {Promise<boolean>} - True if the edge is new
+   */
+  async create(citingArticleId, citedArticleId) {
+    const query = `
+      INSERT IGNORE INTO article_citations (citing_article_id, cited_article_id)
+      VALUES (?, ?)
+    `;
+    const [result] = await pool.execute(query, [citingArticleId, citedArticleId]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Get the neighbours of a set of articles in one direction of the graph
+   * @param {Array<number>} articleIds - Known article IDs
+   * @param {string} direction - 'cited_by' (who cites them) or 'cites' (what they cite)
+   * @returns {Promise<Array>} - Edges as { citing_article_id, cited_article_id }
+   */
+  async findEdges(articleIds, direction) {
+    if (articleIds.length === 0) return [];
+
+    const column = DIRECTION_COLUMNS[direction];
+    const query = `
+      SELECT ac.citing_article_id, ac.cited_article_id
+      FROM article_citations ac
+      JOIN articles citing ON citing.id = ac.citing_article_id AND citing.deleted_at IS NULL
+      JOIN articles cited ON cited.id = ac.cited_article_id AND cited.deleted_at IS NULL
+      WHERE ac.${column} IN (?)
+      ORDER BY ac.id ASC
+    `;
+    const [rows] = await pool.query(query, [articleIds]);
+    return rows;
+  }
+
+  /**
+   * Count stored edges around an article
+   * @param {number} articleId - Article ID
+   * @returns {Promise<object>} - { cited_by, cites }
+   */
+  async countByArticleId(articleId) {
+    const query = `
+      SELECT
+        SUM(cited_article_id = ?) as cited_by,
+        SUM(citing_article_id = ?) as cites
+      FROM article_citations
+      WHERE cited_article_id = ? OR citing_article_id = ?
+    `;
+    const [rows] = await pool.execute(query, [articleId, articleId, articleId, articleId]);
+    return {
+      cited_by: Number(rows[0].cited_by) || 0,
+      cites: Number(rows[0].cites) || 0
+    };
+  }
+}
+
+module.exports = new ArticleCitationModel();
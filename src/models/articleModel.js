@@ -1,5 +1,82 @@
 const { pool } = require('../config/database');
 
+// Columns that listing endpoints are allowed to sort by
+const SORT_COLUMNS = {
+  citations: 'citation_count',
+  year: 'publication_year',
+  created_at: 'created_at'
+};
+
+// Venue columns the statistics can rank
+const VENUE_COLUMNS = ['journal', 'publisher'];
+
+// MySQL full-text search modes
+const SEARCH_MODES = {
+  natural: 'IN NATURAL LANGUAGE MODE',
+  boolean: 'IN BOOLEAN MODE'
+};
+
+/**
+ * Build WHERE clause and values from listing filters
+ * @param {object} filters - Filter values (year_from, year_to, journal, publisher, min_citations, author, author_id, saved_from, saved_to)
+ * @returns {object} - { where, values }
+ */
+const buildFilterClause = (filters = {}) => {
+  const conditions = ['deleted_at IS NULL'];
+  const values = [];
+
+  if (filters.year_from) {
+    conditions.push('publication_year >= ?');
+    values.push(filters.year_from);
+  }
+
+  if (filters.year_to) {
+    conditions.push('publication_year <= ?');
+    values.push(filters.year_to);
+  }
+
+  if (filters.journal) {
+    conditions.push('journal LIKE ?');
+    values.push(`%${filters.journal}%`);
+  }
+
+  if (filters.publisher) {
+    conditions.push('publisher LIKE ?');
+    values.push(`%${filters.publisher}%`);
+  }
+
+  if (filters.min_citations) {
+    conditions.push('citation_count >= ?');
+    values.push(filters.min_citations);
+  }
+
+  if (filters.author) {
+    conditions.push('authors LIKE ?');
+    values.push(`%${filters.author}%`);
+  }
+
+  if (filters.author_id) {
+    conditions.push('id IN (SELECT article_id FROM article_authors WHERE author_id = ?)');
+    values.push(filters.author_id);
+  }
+
+  if (filters.saved_from) {
+    conditions.push('created_at >= ?');
+    values.push(filters.saved_from);
+  }
+
+  if (filters.saved_to) {
+    // Inclusive: the whole saved_to day counts
+    conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    values.push(filters.saved_to);
+  }
+
+  return {
+    where: conditions.join(' AND '),
+    values
+  };
+};
+
 class ArticleModel {
   /**
    * Create a new article
@@ -9,16 +86,18 @@ class ArticleModel {
   async create(articleData) {
     const query = `
       INSERT INTO articles (
-        google_scholar_id, paper_title, authors, publication_year, 
+        google_scholar_id, paper_title, authors, authors_truncated, publication_year, 
         journal, article_url, abstract_text, citation_count, 
-        cites_id, pdf_url, publisher
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        cites_id, pdf_url, publisher, cluster_id, normalized_title,
+        doi, issn, enrichment_sources, enriched_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const values = [
       articleData.google_scholar_id,
       articleData.paper_title,
       articleData.authors,
+      !!articleData.authors_truncated,
       articleData.publication_year,
       articleData.journal,
       articleData.article_url,
@@ -26,7 +105,13 @@ class ArticleModel {
       articleData.citation_count || 0,
       articleData.cites_id,
       articleData.pdf_url,
-      articleData.publisher
+      articleData.publisher,
+      articleData.cluster_id || null,
+      articleData.normalized_title || null,
+      articleData.doi || null,
+      articleData.issn || null,
+      articleData.enrichment_sources ? JSON.stringify(articleData.enrichment_sources) : null,
+      articleData.enriched_at || null
     ];
 
     try {
@@ -70,6 +155,22 @@ class ArticleModel {
     return rows[0] || null;
   }
 
+  /**
+   * Find the canonical article that holds a Google Scholar ID as an alternate version
+   * @param {string} googleScholarId - Google Scholar ID of the version
+   * @returns {Promise<object|null>} - Canonical article or null
+   */
+  async findByVersionScholarId(googleScholarId) {
+    const query = `
+      SELECT a.* FROM article_versions v
+      JOIN articles a ON a.id = v.article_id
+      WHERE v.google_scholar_id = ? AND a.deleted_at IS NULL
+      LIMIT 1
+    `;
+    const [rows] = await pool.execute(query, [googleScholarId]);
+    return rows[0] || null;
+  }
+
   /**
    * Find article by ID
    * @param {number} id - Article ID
@@ -84,6 +185,72 @@ class ArticleModel {
     return rows[0] || null;
   }
 
+  /**
+   * Find several articles by ID
+   * @param {Array<number>} ids - Article IDs
+   * @returns {Promise<Array>} - Articles array (missing IDs are skipped)
+   */
+  async findByIds(ids) {
+    if (!ids || ids.length === 0) return [];
+
+    const query = `
+      SELECT * FROM articles 
+      WHERE id IN (?) AND deleted_at IS NULL
+    `;
+    const [rows] = await pool.query(query, [ids]);
+    return rows;
+  }
+
+  /**
+   * Articles from the given publication years, oldest first (citation key numbering)
+   * @param {Array<number|null>} years - Publication years; null selects undated articles
+   * @returns {Promise<Array>} - { id, paper_title, authors, publication_year } rows
+   */
+  async findByPublicationYears(years) {
+    if (!years || years.length === 0) return [];
+
+    const dated = years.filter(year => year !== null);
+    const query = `
+      SELECT id, paper_title, authors, publication_year FROM articles 
+      WHERE deleted_at IS NULL AND (publication_year IN (?) OR (? AND publication_year IS NULL))
+      ORDER BY id ASC
+    `;
+    const [rows] = await pool.query(query, [dated.length > 0 ? dated : [null], years.includes(null)]);
+    return rows;
+  }
+
+  /**
+   * Articles stored after a given article, oldest first
+   * @param {number} afterId - Article ID to start after
+   * @param {number} limit - Maximum number of articles
+   * @returns {Promise<Array>} - Articles array
+   */
+  async findCreatedAfter(afterId, limit = 100) {
+    const query = `
+      SELECT * FROM articles 
+      WHERE id > ? AND deleted_at IS NULL
+      ORDER BY id ASC 
+      LIMIT ?
+    `;
+    const [rows] = await pool.query(query, [afterId, limit]);
+    return rows;
+  }
+
+  /**
+   * Summary of the active articles that changes whenever one is added or removed,
+   * used to answer conditional feed requests without loading the articles
+   * @returns {Promise<object>} - { total, last_id, last_created_at }
+   */
+  async getFeedState() {
+    const query = `
+      SELECT COUNT(*) as total, MAX(id) as last_id, MAX(created_at) as last_created_at
+      FROM articles
+      WHERE deleted_at IS NULL
+    `;
+    const [rows] = await pool.query(query);
+    return rows[0];
+  }
+
   /**
    * Get all active articles with pagination
    * @param {number} limit - Number of results per page
@@ -102,23 +269,298 @@ class ArticleModel {
   }
 
   /**
-   * Search articles by title
-   * @param {string} searchTerm - Search term
-   * @param {number} limit - Results limit
-   * @param {number} offset - Offset
+   * Full-text search over titles and abstracts, combined with listing filters.
+   * Title matches weigh twice in the relevance score
+   * @param {string} searchQuery - Full-text query
+   * @param {object} filters - Filter values
+   * @param {object} options - { mode ('natural' or 'boolean'), limit, offset, sort ('relevance', 'citations' or 'year'), order }
+   * @returns {Promise<Array>} - Articles array with relevance
+   */
+  async search(searchQuery, filters = {}, options = {}) {
+    const against = SEARCH_MODES[options.mode] || SEARCH_MODES.natural;
+    const { where, values } = buildFilterClause(filters);
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    const orderBy = SORT_COLUMNS[options.sort]
+      ? `${SORT_COLUMNS[options.sort]} ${order}, relevance DESC`
+      : 'relevance DESC, citation_count DESC';
+
+    const query = `
+      SELECT *,
+        MATCH(paper_title) AGAINST (? ${against}) * 2
+          + MATCH(paper_title, abstract_text) AGAINST (? ${against}) as relevance
+      FROM articles
+      WHERE MATCH(paper_title, abstract_text) AGAINST (? ${against}) AND ${where}
+      ORDER BY ${orderBy}, id DESC
+      LIMIT ? OFFSET ?
+    `;
+    const [rows] = await pool.query(query, [
+      searchQuery, searchQuery, searchQuery, ...values, options.limit || 10, options.offset || 0
+    ]);
+    return rows;
+  }
+
+  /**
+   * Count full-text search matches
+   * @param {string} searchQuery - Full-text query
+   * @param {object} filters - Filter values
+   * @param {string} mode - 'natural' or 'boolean'
+   * @returns {Promise<number>} - Total count
+   */
+  async countSearch(searchQuery, filters = {}, mode = 'natural') {
+    const against = SEARCH_MODES[mode] || SEARCH_MODES.natural;
+    const { where, values } = buildFilterClause(filters);
+    const query = `
+      SELECT COUNT(*) as total
+      FROM articles
+      WHERE MATCH(paper_title, abstract_text) AGAINST (? ${against}) AND ${where}
+    `;
+    const [rows] = await pool.query(query, [searchQuery, ...values]);
+    return rows[0].total;
+  }
+
+  /**
+   * Find articles matching listing filters
+   * @param {object} filters - Filter values
+   * @param {object} options - { limit, offset, sort, order }
    * @returns {Promise<Array>} - Articles array
    */
-  async searchByTitle(searchTerm, limit = 10, offset = 0) {
+  async findWithFilters(filters = {}, options = {}) {
+    const { where, values } = buildFilterClause(filters);
+    const sortColumn = SORT_COLUMNS[options.sort] || SORT_COLUMNS.created_at;
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+
     const query = `
       SELECT * FROM articles 
-      WHERE paper_title LIKE ? AND deleted_at IS NULL
-      ORDER BY citation_count DESC 
+      WHERE ${where}
+      ORDER BY ${sortColumn} ${order}, id ${order}
       LIMIT ? OFFSET ?
     `;
-    const [rows] = await pool.execute(query, [`%${searchTerm}%`, limit, offset]);
+    const [rows] = await pool.query(query, [...values, options.limit || 10, options.offset || 0]);
     return rows;
   }
 
+  /**
+   * Count articles matching listing filters
+   * @param {object} filters - Filter values
+   * @returns {Promise<number>} - Total count
+   */
+  async countWithFilters(filters = {}) {
+    const { where, values } = buildFilterClause(filters);
+    const query = `
+      SELECT COUNT(*) as total 
+      FROM articles 
+      WHERE ${where}
+    `;
+    const [rows] = await pool.query(query, values);
+    return rows[0].total;
+  }
+
+  /**
+   * Update the stored citation count of an article
+   * @param {number} id - Article ID
+   * @param {number} citationCount - New citation count
+   * @returns {Promise<boolean>} - True if updated
+   */
+  async updateCitationCount(id, citationCount) {
+    const query = `
+      UPDATE articles 
+      SET citation_count = ? 
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+    const [result] = await pool.execute(query, [citationCount, id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Get articles whose citation count was observed least recently
+   * @param {number} limit - Number of articles
+   * @returns {Promise<Array>} - Articles array (never-observed first)
+   */
+  async findForCitationRefresh(limit = 20) {
+    const query = `
+      SELECT a.*, (
+        SELECT MAX(cs.observed_at) 
+        FROM citation_snapshots cs 
+        WHERE cs.article_id = a.id
+      ) as last_observed_at
+      FROM articles a 
+      WHERE a.deleted_at IS NULL
+      ORDER BY last_observed_at IS NOT NULL, last_observed_at ASC, a.id ASC 
+      LIMIT ?
+    `;
+    const [rows] = await pool.query(query, [limit]);
+    return rows;
+  }
+
+  /**
+   * Store the version cluster of an article when it becomes known
+   * @param {number} id - Article ID
+   * @param {string} clusterId - Google Scholar cluster ID
+   * @returns {Promise<boolean>} - True if updated
+   */
+  async updateClusterId(id, clusterId) {
+    const query = `
+      UPDATE articles 
+      SET cluster_id = ? 
+      WHERE id = ? AND cluster_id IS NULL
+    `;
+    const [result] = await pool.execute(query, [clusterId, id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Find a stored article that is another version of the same paper
+   * Matches on cluster_id first, then on normalized title + year
+   * @param {object} articleData - { cluster_id, normalized_title, publication_year }
+   * @returns {Promise<object|null>} - Matching article or null
+   */
+  async findDuplicate(articleData) {
+    if (articleData.cluster_id) {
+      const [rows] = await pool.execute(`
+        SELECT * FROM articles 
+        WHERE cluster_id = ? AND deleted_at IS NULL 
+        ORDER BY id ASC 
+        LIMIT 1
+      `, [articleData.cluster_id]);
+      if (rows[0]) return rows[0];
+    }
+
+    if (articleData.normalized_title && articleData.publication_year) {
+      const [rows] = await pool.execute(`
+        SELECT * FROM articles 
+        WHERE normalized_title = ? AND publication_year = ? AND deleted_at IS NULL 
+        ORDER BY id ASC 
+        LIMIT 1
+      `, [articleData.normalized_title, articleData.publication_year]);
+      if (rows[0]) return rows[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Get active articles that have no normalized title yet
+   * @returns {Promise<Array>} - [{ id, paper_title }]
+   */
+  async findWithoutNormalizedTitle() {
+    const query = `
+      SELECT id, paper_title FROM articles 
+      WHERE normalized_title IS NULL AND deleted_at IS NULL
+    `;
+    const [rows] = await pool.query(query);
+    return rows;
+  }
+
+  /**
+   * Store the normalized title of an article
+   * @param {number} id - Article ID
+   * @param {string} normalizedTitle - Normalized title
+   * @returns {Promise<void>}
+   */
+  async updateNormalizedTitle(id, normalizedTitle) {
+    await pool.execute('UPDATE articles SET normalized_title = ? WHERE id = ?', [normalizedTitle, id]);
+  }
+
+  /**
+   * Find groups of active articles that are versions of the same paper
+   * @param {string} matchBy - 'cluster' (same cluster_id) or 'title' (same normalized title and year)
+   * @returns {Promise<Array<Array<number>>>} - Article ID groups (2+ IDs each)
+   */
+  async findDuplicateGroups(matchBy) {
+    const groupColumns = matchBy === 'cluster'
+      ? 'cluster_id'
+      : 'normalized_title, publication_year';
+    const notNull = matchBy === 'cluster'
+      ? 'cluster_id IS NOT NULL'
+      : 'normalized_title IS NOT NULL AND publication_year IS NOT NULL';
+
+    const query = `
+      SELECT GROUP_CONCAT(id ORDER BY id) as ids 
+      FROM articles 
+      WHERE deleted_at IS NULL AND ${notNull}
+      GROUP BY ${groupColumns} 
+      HAVING COUNT(*) > 1
+    `;
+    const [rows] = await pool.query(query);
+    return rows.map(row => row.ids.split(',').map(Number));
+  }
+
+  /**
+   * Merge duplicate articles into a canonical one.
+   * Duplicates become alternate versions, their authors and citation edges
+   * move to the canonical article, and they are soft-deleted. Their citation
+   * snapshots stay with them, so the canonical history remains a single series
+   * @param {number} canonicalId - Article that is kept
+   * @param {Array<number>} duplicateIds - Articles merged into it
+   * @returns {Promise<void>}
+   */
+  async mergeInto(canonicalId, duplicateIds) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const duplicateId of duplicateIds) {
+        const params = [canonicalId, duplicateId];
+
+        await connection.execute(`
+          INSERT IGNORE INTO article_versions (article_id, google_scholar_id, article_url, pdf_url, source)
+          SELECT ?, google_scholar_id, article_url, pdf_url, 'merged' FROM articles WHERE id = ?
+        `, params);
+        await connection.execute('UPDATE IGNORE article_versions SET article_id = ? WHERE article_id = ?', params);
+        await connection.execute('DELETE FROM article_versions WHERE article_id = ?', [duplicateId]);
+
+        await connection.execute(`
+          INSERT IGNORE INTO article_authors (article_id, author_id, author_position, listed_name)
+          SELECT ?, author_id, author_position, listed_name FROM article_authors WHERE article_id = ?
+        `, params);
+        await connection.execute('DELETE FROM article_authors WHERE article_id = ?', [duplicateId]);
+
+        await connection.execute(`
+          UPDATE IGNORE article_citations SET citing_article_id = ? 
+          WHERE citing_article_id = ? AND cited_article_id <> ?
+        `, [canonicalId, duplicateId, canonicalId]);
+        await connection.execute(`
+          UPDATE IGNORE article_citations SET cited_article_id = ? 
+          WHERE cited_article_id = ? AND citing_article_id <> ?
+        `, [canonicalId, duplicateId, canonicalId]);
+        await connection.execute(
+          'DELETE FROM article_citations WHERE citing_article_id = ? OR cited_article_id = ?',
+          [duplicateId, duplicateId]
+        );
+
+        await connection.execute('UPDATE IGNORE article_topic_matches SET article_id = ? WHERE article_id = ?', params);
+        await connection.execute('DELETE FROM article_topic_matches WHERE article_id = ?', [duplicateId]);
+
+        // Keep the best known values on the canonical record
+        await connection.execute(`
+          UPDATE articles c, articles d 
+          SET 
+            c.citation_count = GREATEST(c.citation_count, d.citation_count),
+            c.pdf_url = COALESCE(c.pdf_url, d.pdf_url),
+            c.cluster_id = COALESCE(c.cluster_id, d.cluster_id),
+            c.cites_id = COALESCE(c.cites_id, d.cites_id),
+            c.journal = COALESCE(c.journal, d.journal),
+            c.publisher = COALESCE(c.publisher, d.publisher),
+            c.abstract_text = COALESCE(c.abstract_text, d.abstract_text)
+          WHERE c.id = ? AND d.id = ?
+        `, params);
+
+        await connection.execute(`
+          UPDATE articles SET deleted_at = CURRENT_TIMESTAMP, merged_into_id = ? 
+          WHERE id = ?
+        `, params);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Count total active articles
    * @returns {Promise<number>} - Total count
@@ -134,34 +576,169 @@ class ArticleModel {
   }
 
   /**
-   * Get statistics
+   * Get statistics: totals and publications/citations per publication year
+   * @param {object} filters - Listing filters
    * @returns {Promise<object>} - Statistics object
    */
-  async getStatistics() {
+  async getStatistics(filters = {}) {
+    const { where, values } = buildFilterClause(filters);
     const queries = {
-      total: 'SELECT COUNT(*) as count FROM articles WHERE deleted_at IS NULL',
-      totalCitations: 'SELECT SUM(citation_count) as total FROM articles WHERE deleted_at IS NULL',
-      avgCitations: 'SELECT AVG(citation_count) as avg FROM articles WHERE deleted_at IS NULL',
+      totals: `
+        SELECT COUNT(*) as count, SUM(citation_count) as citations, AVG(citation_count) as avg
+        FROM articles
+        WHERE ${where}
+      `,
       byYear: `
-        SELECT publication_year, COUNT(*) as count 
+        SELECT publication_year, COUNT(*) as count, SUM(citation_count) as citations
         FROM articles 
-        WHERE publication_year IS NOT NULL AND deleted_at IS NULL
+        WHERE publication_year IS NOT NULL AND ${where}
         GROUP BY publication_year 
-        ORDER BY publication_year DESC 
-        LIMIT 10
+        ORDER BY publication_year ASC
       `
     };
 
-    const [totalResult] = await pool.execute(queries.total);
-    const [citationsResult] = await pool.execute(queries.totalCitations);
-    const [avgResult] = await pool.execute(queries.avgCitations);
-    const [yearResult] = await pool.execute(queries.byYear);
+    const [totalsResult] = await pool.query(queries.totals, values);
+    const [yearResult] = await pool.query(queries.byYear, values);
+
+    return {
+      total_articles: totalsResult[0].count,
+      total_citations: Number(totalsResult[0].citations) || 0,
+      average_citations: Math.round(totalsResult[0].avg || 0),
+      articles_by_year: yearResult.map(row => ({
+        publication_year: row.publication_year,
+        count: row.count,
+        citations: Number(row.citations) || 0
+      }))
+    };
+  }
+
+  /**
+   * Citation counts of the articles matching filters, highest first (uncited articles are left out)
+   * @param {object} filters - Listing filters
+   * @returns {Promise<Array<number>>} - Citation counts
+   */
+  async findCitationCounts(filters = {}) {
+    const { where, values } = buildFilterClause(filters);
+    const query = `
+      SELECT citation_count
+      FROM articles
+      WHERE citation_count > 0 AND ${where}
+      ORDER BY citation_count DESC
+    `;
+    const [rows] = await pool.query(query, values);
+    return rows.map(row => row.citation_count);
+  }
+
+  /**
+   * Journals or publishers with the most articles matching filters
+   * @param {string} column - 'journal' or 'publisher'
+   * @param {object} filters - Listing filters
+   * @param {number} limit - Maximum number of venues
+   * @returns {Promise<Array>} - [{ name, articles, citations }]
+   */
+  async findTopVenues(column, filters = {}, limit = 10) {
+    if (!VENUE_COLUMNS.includes(column)) {
+      throw new Error(`Unknown venue column "${column}"`);
+    }
+
+    const { where, values } = buildFilterClause(filters);
+    const query = `
+      SELECT ${column} as name, COUNT(*) as articles, SUM(citation_count) as citations
+      FROM articles
+      WHERE ${column} IS NOT NULL AND ${column} <> '' AND ${where}
+      GROUP BY ${column}
+      ORDER BY articles DESC, citations DESC, name ASC
+      LIMIT ?
+    `;
+    const [rows] = await pool.query(query, [...values, limit]);
+    return rows.map(row => ({ ...row, citations: Number(row.citations) || 0 }));
+  }
+
+  /**
+   * Linked authors of the articles matching filters
+   * @param {object} filters - Listing filters
+   * @param {string|null} since - Also count authors first seen on or after this date
+   * @returns {Promise<object>} - { distinct_authors, articles_with_authors, average_per_article, new_authors }
+   */
+  async getAuthorshipStatistics(filters = {}, since = null) {
+    const { where, values } = buildFilterClause(filters);
+    const query = `
+      SELECT
+        COUNT(DISTINCT aa.author_id) as distinct_authors,
+        COUNT(DISTINCT aa.article_id) as articles_with_authors,
+        COUNT(*) as links,
+        COUNT(DISTINCT CASE WHEN a.first_seen >= ? THEN a.id END) as new_authors
+      FROM article_authors aa
+      JOIN authors a ON a.id = aa.author_id
+      WHERE a.deleted_at IS NULL
+        AND aa.article_id IN (SELECT id FROM articles WHERE ${where})
+    `;
+    const [rows] = await pool.query(query, [since, ...values]);
+    const row = rows[0];
+
+    return {
+      distinct_authors: row.distinct_authors,
+      articles_with_authors: row.articles_with_authors,
+      average_per_article: row.articles_with_authors
+        ? Math.round((row.links / row.articles_with_authors) * 10) / 10
+        : 0,
+      new_authors: since ? row.new_authors : null
+    };
+  }
+
+  /**
+   * Authors sharing the most articles matching filters with an author
+   * @param {number} authorId - Author ID
+   * @param {object} filters - Listing filters
+   * @param {number} limit - Maximum number of co-authors
+   * @returns {Promise<object>} - { distinct, top: [{ id, full_name, shared_articles }] }
+   */
+  async findCoauthors(authorId, filters = {}, limit = 10) {
+    const { where, values } = buildFilterClause({ ...filters, author_id: authorId });
+    const from = `
+      FROM article_authors aa
+      JOIN authors a ON a.id = aa.author_id
+      WHERE aa.author_id <> ? AND a.deleted_at IS NULL
+        AND aa.article_id IN (SELECT id FROM articles WHERE ${where})
+    `;
+
+    const [countRows] = await pool.query(`SELECT COUNT(DISTINCT aa.author_id) as total ${from}`, [authorId, ...values]);
+    const [rows] = await pool.query(`
+      SELECT a.id, a.full_name, COUNT(*) as shared_articles
+      ${from}
+      GROUP BY a.id, a.full_name
+      ORDER BY shared_articles DESC, a.full_name ASC
+      LIMIT ?
+    `, [authorId, ...values, limit]);
+
+    return { distinct: countRows[0].total, top: rows };
+  }
+
+  /**
+   * Citations gained since a date by the articles matching filters, measured
+   * against the last citation snapshot taken before that date
+   * @param {object} filters - Listing filters
+   * @param {string} since - Date (YYYY-MM-DD)
+   * @returns {Promise<object>} - { articles_compared, citations_gained }
+   */
+  async getCitationGrowth(filters = {}, since) {
+    const { where, values } = buildFilterClause(filters);
+    const query = `
+      SELECT COUNT(*) as articles_compared, SUM(ar.citation_count - cs.citation_count) as citations_gained
+      FROM (SELECT id, citation_count FROM articles WHERE ${where}) ar
+      JOIN (
+        SELECT article_id, MAX(id) as id
+        FROM citation_snapshots
+        WHERE observed_at < ? AND citation_count IS NOT NULL
+        GROUP BY article_id
+      ) last_snapshot ON last_snapshot.article_id = ar.id
+      JOIN citation_snapshots cs ON cs.id = last_snapshot.id
+    `;
+    const [rows] = await pool.query(query, [...values, since]);
 
     return {
-      total_articles: totalResult[0].count,
-      total_citations: citationsResult[0].total || 0,
-      average_citations: Math.round(avgResult[0].avg || 0),
-      articles_by_year: yearResult
+      articles_compared: rows[0].articles_compared,
+      citations_gained: Number(rows[0].citations_gained) || 0
     };
   }
 }
@@ -0,0 +1,43 @@
+const { pool } = require('../config/database');
+
+class ArticleVersionModel {
+  /**
+   * Record an alternate version of a stored article
+   * @param {number} articleId - Canonical article ID
+   * @param {object} version - { google_scholar_id, article_url, pdf_url }
+   * @param {string} source - How the version was found ('versions', 'duplicate' or 'merged')
+   * @returns {Promise<boolean>} - True if the version is new
+   */
+  async create(articleId, version, source) {
+    const query = `
+      INSERT IGNORE INTO article_versions (article_id, google_scholar_id, article_url, pdf_url, source)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    const [result] = await pool.execute(query, [
+      articleId,
+      version.google_scholar_id,
+      version.article_url || null,
+      version.pdf_url || null,
+      source
+    ]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Get alternate versions of an article
+   * @param {number} articleId - Article ID
+   * @returns {Promise<Array>} - Versions array
+   */
+  async findByArticleId(articleId) {
+    const query = `
+      SELECT id, google_scholar_id, article_url, pdf_url, source, created_at
+      FROM article_versions
+      WHERE article_id = ?
+      ORDER BY id ASC
+    `;
+    const [rows] = await pool.execute(query, [articleId]);
+    return rows;
+  }
+}
+
+module.exports = new ArticleVersionModel();
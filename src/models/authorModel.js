@@ -0,0 +1,752 @@
+const { pool } = require('../config/database');
+const authorNames = require('../utils/authorNames');
+
+// Columns that author listing is allowed to sort by
+const SORT_COLUMNS = {
+  articles: 'article_count',
+  citations: 'total_citations',
+  name: 'full_name',
+  first_seen: 'first_seen'
+};
+
+/**
+ * Build the article conditions of co-authorship graph queries (articles aliased "ar")
+ * @param {object} filters - { year_from, year_to }
+ * @returns {object} - { where, values }
+ */
+const buildGraphArticleFilter = (filters = {}) => {
+  const conditions = ['ar.deleted_at IS NULL'];
+  const values = [];
+
+  if (filters.year_from) {
+    conditions.push('ar.publication_year >= ?');
+    values.push(filters.year_from);
+  }
+
+  if (filters.year_to) {
+    conditions.push('ar.publication_year <= ?');
+    values.push(filters.year_to);
+  }
+
+  return {
+    where: conditions.join(' AND '),
+    values
+  };
+};
+
+class AuthorModel {
+  /**
+   * Insert an author or return the existing one with the same name.
+   * A deleted or merged author of that name is restored
+   * @param {string} fullName - Author name as listed on the article
+   * @param {object} connection - Optional connection (for transactions)
+   * @returns {Promise<number>} - Author ID
+   */
+  async upsert(fullName, connection = pool) {
+    const query = `
+      INSERT INTO authors (full_name, name_key)
+      VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), deleted_at = NULL, merged_into_id = NULL
+    `;
+    const [result] = await connection.execute(query, [fullName, authorNames.nameKey(fullName)]);
+    return result.insertId;
+  }
+
+  /**
+   * Find the author a listed name belongs to, creating one if none matches:
+   * an alias first, then the exact name, then a single stored author with a
+   * compatible name ("G Hinton" -> "Geoffrey Hinton"), which records the name as alias.
+   * Ambiguous abbreviations get an author of their own
+   * @param {string} name - Author name as listed on the article
+   * @param {object} connection - Optional connection (for transactions)
+   * @returns {Promise<number>} - Author ID
+   */
+  async resolveName(name, connection = pool) {
+    const [aliasRows] = await connection.execute(`
+      SELECT al.author_id
+      FROM author_aliases al
+      JOIN authors a ON a.id = al.author_id
+      WHERE al.alias = ? AND a.deleted_at IS NULL
+    `, [name]);
+    if (aliasRows[0]) return aliasRows[0].author_id;
+
+    const [exactRows] = await connection.execute(
+      'SELECT id FROM authors WHERE full_name = ? AND deleted_at IS NULL',
+      [name]
+    );
+    if (exactRows[0]) return exactRows[0].id;
+
+    const parsed = authorNames.parseName(name);
+    if (parsed && parsed.initials) {
+      const matches = (await this.findBySurname(parsed.surname, connection))
+        .filter(row => authorNames.isCompatible(parsed, authorNames.parseName(row.full_name)));
+
+      if (matches.length === 1) {
+        await this.addAlias(matches[0].id, name, 'matched', connection);
+        return matches[0].id;
+      }
+    }
+
+    return this.upsert(name, connection);
+  }
+
+  /**
+   * Link an article to its authors, preserving author order.
+   * Each listed name is matched to a stored author with resolveName()
+   * @param {number} articleId - Article ID
+   * @param {Array<string>} authorNames - Author names in listed order
+   * @returns {Promise<Array<number>>} - Linked author IDs
+   */
+  async linkArticleAuthors(articleId, authorNames) {
+    if (!authorNames || authorNames.length === 0) {
+      return [];
+    }
+
+    const connection = await pool.getConnection();
+    const authorIds = [];
+
+    try {
+      await connection.beginTransaction();
+
+      for (let i = 0; i < authorNames.length; i++) {
+        const authorId = await this.resolveName(authorNames[i], connection);
+
+        await connection.execute(`
+          INSERT IGNORE INTO article_authors (article_id, author_id, author_position, listed_name)
+          VALUES (?, ?, ?, ?)
+        `, [articleId, authorId, i + 1, authorNames[i]]);
+
+        authorIds.push(authorId);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await this.refreshCounters(authorIds);
+    return authorIds;
+  }
+
+  /**
+   * Recalculate article_count and total_citations for authors
+   * @param {Array<number>} authorIds - Author IDs
+   * @returns {Promise<void>}
+   */
+  async refreshCounters(authorIds) {
+    const ids = [...new Set(authorIds)];
+    if (ids.length === 0) return;
+
+    const query = `
+      UPDATE authors a
+      SET
+        article_count = (
+          SELECT COUNT(*)
+          FROM article_authors aa
+          JOIN articles ar ON ar.id = aa.article_id
+          WHERE aa.author_id = a.id AND ar.deleted_at IS NULL
+        ),
+        total_citations = (
+          SELECT COALESCE(SUM(ar.citation_count), 0)
+          FROM article_authors aa
+          JOIN articles ar ON ar.id = aa.article_id
+          WHERE aa.author_id = a.id AND ar.deleted_at IS NULL
+        )
+      WHERE a.id IN (?)
+    `;
+    await pool.query(query, [ids]);
+  }
+
+  /**
+   * Get author IDs linked to an article
+   * @param {number} articleId - Article ID
+   * @returns {Promise<Array<number>>} - Author IDs
+   */
+  async findIdsByArticleId(articleId) {
+    const query = `
+      SELECT author_id FROM article_authors
+      WHERE article_id = ?
+    `;
+    const [rows] = await pool.execute(query, [articleId]);
+    return rows.map(row => row.author_id);
+  }
+
+  /**
+   * Which of the given articles are linked to an author
+   * @param {number} authorId - Author ID
+   * @param {Array<number>} articleIds - Article IDs
+   * @returns {Promise<Array<number>>} - Linked article IDs
+   */
+  async findIdsOfArticles(authorId, articleIds) {
+    if (!articleIds || articleIds.length === 0) return [];
+
+    const [rows] = await pool.query(
+      'SELECT article_id FROM article_authors WHERE author_id = ? AND article_id IN (?)',
+      [authorId, articleIds]
+    );
+    return rows.map(row => Number(row.article_id));
+  }
+
+  /**
+   * Get authors of an article in listed order
+   * @param {number} articleId - Article ID
+   * @returns {Promise<Array>} - Authors array
+   */
+  async findByArticleId(articleId) {
+    const query = `
+      SELECT a.id, a.full_name, aa.author_position
+      FROM article_authors aa
+      JOIN authors a ON a.id = aa.author_id
+      WHERE aa.article_id = ? AND a.deleted_at IS NULL
+      ORDER BY aa.author_position ASC
+    `;
+    const [rows] = await pool.execute(query, [articleId]);
+    return rows;
+  }
+
+  /**
+   * Get author names for several articles in listed order
+   * @param {Array<number>} articleIds - Article IDs
+   * @returns {Promise<Map<number, Array<string>>>} - Article ID -> author names
+   */
+  async findNamesByArticleIds(articleIds) {
+    const names = new Map();
+    if (!articleIds || articleIds.length === 0) return names;
+
+    const query = `
+      SELECT aa.article_id, a.full_name
+      FROM article_authors aa
+      JOIN authors a ON a.id = aa.author_id
+      WHERE aa.article_id IN (?) AND a.deleted_at IS NULL
+      ORDER BY aa.article_id, aa.author_position ASC
+    `;
+    const [rows] = await pool.query(query, [articleIds]);
+
+    for (const row of rows) {
+      if (!names.has(row.article_id)) names.set(row.article_id, []);
+      names.get(row.article_id).push(row.full_name);
+    }
+    return names;
+  }
+
+  /**
+   * Find author by ID, including publication year range
+   * @param {number} id - Author ID
+   * @returns {Promise<object|null>} - Author or null
+   */
+  async findById(id) {
+    const query = `
+      SELECT
+        a.*,
+        MIN(ar.publication_year) as first_publication_year,
+        MAX(ar.publication_year) as last_publication_year
+      FROM authors a
+      LEFT JOIN article_authors aa ON aa.author_id = a.id
+      LEFT JOIN articles ar ON ar.id = aa.article_id AND ar.deleted_at IS NULL
+      WHERE a.id = ? AND a.deleted_at IS NULL
+      GROUP BY a.id
+    `;
+    const [rows] = await pool.execute(query, [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get all active authors with pagination
+   * @param {object} options - { limit, offset, sort, order, name }
+   * @returns {Promise<Array>} - Authors array
+   */
+  async findAll(options = {}) {
+    const sortColumn = SORT_COLUMNS[options.sort] || SORT_COLUMNS.articles;
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    const values = [];
+    let nameCondition = '';
+
+    if (options.name) {
+      nameCondition = 'AND full_name LIKE ?';
+      values.push(`%${options.name}%`);
+    }
+
+    const query = `
+      SELECT * FROM authors
+      WHERE deleted_at IS NULL ${nameCondition}
+      ORDER BY ${sortColumn} ${order}, id ASC
+      LIMIT ? OFFSET ?
+    `;
+    const [rows] = await pool.query(query, [...values, options.limit || 10, options.offset || 0]);
+    return rows;
+  }
+
+  /**
+   * Count active authors
+   * @param {string} name - Optional partial name filter
+   * @returns {Promise<number>} - Total count
+   */
+  async count(name = null) {
+    const query = `
+      SELECT COUNT(*) as total
+      FROM authors
+      WHERE deleted_at IS NULL ${name ? 'AND full_name LIKE ?' : ''}
+    `;
+    const [rows] = await pool.query(query, name ? [`%${name}%`] : []);
+    return rows[0].total;
+  }
+
+  /**
+   * Get articles linked to an author
+   * @param {number} authorId - Author ID
+   * @param {number} limit - Results limit
+   * @param {number} offset - Offset
+   * @returns {Promise<Array>} - Articles array with author_position
+   */
+  async findArticles(authorId, limit = 10, offset = 0) {
+    const query = `
+      SELECT ar.*, aa.author_position
+      FROM article_authors aa
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE aa.author_id = ? AND ar.deleted_at IS NULL
+      ORDER BY ar.publication_year DESC, ar.citation_count DESC
+      LIMIT ? OFFSET ?
+    `;
+    const [rows] = await pool.query(query, [authorId, limit, offset]);
+    return rows;
+  }
+
+  /**
+   * Count articles linked to an author
+   * @param {number} authorId - Author ID
+   * @returns {Promise<number>} - Total count
+   */
+  async countArticles(authorId) {
+    const query = `
+      SELECT COUNT(*) as total
+      FROM article_authors aa
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE aa.author_id = ? AND ar.deleted_at IS NULL
+    `;
+    const [rows] = await pool.execute(query, [authorId]);
+    return rows[0].total;
+  }
+
+  /**
+   * Get the articles of an author most recently stored first
+   * @param {number} authorId - Author ID
+   * @param {number} limit - Maximum number of articles
+   * @returns {Promise<Array>} - Articles array
+   */
+  async findLatestArticles(authorId, limit = 50) {
+    const query = `
+      SELECT ar.*
+      FROM article_authors aa
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE aa.author_id = ? AND ar.deleted_at IS NULL
+      ORDER BY ar.created_at DESC, ar.id DESC
+      LIMIT ?
+    `;
+    const [rows] = await pool.query(query, [authorId, limit]);
+    return rows;
+  }
+
+  /**
+   * Summary of an author's articles that changes whenever one is linked or removed
+   * @param {number} authorId - Author ID
+   * @returns {Promise<object>} - { total, last_id, last_created_at }
+   */
+  async getArticleFeedState(authorId) {
+    const query = `
+      SELECT COUNT(*) as total, MAX(ar.id) as last_id, MAX(ar.created_at) as last_created_at
+      FROM article_authors aa
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE aa.author_id = ? AND ar.deleted_at IS NULL
+    `;
+    const [rows] = await pool.execute(query, [authorId]);
+    return rows[0];
+  }
+
+  /**
+   * Find an active author by exact name
+   * @param {string} fullName - Author name
+   * @returns {Promise<object|null>} - Author or null
+   */
+  async findByFullName(fullName) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM authors WHERE full_name = ? AND deleted_at IS NULL',
+      [fullName]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Find the author linked to a Scholar profile by searched name
+   * (stored name, alias or the profile's display name)
+   * @param {string} name - Author name
+   * @returns {Promise<object|null>} - Author with scholar_author_id, or null
+   */
+  async findProfileByName(name) {
+    const query = `
+      SELECT * FROM authors
+      WHERE (full_name = ? OR scholar_name = ? OR id IN (SELECT author_id FROM author_aliases WHERE alias = ?))
+        AND scholar_author_id IS NOT NULL AND deleted_at IS NULL
+      ORDER BY full_name = ? DESC, id ASC
+      LIMIT 1
+    `;
+    const [rows] = await pool.execute(query, [name, name, name, name]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Find author by Scholar profile ID
+   * @param {string} scholarAuthorId - Profile ID
+   * @returns {Promise<object|null>} - Author or null
+   */
+  async findByScholarAuthorId(scholarAuthorId) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM authors WHERE scholar_author_id = ? AND deleted_at IS NULL',
+      [scholarAuthorId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Link (or unlink with null) a Scholar profile. Stored metrics are cleared
+   * @param {number} id - Author ID
+   * @param {string|null} scholarAuthorId - Profile ID
+   * @param {string|null} scholarName - Profile display name, if known
+   * @returns {Promise<void>}
+   */
+  async setScholarProfile(id, scholarAuthorId, scholarName = null) {
+    const query = `
+      UPDATE authors
+      SET scholar_author_id = ?, scholar_name = ?, affiliation = NULL, scholar_citations = NULL,
+          h_index = NULL, i10_index = NULL, citations_per_year = NULL, profile_updated_at = NULL
+      WHERE id = ?
+    `;
+    await pool.execute(query, [scholarAuthorId, scholarName, id]);
+  }
+
+  /**
+   * Store the metrics of a Scholar profile
+   * @param {number} id - Author ID
+   * @param {object} metrics - { name, affiliation, citations, h_index, i10_index, citations_per_year }
+   * @returns {Promise<void>}
+   */
+  async updateProfileMetrics(id, metrics) {
+    const query = `
+      UPDATE authors
+      SET scholar_name = COALESCE(?, scholar_name), affiliation = ?, scholar_citations = ?,
+          h_index = ?, i10_index = ?, citations_per_year = ?, profile_updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    await pool.execute(query, [
+      metrics.name,
+      metrics.affiliation,
+      metrics.citations,
+      metrics.h_index,
+      metrics.i10_index,
+      JSON.stringify(metrics.citations_per_year),
+      id
+    ]);
+  }
+
+  /**
+   * Find active authors whose name key has a surname
+   * @param {string} surname - Surname as in the name key ("hinton", "vandermaaten")
+   * @param {object} connection - Optional connection (for transactions)
+   * @returns {Promise<Array>} - { id, full_name } rows
+   */
+  async findBySurname(surname, connection = pool) {
+    const [rows] = await connection.execute(`
+      SELECT id, full_name FROM authors
+      WHERE (name_key = ? OR name_key LIKE ?) AND deleted_at IS NULL
+      ORDER BY id ASC
+    `, [surname, `${surname} %`]);
+    return rows;
+  }
+
+  /**
+   * Get the aliases of an author
+   * @param {number} authorId - Author ID
+   * @returns {Promise<Array>} - { id, alias, source, created_at } rows
+   */
+  async findAliases(authorId) {
+    const [rows] = await pool.execute(
+      'SELECT id, alias, source, created_at FROM author_aliases WHERE author_id = ? ORDER BY alias ASC',
+      [authorId]
+    );
+    return rows;
+  }
+
+  /**
+   * Find an alias by its text
+   * @param {string} alias - Name
+   * @returns {Promise<object|null>} - Alias row or null
+   */
+  async findAlias(alias) {
+    const [rows] = await pool.execute('SELECT * FROM author_aliases WHERE alias = ?', [alias]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Record a name as alias of an author. An existing alias of that name moves to the author
+   * @param {number} authorId - Author ID
+   * @param {string} alias - Name
+   * @param {string} source - 'matched', 'merged' or 'manual'
+   * @param {object} connection - Optional connection (for transactions)
+   * @returns {Promise<void>}
+   */
+  async addAlias(authorId, alias, source, connection = pool) {
+    await connection.execute(`
+      INSERT INTO author_aliases (author_id, alias, source)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE author_id = VALUES(author_id), source = VALUES(source)
+    `, [authorId, alias, source]);
+  }
+
+  /**
+   * Delete an alias of an author
+   * @param {number} authorId - Author ID
+   * @param {number} aliasId - Alias ID
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async deleteAlias(authorId, aliasId) {
+    const [result] = await pool.execute(
+      'DELETE FROM author_aliases WHERE id = ? AND author_id = ?',
+      [aliasId, authorId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Names an author is listed under on its articles
+   * @param {number} authorId - Author ID
+   * @returns {Promise<Array>} - { listed_name, articles } rows, most used first
+   */
+  async findListedNames(authorId) {
+    const [rows] = await pool.execute(`
+      SELECT aa.listed_name, COUNT(*) as articles
+      FROM article_authors aa
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE aa.author_id = ? AND ar.deleted_at IS NULL
+      GROUP BY aa.listed_name
+      ORDER BY articles DESC, aa.listed_name ASC
+    `, [authorId]);
+    return rows;
+  }
+
+  /**
+   * Merge authors into a target author: article links and aliases move to the target,
+   * the merged names become its aliases and the merged authors are soft-deleted
+   * with merged_into_id. A Scholar profile moves along when the target has none
+   * @param {number} targetId - Author kept
+   * @param {Array<number>} sourceIds - Authors merged into it
+   * @returns {Promise<void>}
+   */
+  async merge(targetId, sourceIds) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const sourceId of sourceIds) {
+        const params = [targetId, sourceId];
+
+        // Articles listing both authors keep the target's link
+        await connection.execute('UPDATE IGNORE article_authors SET author_id = ? WHERE author_id = ?', params);
+        await connection.execute('DELETE FROM article_authors WHERE author_id = ?', [sourceId]);
+
+        await connection.execute('UPDATE author_aliases SET author_id = ? WHERE author_id = ?', params);
+        await connection.execute(`
+          INSERT INTO author_aliases (author_id, alias, source)
+          SELECT ?, full_name, 'merged' FROM authors WHERE id = ?
+          ON DUPLICATE KEY UPDATE author_id = VALUES(author_id), source = VALUES(source)
+        `, params);
+
+        const [[profile]] = await connection.execute(`
+          SELECT s.scholar_author_id, s.scholar_name, s.affiliation, s.scholar_citations,
+                 s.h_index, s.i10_index, s.citations_per_year, s.profile_updated_at
+          FROM authors s, authors t
+          WHERE s.id = ? AND t.id = ? AND s.scholar_author_id IS NOT NULL AND t.scholar_author_id IS NULL
+        `, [sourceId, targetId]);
+
+        await connection.execute(`
+          UPDATE authors
+          SET deleted_at = CURRENT_TIMESTAMP, merged_into_id = ?, scholar_author_id = NULL,
+              article_count = 0, total_citations = 0
+          WHERE id = ?
+        `, params);
+        await connection.execute('UPDATE authors SET merged_into_id = ? WHERE merged_into_id = ?', params);
+
+        if (profile) {
+          await connection.execute(`
+            UPDATE authors
+            SET scholar_author_id = ?, scholar_name = ?, affiliation = ?, scholar_citations = ?,
+                h_index = ?, i10_index = ?, citations_per_year = ?, profile_updated_at = ?
+            WHERE id = ?
+          `, [
+            profile.scholar_author_id,
+            profile.scholar_name,
+            profile.affiliation,
+            profile.scholar_citations,
+            profile.h_index,
+            profile.i10_index,
+            profile.citations_per_year === null ? null : JSON.stringify(profile.citations_per_year),
+            profile.profile_updated_at,
+            targetId
+          ]);
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await this.refreshCounters([targetId]);
+  }
+
+  /**
+   * Move some of an author's article links, and aliases, to another author
+   * @param {number} sourceId - Author the links are taken from
+   * @param {number} targetId - Author receiving them
+   * @param {object} selection - { names (listed names), articleIds, aliases }
+   * @returns {Promise<number>} - Number of article links moved
+   */
+  async moveLinks(sourceId, targetId, selection) {
+    const names = selection.names || [];
+    const articleIds = selection.articleIds || [];
+    const aliases = selection.aliases || [];
+    const conditions = [];
+    const values = [];
+
+    if (names.length > 0) {
+      conditions.push('listed_name IN (?)');
+      values.push(names);
+    }
+    if (articleIds.length > 0) {
+      conditions.push('article_id IN (?)');
+      values.push(articleIds);
+    }
+
+    const connection = await pool.getConnection();
+    let moved = 0;
+
+    try {
+      await connection.beginTransaction();
+
+      if (conditions.length > 0) {
+        const where = `author_id = ? AND (${conditions.join(' OR ')})`;
+        const [result] = await connection.query(
+          `UPDATE IGNORE article_authors SET author_id = ? WHERE ${where}`,
+          [targetId, sourceId, ...values]
+        );
+        moved = result.affectedRows;
+
+        // Articles already linked to the target
+        const [removed] = await connection.query(`DELETE FROM article_authors WHERE ${where}`, [sourceId, ...values]);
+        moved += removed.affectedRows;
+      }
+
+      for (const alias of aliases) {
+        await this.addAlias(targetId, alias, 'manual', connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await this.refreshCounters([sourceId, targetId]);
+    return moved;
+  }
+
+  /**
+   * Authors with their article and citation counts over the articles matching graph filters,
+   * most prolific first
+   * @param {object} filters - { year_from, year_to, ids (restrict to these authors), min_articles }
+   * @param {number} limit - Maximum number of authors
+   * @returns {Promise<Array>} - [{ id, full_name, scholar_author_id, article_count, citation_count }]
+   */
+  async findGraphNodes(filters = {}, limit = 500) {
+    if (filters.ids && filters.ids.length === 0) return [];
+
+    const { where, values } = buildGraphArticleFilter(filters);
+    const query = `
+      SELECT a.id, a.full_name, a.scholar_author_id,
+        COUNT(*) as article_count, SUM(ar.citation_count) as citation_count
+      FROM article_authors aa
+      JOIN authors a ON a.id = aa.author_id
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE a.deleted_at IS NULL AND ${where} ${filters.ids ? 'AND a.id IN (?)' : ''}
+      GROUP BY a.id, a.full_name, a.scholar_author_id
+      HAVING article_count >= ?
+      ORDER BY article_count DESC, citation_count DESC, a.id ASC
+      LIMIT ?
+    `;
+    const params = filters.ids ? [...values, filters.ids] : values;
+    const [rows] = await pool.query(query, [...params, filters.min_articles || 1, limit]);
+    return rows.map(row => ({ ...row, citation_count: Number(row.citation_count) || 0 }));
+  }
+
+  /**
+   * Co-authors of some authors, strongest collaborations first
+   * @param {Array<number>} authorIds - Author IDs
+   * @param {object} filters - { year_from, year_to }
+   * @param {number} minShared - Articles two authors must share
+   * @returns {Promise<Array>} - [{ author_id, coauthor_id, shared_articles }]
+   */
+  async findCoauthorLinks(authorIds, filters = {}, minShared = 1) {
+    if (!authorIds || authorIds.length === 0) return [];
+
+    const { where, values } = buildGraphArticleFilter(filters);
+    const query = `
+      SELECT aa.author_id, co.author_id as coauthor_id, COUNT(*) as shared_articles
+      FROM article_authors aa
+      JOIN article_authors co ON co.article_id = aa.article_id AND co.author_id <> aa.author_id
+      JOIN authors a ON a.id = co.author_id
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE aa.author_id IN (?) AND a.deleted_at IS NULL AND ${where}
+      GROUP BY aa.author_id, co.author_id
+      HAVING shared_articles >= ?
+      ORDER BY shared_articles DESC, co.author_id ASC
+    `;
+    const [rows] = await pool.query(query, [authorIds, ...values, minShared]);
+    return rows;
+  }
+
+  /**
+   * Co-authorship edges among a set of authors, one per pair
+   * @param {Array<number>} authorIds - Author IDs
+   * @param {object} filters - { year_from, year_to }
+   * @param {number} minShared - Articles two authors must share
+   * @returns {Promise<Array>} - [{ source, target, shared_articles, shared_citations, first_year, last_year }]
+   */
+  async findCoauthorEdges(authorIds, filters = {}, minShared = 1) {
+    if (!authorIds || authorIds.length < 2) return [];
+
+    const { where, values } = buildGraphArticleFilter(filters);
+    const query = `
+      SELECT aa.author_id as source, co.author_id as target,
+        COUNT(*) as shared_articles, SUM(ar.citation_count) as shared_citations,
+        MIN(ar.publication_year) as first_year, MAX(ar.publication_year) as last_year
+      FROM article_authors aa
+      JOIN article_authors co ON co.article_id = aa.article_id AND co.author_id > aa.author_id
+      JOIN articles ar ON ar.id = aa.article_id
+      WHERE aa.author_id IN (?) AND co.author_id IN (?) AND ${where}
+      GROUP BY aa.author_id, co.author_id
+      HAVING shared_articles >= ?
+      ORDER BY aa.author_id ASC, co.author_id ASC
+    `;
+    const [rows] = await pool.query(query, [authorIds, authorIds, ...values, minShared]);
+    return rows.map(row => ({ ...row, shared_citations: Number(row.shared_citations) || 0 }));
+  }
+}
+
+module.exports = new AuthorModel();
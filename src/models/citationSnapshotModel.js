@@ -0,0 +1,79 @@
+const { pool } = require('../config/database');
+
+class CitationSnapshotModel {
+  /**
+   * Record a citation count observation
+   * @param {number} articleId - Article ID
+   * @param {number|null} citationCount - Observed citation count (null when the article was not found)
+   * @param {string} source - Where the observation came from ('insert', 'refresh' or 'not_found')
+   * @returns {Promise<number>} - Inserted ID
+   */
+  async create(articleId, citationCount, source) {
+    const query = `
+      INSERT INTO citation_snapshots (article_id, citation_count, source)
+      VALUES (?, ?, ?)
+    `;
+    const [result] = await pool.execute(query, [articleId, citationCount, source]);
+    return result.insertId;
+  }
+
+  /**
+   * Get citation history of an article
+   * @param {number} articleId - Article ID
+   * @returns {Promise<Array>} - Snapshots ordered by observation time
+   */
+  async findByArticleId(articleId) {
+    const query = `
+      SELECT citation_count, source, observed_at
+      FROM citation_snapshots
+      WHERE article_id = ? AND citation_count IS NOT NULL
+      ORDER BY observed_at ASC, id ASC
+    `;
+    const [rows] = await pool.execute(query, [articleId]);
+    return rows;
+  }
+
+  /**
+   * Get daily citation totals across an author's articles
+   * Each article contributes its latest count observed up to that day (its highest
+   * count on the day itself), so a day on which only some articles were refreshed
+   * still totals all of them. Articles not yet observed by a day are left out
+   * @param {number} authorId - Author ID
+   * @returns {Promise<Array>} - [{ day, total_citations, articles_observed, articles_refreshed }]
+   */
+  async findDailyTotalsByAuthorId(authorId) {
+    const query = `
+      SELECT cs.article_id, DATE(cs.observed_at) as day, MAX(cs.citation_count) as citation_count
+      FROM citation_snapshots cs
+      JOIN article_authors aa ON aa.article_id = cs.article_id
+      JOIN articles ar ON ar.id = cs.article_id
+      WHERE aa.author_id = ? AND ar.deleted_at IS NULL AND cs.citation_count IS NOT NULL
+      GROUP BY cs.article_id, DATE(cs.observed_at)
+      ORDER BY day ASC
+    `;
+    const [rows] = await pool.execute(query, [authorId]);
+
+    const latest = new Map();
+    const totals = [];
+    let total = 0;
+
+    for (const row of rows) {
+      let current = totals[totals.length - 1];
+      if (!current || String(current.day) !== String(row.day)) {
+        current = { day: row.day, total_citations: 0, articles_observed: 0, articles_refreshed: 0 };
+        totals.push(current);
+      }
+
+      total += row.citation_count - (latest.get(row.article_id) || 0);
+      latest.set(row.article_id, row.citation_count);
+
+      current.total_citations = total;
+      current.articles_observed = latest.size;
+      current.articles_refreshed++;
+    }
+
+    return totals;
+  }
+}
+
+module.exports = new CitationSnapshotModel();
@@ -0,0 +1,212 @@
+const { pool } = require('../config/database');
+
+// Fields that can be changed through update()
+const UPDATABLE_FIELDS = ['name', 'channel', 'target', 'format', 'group_by', 'min_citations', 'send_empty', 'enabled'];
+
+/**
+ * Convert a database row into a subscriber object
+ * @param {object} row - Database row
+ * @returns {object} - Subscriber
+ */
+const toSubscriber = (row) => ({
+  ...row,
+  send_empty: !!row.send_empty,
+  enabled: !!row.enabled
+});
+
+/**
+ * Build the WHERE clause for delivery listing filters
+ * @param {object} filters - { subscriber_id, status }
+ * @returns {object} - { where, values }
+ */
+const buildDeliveryFilter = (filters = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (filters.subscriber_id) {
+    conditions.push('d.subscriber_id = ?');
+    values.push(filters.subscriber_id);
+  }
+
+  if (filters.status) {
+    conditions.push('d.status = ?');
+    values.push(filters.status);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values
+  };
+};
+
+class DigestSubscriberModel {
+  /**
+   * Create a subscriber. Its first digest starts after the newest stored article
+   * @param {object} data - { name, channel, target, format, group_by, min_citations, send_empty, enabled }
+   * @returns {Promise<number>} - Inserted ID
+   */
+  async create(data) {
+    const query = `
+      INSERT INTO digest_subscribers (name, channel, target, format, group_by, min_citations, send_empty, enabled, last_article_id)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(MAX(id), 0) FROM articles
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [
+        data.name,
+        data.channel,
+        data.target,
+        data.format || 'html',
+        data.group_by || 'source',
+        data.min_citations || 0,
+        !!data.send_empty,
+        data.enabled === undefined ? true : !!data.enabled
+      ]);
+      return result.insertId;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(`Subscriber named '${data.name}' already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of a subscriber
+   * @param {number} id - Subscriber ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<boolean>} - True if updated
+   */
+  async update(id, data) {
+    const fields = UPDATABLE_FIELDS.filter(field => data[field] !== undefined);
+    if (fields.length === 0) return true;
+
+    const values = fields.map(field => {
+      if (field === 'enabled' || field === 'send_empty') return !!data[field];
+      return data[field];
+    });
+
+    const query = `
+      UPDATE digest_subscribers
+      SET ${fields.map(field => `${field} = ?`).join(', ')}
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [...values, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(`Subscriber named '${data.name}' already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscriber and its delivery history
+   * @param {number} id - Subscriber ID
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async delete(id) {
+    const [result] = await pool.execute('DELETE FROM digest_subscribers WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Find subscriber by ID
+   * @param {number} id - Subscriber ID
+   * @returns {Promise<object|null>} - Subscriber or null
+   */
+  async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM digest_subscribers WHERE id = ?', [id]);
+    return rows[0] ? toSubscriber(rows[0]) : null;
+  }
+
+  /**
+   * Get all subscribers
+   * @param {boolean} enabledOnly - Only return enabled subscribers
+   * @returns {Promise<Array>} - Subscribers array
+   */
+  async findAll(enabledOnly = false) {
+    const query = `
+      SELECT * FROM digest_subscribers
+      ${enabledOnly ? 'WHERE enabled = TRUE' : ''}
+      ORDER BY id ASC
+    `;
+    const [rows] = await pool.query(query);
+    return rows.map(toSubscriber);
+  }
+
+  /**
+   * Move a subscriber's watermark past the articles a digest covered
+   * @param {number} id - Subscriber ID
+   * @param {number} lastArticleId - Newest article covered by the digest
+   * @param {boolean} sent - Whether a digest was delivered (updates last_sent_at)
+   * @returns {Promise<void>}
+   */
+  async advance(id, lastArticleId, sent) {
+    const query = `
+      UPDATE digest_subscribers
+      SET last_article_id = GREATEST(last_article_id, ?) ${sent ? ', last_sent_at = CURRENT_TIMESTAMP' : ''}
+      WHERE id = ?
+    `;
+    await pool.execute(query, [lastArticleId, id]);
+  }
+
+  /**
+   * Record a delivery attempt
+   * @param {object} data - { subscriber_id, trigger_source, status ('sent' or 'failed'), article_count, from_article_id, to_article_id, error_message }
+   * @returns {Promise<number>} - Inserted ID
+   */
+  async recordDelivery(data) {
+    const query = `
+      INSERT INTO digest_deliveries
+        (subscriber_id, trigger_source, status, article_count, from_article_id, to_article_id, error_message)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    const [result] = await pool.execute(query, [
+      data.subscriber_id,
+      data.trigger_source,
+      data.status,
+      data.article_count || 0,
+      data.from_article_id || null,
+      data.to_article_id || null,
+      data.error_message || null
+    ]);
+    return result.insertId;
+  }
+
+  /**
+   * Get delivery attempts, most recent first
+   * @param {object} filters - { subscriber_id, status }
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<Array>} - Deliveries array
+   */
+  async findDeliveries(filters = {}, options = {}) {
+    const { where, values } = buildDeliveryFilter(filters);
+    const query = `
+      SELECT d.*, s.name as subscriber_name, s.channel
+      FROM digest_deliveries d
+      JOIN digest_subscribers s ON s.id = d.subscriber_id
+      ${where}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT ? OFFSET ?
+    `;
+    const [rows] = await pool.query(query, [...values, options.limit || 20, options.offset || 0]);
+    return rows;
+  }
+
+  /**
+   * Count delivery attempts matching filters
+   * @param {object} filters - { subscriber_id, status }
+   * @returns {Promise<number>} - Total count
+   */
+  async countDeliveries(filters = {}) {
+    const { where, values } = buildDeliveryFilter(filters);
+    const [rows] = await pool.query(`SELECT COUNT(*) as total FROM digest_deliveries d ${where}`, values);
+    return rows[0].total;
+  }
+}
+
+module.exports = new DigestSubscriberModel();
@@ -0,0 +1,174 @@
+const { pool } = require('../config/database');
+
+/**
+ * Convert a database row into a fetch job object
+ * @param {object} row - Database row
+ * @returns {object} - Fetch job
+ */
+const toFetchJob = (row) => ({
+  ...row,
+  authors: typeof row.authors === 'string' ? JSON.parse(row.authors) : row.authors,
+  results: (typeof row.results === 'string' ? JSON.parse(row.results) : row.results) || [],
+  cancel_requested: !!row.cancel_requested,
+  force_refresh: !!row.force_refresh
+});
+
+class FetchJobModel {
+  /**
+   * Queue a fetch job
+   * @param {object} data - { authors, per_author, max_pages, force_refresh }
+   * @returns {Promise<number>} - Job ID
+   */
+  async create(data) {
+    const query = `
+      INSERT INTO fetch_jobs (status, authors, per_author, max_pages, force_refresh)
+      VALUES ('queued', ?, ?, ?, ?)
+    `;
+    const [result] = await pool.execute(query, [
+      JSON.stringify(data.authors),
+      data.per_author,
+      data.max_pages,
+      !!data.force_refresh
+    ]);
+    return result.insertId;
+  }
+
+  /**
+   * Find job by ID
+   * @param {number} id - Job ID
+   * @returns {Promise<object|null>} - Job or null
+   */
+  async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM fetch_jobs WHERE id = ?', [id]);
+    return rows[0] ? toFetchJob(rows[0]) : null;
+  }
+
+  /**
+   * Get jobs, most recent first
+   * @param {object} options - { limit, offset, status }
+   * @returns {Promise<Array>} - Jobs array
+   */
+  async findAll(options = {}) {
+    const query = `
+      SELECT * FROM fetch_jobs
+      ${options.status ? 'WHERE status = ?' : ''}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `;
+    const values = options.status ? [options.status] : [];
+    const [rows] = await pool.query(query, [...values, options.limit || 20, options.offset || 0]);
+    return rows.map(toFetchJob);
+  }
+
+  /**
+   * Count jobs
+   * @param {string} status - Optional status filter
+   * @returns {Promise<number>} - Total count
+   */
+  async count(status = null) {
+    const query = `SELECT COUNT(*) as total FROM fetch_jobs ${status ? 'WHERE status = ?' : ''}`;
+    const [rows] = await pool.query(query, status ? [status] : []);
+    return rows[0].total;
+  }
+
+  /**
+   * Claim the oldest queued job for processing
+   * @returns {Promise<object|null>} - Claimed job, or null if the queue is empty
+   */
+  async claimNext() {
+    const [rows] = await pool.query(`
+      SELECT id FROM fetch_jobs
+      WHERE status = 'queued'
+      ORDER BY id ASC
+      LIMIT 1
+    `);
+    if (!rows[0]) return null;
+
+    // Only one worker wins the status change
+    const [result] = await pool.execute(`
+      UPDATE fetch_jobs
+      SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+      WHERE id = ? AND status = 'queued'
+    `, [rows[0].id]);
+
+    return result.affectedRows > 0 ? this.findById(rows[0].id) : null;
+  }
+
+  /**
+   * Put jobs left running by a stopped server back in the queue
+   * @returns {Promise<number>} - Number of requeued jobs
+   */
+  async requeueInterrupted() {
+    const [result] = await pool.execute(`
+      UPDATE fetch_jobs
+      SET status = 'queued'
+      WHERE status = 'running'
+    `);
+    return result.affectedRows;
+  }
+
+  /**
+   * Store the author results completed so far
+   * @param {number} id - Job ID
+   * @param {Array<object>} results - Per-author results
+   * @returns {Promise<void>}
+   */
+  async saveResults(id, results) {
+    await pool.execute('UPDATE fetch_jobs SET results = ? WHERE id = ?', [JSON.stringify(results), id]);
+  }
+
+  /**
+   * Link the job to its fetch_runs record
+   * @param {number} id - Job ID
+   * @param {number} runId - Run ID
+   * @returns {Promise<void>}
+   */
+  async setRunId(id, runId) {
+    await pool.execute('UPDATE fetch_jobs SET run_id = ? WHERE id = ?', [runId, id]);
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {number} id - Job ID
+   * @param {string} status - 'completed', 'partial' (an author failed or the credit budget ran out), 'cancelled' or 'failed'
+   * @param {string} errorMessage - Optional error
+   * @returns {Promise<void>}
+   */
+  async finish(id, status, errorMessage = null) {
+    const query = `
+      UPDATE fetch_jobs
+      SET status = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    await pool.execute(query, [status, errorMessage, id]);
+  }
+
+  /**
+   * Cancel a job: queued jobs are cancelled at once, running jobs stop before their next result page
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} - True if the job was queued or running
+   */
+  async requestCancel(id) {
+    const [result] = await pool.execute(`
+      UPDATE fetch_jobs
+      SET
+        cancel_requested = TRUE,
+        status = IF(status = 'queued', 'cancelled', status),
+        finished_at = IF(status = 'cancelled', CURRENT_TIMESTAMP, finished_at)
+      WHERE id = ? AND status IN ('queued', 'running')
+    `, [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Whether cancellation was requested for a job
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} - True if cancellation was requested
+   */
+  async isCancelRequested(id) {
+    const [rows] = await pool.execute('SELECT cancel_requested FROM fetch_jobs WHERE id = ?', [id]);
+    return !!(rows[0] && rows[0].cancel_requested);
+  }
+}
+
+module.exports = new FetchJobModel();
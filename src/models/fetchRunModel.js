@@ -0,0 +1,244 @@
+const { pool } = require('../config/database');
+
+/**
+ * Convert a fetch_run_authors row into an author outcome
+ * @param {object} row - Database row
+ * @returns {object} - Author outcome
+ */
+const toAuthorOutcome = (row) => ({
+  ...row,
+  article_ids: typeof row.article_ids === 'string' ? JSON.parse(row.article_ids) : (row.article_ids || [])
+});
+
+/**
+ * Build the WHERE clause for run listing filters
+ * @param {object} filters - { trigger_source, status, watchlist_id, author }
+ * @returns {object} - { where, values }
+ */
+const buildFilterClause = (filters = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (filters.trigger_source) {
+    conditions.push('r.trigger_source = ?');
+    values.push(filters.trigger_source);
+  }
+
+  if (filters.status) {
+    conditions.push('r.status = ?');
+    values.push(filters.status);
+  }
+
+  if (filters.watchlist_id) {
+    conditions.push('r.watchlist_id = ?');
+    values.push(filters.watchlist_id);
+  }
+
+  if (filters.author) {
+    conditions.push('r.id IN (SELECT run_id FROM fetch_run_authors WHERE author_name = ?)');
+    values.push(filters.author);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values
+  };
+};
+
+class FetchRunModel {
+  /**
+   * Open a run record before fetching starts
+   * @param {object} data - { trigger_source, watchlist_id, authors_requested, per_author, max_pages }
+   * @returns {Promise<number>} - Run ID
+   */
+  async create(data) {
+    const query = `
+      INSERT INTO fetch_runs (trigger_source, watchlist_id, status, authors_requested, per_author, max_pages)
+      VALUES (?, ?, 'running', ?, ?, ?)
+    `;
+    const [result] = await pool.execute(query, [
+      data.trigger_source,
+      data.watchlist_id || null,
+      data.authors_requested,
+      data.per_author,
+      data.max_pages
+    ]);
+    return result.insertId;
+  }
+
+  /**
+   * Close a run with its totals and per-author outcomes
+   * @param {number} id - Run ID
+   * @param {string} status - 'success', 'partial', 'cancelled' (fetch jobs) or 'failed'
+   * @param {object} summary - Run summary (fetchService.fetchArticlesByAuthors)
+   * @param {Array<object>} authors - Per-author results
+   * @param {string} errorMessage - Optional run-level error
+   * @returns {Promise<void>}
+   */
+  async finish(id, status, summary, authors = [], errorMessage = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(`
+        UPDATE fetch_runs
+        SET status = ?, total_fetched = ?, total_saved = ?, total_already_exists = ?,
+            serpapi_calls = ?, cache_hits = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        status,
+        summary.total_fetched || 0,
+        summary.total_saved || 0,
+        summary.total_already_exists || 0,
+        summary.serpapi_calls || 0,
+        summary.cache_hits || 0,
+        errorMessage,
+        id
+      ]);
+
+      for (const author of authors) {
+        await connection.execute(`
+          INSERT INTO fetch_run_authors
+            (run_id, author_name, quota, fetched, saved, already_exists, pages_consumed, cache_hits, stop_reason, error_message, article_ids)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          id,
+          author.author,
+          author.quota,
+          author.fetched,
+          author.saved,
+          author.already_exists,
+          author.pages_consumed,
+          author.cache_hits || 0,
+          author.stop_reason,
+          author.error || null,
+          JSON.stringify(author.articles.map(article => article.id))
+        ]);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find run by ID, including per-author outcomes
+   * @param {number} id - Run ID
+   * @returns {Promise<object|null>} - Run or null
+   */
+  async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM fetch_runs WHERE id = ?', [id]);
+    if (!rows[0]) return null;
+
+    const [authors] = await pool.execute(`
+      SELECT author_name, quota, fetched, saved, already_exists, pages_consumed, cache_hits, stop_reason, error_message, article_ids
+      FROM fetch_run_authors
+      WHERE run_id = ?
+      ORDER BY id ASC
+    `, [id]);
+
+    return { ...rows[0], authors: authors.map(toAuthorOutcome) };
+  }
+
+  /**
+   * Get runs, most recent first
+   * @param {object} filters - { trigger_source, status, watchlist_id, author }
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<Array>} - Runs array
+   */
+  async findAll(filters = {}, options = {}) {
+    const { where, values } = buildFilterClause(filters);
+    const query = `
+      SELECT r.* FROM fetch_runs r
+      ${where}
+      ORDER BY r.started_at DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `;
+    const [rows] = await pool.query(query, [...values, options.limit || 20, options.offset || 0]);
+    return rows;
+  }
+
+  /**
+   * Count runs matching filters
+   * @param {object} filters - { trigger_source, status, watchlist_id, author }
+   * @returns {Promise<number>} - Total count
+   */
+  async count(filters = {}) {
+    const { where, values } = buildFilterClause(filters);
+    const [rows] = await pool.query(`SELECT COUNT(*) as total FROM fetch_runs r ${where}`, values);
+    return rows[0].total;
+  }
+
+  /**
+   * Aggregate outcomes per searched author across runs
+   * @param {object} options - { limit, offset, onlyEmpty }
+   * @returns {Promise<Array>} - Author outcome totals, authors that return nothing first
+   */
+  async findAuthorTotals(options = {}) {
+    const query = `
+      SELECT
+        author_name,
+        COUNT(*) as runs,
+        SUM(saved) as total_saved,
+        SUM(fetched) as total_fetched,
+        SUM(CASE WHEN saved = 0 THEN 1 ELSE 0 END) as runs_without_new_articles,
+        SUM(CASE WHEN stop_reason = 'error' THEN 1 ELSE 0 END) as runs_with_errors,
+        MAX(created_at) as last_run_at
+      FROM fetch_run_authors
+      GROUP BY author_name
+      ${options.onlyEmpty ? 'HAVING total_saved = 0' : ''}
+      ORDER BY total_saved ASC, runs DESC, author_name ASC
+      LIMIT ? OFFSET ?
+    `;
+    const [rows] = await pool.query(query, [options.limit || 20, options.offset || 0]);
+    return rows;
+  }
+
+  /**
+   * Count distinct searched authors
+   * @param {boolean} onlyEmpty - Only authors that never produced a new article
+   * @returns {Promise<number>} - Total count
+   */
+  async countAuthors(onlyEmpty = false) {
+    const query = onlyEmpty
+      ? 'SELECT COUNT(*) as total FROM (SELECT author_name FROM fetch_run_authors GROUP BY author_name HAVING SUM(saved) = 0) t'
+      : 'SELECT COUNT(DISTINCT author_name) as total FROM fetch_run_authors';
+    const [rows] = await pool.query(query);
+    return rows[0].total;
+  }
+
+  /**
+   * Searched author whose fetch saved each article, from runs recorded since a time
+   * @param {Array<number>} articleIds - Article IDs
+   * @param {Date|string} since - Oldest run outcome to consider (creation of the oldest article)
+   * @returns {Promise<Map<number, string>>} - Article ID -> searched author name
+   */
+  async findSearchedAuthors(articleIds, since) {
+    const authors = new Map();
+    if (!articleIds || articleIds.length === 0) return authors;
+
+    const [rows] = await pool.query(`
+      SELECT author_name, article_ids
+      FROM fetch_run_authors
+      WHERE saved > 0 AND created_at >= ?
+      ORDER BY id ASC
+    `, [since]);
+
+    const wanted = new Set(articleIds);
+    for (const row of rows.map(toAuthorOutcome)) {
+      for (const articleId of row.article_ids) {
+        if (wanted.has(articleId) && !authors.has(articleId)) {
+          authors.set(articleId, row.author_name);
+        }
+      }
+    }
+    return authors;
+  }
+}
+
+module.exports = new FetchRunModel();
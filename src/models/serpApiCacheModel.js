@@ -0,0 +1,96 @@
+const { pool } = require('../config/database');
+
+class SerpApiCacheModel {
+  /**
+   * Get an unexpired cached response and count the hit
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} - Response data or null
+   */
+  async get(key) {
+    const query = `
+      SELECT response FROM serpapi_cache
+      WHERE cache_key = ? AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const [rows] = await pool.execute(query, [key]);
+    if (!rows[0]) return null;
+
+    await pool.execute(
+      'UPDATE serpapi_cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE cache_key = ?',
+      [key]
+    );
+    return JSON.parse(rows[0].response);
+  }
+
+  /**
+   * Store (or replace) a response
+   * @param {string} key - Cache key
+   * @param {object} entry - { call_type, params, response, ttl_seconds }
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    const query = `
+      INSERT INTO serpapi_cache (cache_key, call_type, params, response, expires_at)
+      VALUES (?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+      ON DUPLICATE KEY UPDATE
+        response = VALUES(response),
+        created_at = CURRENT_TIMESTAMP,
+        expires_at = VALUES(expires_at),
+        hits = 0
+    `;
+    await pool.execute(query, [
+      key,
+      entry.call_type,
+      JSON.stringify(entry.params),
+      JSON.stringify(entry.response),
+      entry.ttl_seconds
+    ]);
+  }
+
+  /**
+   * Delete cached responses
+   * @param {object} filters - { call_type, expiredOnly }
+   * @returns {Promise<number>} - Deleted entries
+   */
+  async purge(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.call_type) {
+      conditions.push('call_type = ?');
+      values.push(filters.call_type);
+    }
+    if (filters.expiredOnly) {
+      conditions.push('expires_at <= CURRENT_TIMESTAMP');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [result] = await pool.query(`DELETE FROM serpapi_cache ${where}`, values);
+    return result.affectedRows;
+  }
+
+  /**
+   * Entry counts per call type
+   * @returns {Promise<Array>} - { call_type, entries, expired, hits }
+   */
+  async stats() {
+    const query = `
+      SELECT
+        call_type,
+        COUNT(*) as entries,
+        SUM(CASE WHEN expires_at <= CURRENT_TIMESTAMP THEN 1 ELSE 0 END) as expired,
+        COALESCE(SUM(hits), 0) as hits
+      FROM serpapi_cache
+      GROUP BY call_type
+      ORDER BY call_type ASC
+    `;
+    const [rows] = await pool.query(query);
+    return rows.map(row => ({
+      call_type: row.call_type,
+      entries: Number(row.entries),
+      expired: Number(row.expired),
+      hits: Number(row.hits)
+    }));
+  }
+}
+
+module.exports = new SerpApiCacheModel();
@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+
+class SerpApiUsageModel {
+  /**
+   * Add to a day's usage counters
+   * @param {string} date - UTC date (YYYY-MM-DD)
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {string} triggerSource - api, schedule or manual
+   * @param {object} counts - { requests, cache_hits }
+   * @returns {Promise<void>}
+   */
+  async increment(date, callType, triggerSource, counts) {
+    const query = `
+      INSERT INTO serpapi_usage (usage_date, call_type, trigger_source, requests, cache_hits)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        requests = requests + VALUES(requests),
+        cache_hits = cache_hits + VALUES(cache_hits)
+    `;
+    await pool.execute(query, [date, callType, triggerSource, counts.requests || 0, counts.cache_hits || 0]);
+  }
+
+  /**
+   * Total requests sent in a date range
+   * @param {string} fromDate - First UTC date (inclusive)
+   * @param {string} toDate - Last UTC date (inclusive)
+   * @returns {Promise<number>} - Requests
+   */
+  async sumRequests(fromDate, toDate) {
+    const query = `
+      SELECT COALESCE(SUM(requests), 0) as total
+      FROM serpapi_usage
+      WHERE usage_date BETWEEN ? AND ?
+    `;
+    const [rows] = await pool.execute(query, [fromDate, toDate]);
+    return Number(rows[0].total);
+  }
+
+  /**
+   * Usage totals in a date range grouped by a column
+   * @param {string} column - 'call_type' or 'trigger_source'
+   * @param {string} fromDate - First UTC date (inclusive)
+   * @param {string} toDate - Last UTC date (inclusive)
+   * @returns {Promise<Array>} - { <column>, requests, cache_hits }
+   */
+  async sumBy(column, fromDate, toDate) {
+    const groupColumn = column === 'trigger_source' ? 'trigger_source' : 'call_type';
+    const query = `
+      SELECT ${groupColumn}, SUM(requests) as requests, SUM(cache_hits) as cache_hits
+      FROM serpapi_usage
+      WHERE usage_date BETWEEN ? AND ?
+      GROUP BY ${groupColumn}
+      ORDER BY requests DESC
+    `;
+    const [rows] = await pool.query(query, [fromDate, toDate]);
+    return rows.map(row => ({
+      [groupColumn]: row[groupColumn],
+      requests: Number(row.requests),
+      cache_hits: Number(row.cache_hits)
+    }));
+  }
+
+  /**
+   * Daily usage totals in a date range
+   * @param {string} fromDate - First UTC date (inclusive)
+   * @param {string} toDate - Last UTC date (inclusive)
+   * @returns {Promise<Array>} - { date, requests, cache_hits }, oldest first
+   */
+  async findDaily(fromDate, toDate) {
+    const query = `
+      SELECT DATE_FORMAT(usage_date, '%Y-%m-%d') as date, SUM(requests) as requests, SUM(cache_hits) as cache_hits
+      FROM serpapi_usage
+      WHERE usage_date BETWEEN ? AND ?
+      GROUP BY usage_date
+      ORDER BY usage_date ASC
+    `;
+    const [rows] = await pool.query(query, [fromDate, toDate]);
+    return rows.map(row => ({
+      date: row.date,
+      requests: Number(row.requests),
+      cache_hits: Number(row.cache_hits)
+    }));
+  }
+}
+
+module.exports = new SerpApiUsageModel();
@@ -0,0 +1,233 @@
+const { pool } = require('../config/database');
+
+// Fields that can be changed through update()
+const UPDATABLE_FIELDS = ['name', 'query', 'year_from', 'year_to', 'language', 'sort_by_date', 'cron_expression', 'per_query', 'max_pages', 'enabled'];
+
+/**
+ * Convert a database row into a topic query object
+ * @param {object} row - Database row
+ * @returns {object} - Topic query
+ */
+const toTopicQuery = (row) => ({
+  ...row,
+  last_run_summary: typeof row.last_run_summary === 'string' ? JSON.parse(row.last_run_summary) : row.last_run_summary,
+  sort_by_date: !!row.sort_by_date,
+  enabled: !!row.enabled
+});
+
+class TopicQueryModel {
+  /**
+   * Create a topic query
+   * @param {object} data - { name, query, year_from, year_to, language, sort_by_date, cron_expression, per_query, max_pages, enabled }
+   * @returns {Promise<number>} - Inserted ID
+   */
+  async create(data) {
+    const query = `
+      INSERT INTO topic_queries (name, query, year_from, year_to, language, sort_by_date, cron_expression, per_query, max_pages, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [
+        data.name,
+        data.query,
+        data.year_from || null,
+        data.year_to || null,
+        data.language || null,
+        !!data.sort_by_date,
+        data.cron_expression,
+        data.per_query || null,
+        data.max_pages || null,
+        data.enabled === undefined ? true : !!data.enabled
+      ]);
+      return result.insertId;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(`Topic query named '${data.name}' already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of a topic query
+   * @param {number} id - Topic query ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<boolean>} - True if updated
+   */
+  async update(id, data) {
+    const fields = UPDATABLE_FIELDS.filter(field => data[field] !== undefined);
+    if (fields.length === 0) return true;
+
+    const values = fields.map(field => {
+      if (field === 'enabled' || field === 'sort_by_date') return !!data[field];
+      return data[field];
+    });
+
+    const query = `
+      UPDATE topic_queries
+      SET ${fields.map(field => `${field} = ?`).join(', ')}
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [...values, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(`Topic query named '${data.name}' already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a topic query (its name becomes reusable, its matches are kept)
+   * @param {number} id - Topic query ID
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async delete(id) {
+    const query = `
+      UPDATE topic_queries
+      SET deleted_at = CURRENT_TIMESTAMP, enabled = FALSE, name = CONCAT(LEFT(name, 70), ' (deleted #', id, ')')
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+    const [result] = await pool.execute(query, [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Find topic query by ID
+   * @param {number} id - Topic query ID
+   * @returns {Promise<object|null>} - Topic query or null
+   */
+  async findById(id) {
+    const query = `
+      SELECT * FROM topic_queries
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+    const [rows] = await pool.execute(query, [id]);
+    return rows[0] ? toTopicQuery(rows[0]) : null;
+  }
+
+  /**
+   * Get all active topic queries
+   * @param {boolean} enabledOnly - Only return enabled topic queries
+   * @returns {Promise<Array>} - Topic queries array
+   */
+  async findAll(enabledOnly = false) {
+    const query = `
+      SELECT * FROM topic_queries
+      WHERE deleted_at IS NULL ${enabledOnly ? 'AND enabled = TRUE' : ''}
+      ORDER BY id ASC
+    `;
+    const [rows] = await pool.query(query);
+    return rows.map(toTopicQuery);
+  }
+
+  /**
+   * Record the outcome of a topic query run
+   * @param {number} id - Topic query ID
+   * @param {string} status - 'success', 'partial' (credit budget exhausted) or 'failed'
+   * @param {object} summary - Run summary (or { error })
+   * @returns {Promise<void>}
+   */
+  async recordRun(id, status, summary) {
+    const query = `
+      UPDATE topic_queries
+      SET last_run_at = CURRENT_TIMESTAMP, last_run_status = ?, last_run_summary = ?
+      WHERE id = ?
+    `;
+    await pool.execute(query, [status, JSON.stringify(summary), id]);
+  }
+
+  /**
+   * Record that a topic query surfaced an article. The first match wins:
+   * an article saved by the query stays marked as new on later runs
+   * @param {number} topicQueryId - Topic query ID
+   * @param {number} articleId - Article ID
+   * @param {boolean} isNew - True when the query saved the article
+   * @returns {Promise<boolean>} - True if the match was not recorded before
+   */
+  async addMatch(topicQueryId, articleId, isNew) {
+    const query = `
+      INSERT IGNORE INTO article_topic_matches (topic_query_id, article_id, is_new)
+      VALUES (?, ?, ?)
+    `;
+    const [result] = await pool.execute(query, [topicQueryId, articleId, !!isNew]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Articles surfaced by a topic query, most recently matched first
+   * @param {number} topicQueryId - Topic query ID
+   * @param {object} options - { newOnly, limit, offset }
+   * @returns {Promise<Array>} - Articles with matched_at and is_new
+   */
+  async findMatches(topicQueryId, options = {}) {
+    const query = `
+      SELECT ar.*, m.matched_at, m.is_new
+      FROM article_topic_matches m
+      JOIN articles ar ON ar.id = m.article_id
+      WHERE m.topic_query_id = ? AND ar.deleted_at IS NULL ${options.newOnly ? 'AND m.is_new = TRUE' : ''}
+      ORDER BY m.matched_at DESC, m.id DESC
+      LIMIT ? OFFSET ?
+    `;
+    const [rows] = await pool.query(query, [topicQueryId, options.limit || 10, options.offset || 0]);
+    return rows.map(row => ({ ...row, is_new: !!row.is_new }));
+  }
+
+  /**
+   * Count articles surfaced by a topic query
+   * @param {number} topicQueryId - Topic query ID
+   * @param {boolean} newOnly - Only count articles the query saved
+   * @returns {Promise<number>} - Total count
+   */
+  async countMatches(topicQueryId, newOnly = false) {
+    const query = `
+      SELECT COUNT(*) as total
+      FROM article_topic_matches m
+      JOIN articles ar ON ar.id = m.article_id
+      WHERE m.topic_query_id = ? AND ar.deleted_at IS NULL ${newOnly ? 'AND m.is_new = TRUE' : ''}
+    `;
+    const [rows] = await pool.execute(query, [topicQueryId]);
+    return rows[0].total;
+  }
+
+  /**
+   * Summary of a topic query's matches that changes whenever one is added or removed
+   * @param {number} topicQueryId - Topic query ID
+   * @param {boolean} newOnly - Only consider articles the query saved
+   * @returns {Promise<object>} - { total, last_id, last_matched_at }
+   */
+  async getMatchFeedState(topicQueryId, newOnly = false) {
+    const query = `
+      SELECT COUNT(*) as total, MAX(m.id) as last_id, MAX(m.matched_at) as last_matched_at
+      FROM article_topic_matches m
+      JOIN articles ar ON ar.id = m.article_id
+      WHERE m.topic_query_id = ? AND ar.deleted_at IS NULL ${newOnly ? 'AND m.is_new = TRUE' : ''}
+    `;
+    const [rows] = await pool.execute(query, [topicQueryId]);
+    return rows[0];
+  }
+
+  /**
+   * Topic queries that saved some articles
+   * @param {Array<number>} articleIds - Article IDs
+   * @returns {Promise<Array>} - { article_id, topic_query_id, name } rows
+   */
+  async findSavingQueries(articleIds) {
+    if (!articleIds || articleIds.length === 0) return [];
+
+    const query = `
+      SELECT m.article_id, q.id as topic_query_id, q.name
+      FROM article_topic_matches m
+      JOIN topic_queries q ON q.id = m.topic_query_id
+      WHERE m.article_id IN (?) AND m.is_new = TRUE
+    `;
+    const [rows] = await pool.query(query, [articleIds]);
+    return rows;
+  }
+}
+
+module.exports = new TopicQueryModel();
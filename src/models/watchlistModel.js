@@ -0,0 +1,142 @@
+const { pool } = require('../config/database');
+
+// Fields that can be changed through update()
+const UPDATABLE_FIELDS = ['name', 'authors', 'cron_expression', 'per_author', 'max_pages', 'enabled'];
+
+/**
+ * Convert a database row into a watchlist object
+ * @param {object} row - Database row
+ * @returns {object} - Watchlist
+ */
+const toWatchlist = (row) => ({
+  ...row,
+  authors: typeof row.authors === 'string' ? JSON.parse(row.authors) : row.authors,
+  last_run_summary: typeof row.last_run_summary === 'string' ? JSON.parse(row.last_run_summary) : row.last_run_summary,
+  enabled: !!row.enabled
+});
+
+class WatchlistModel {
+  /**
+   * Create a watchlist
+   * @param {object} data - { name, authors, cron_expression, per_author, max_pages, enabled }
+   * @returns {Promise<number>} - Inserted ID
+   */
+  async create(data) {
+    const query = `
+      INSERT INTO watchlists (name, authors, cron_expression, per_author, max_pages, enabled)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [
+        data.name,
+        JSON.stringify(data.authors),
+        data.cron_expression,
+        data.per_author || null,
+        data.max_pages || null,
+        data.enabled === undefined ? true : !!data.enabled
+      ]);
+      return result.insertId;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(`Watchlist named '${data.name}' already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of a watchlist
+   * @param {number} id - Watchlist ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<boolean>} - True if updated
+   */
+  async update(id, data) {
+    const fields = UPDATABLE_FIELDS.filter(field => data[field] !== undefined);
+    if (fields.length === 0) return true;
+
+    const values = fields.map(field => {
+      if (field === 'authors') return JSON.stringify(data.authors);
+      if (field === 'enabled') return !!data.enabled;
+      return data[field];
+    });
+
+    const query = `
+      UPDATE watchlists
+      SET ${fields.map(field => `${field} = ?`).join(', ')}
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [...values, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(`Watchlist named '${data.name}' already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a watchlist (its name becomes reusable)
+   * @param {number} id - Watchlist ID
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async delete(id) {
+    const query = `
+      UPDATE watchlists
+      SET deleted_at = CURRENT_TIMESTAMP, enabled = FALSE, name = CONCAT(LEFT(name, 70), ' (deleted #', id, ')')
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+    const [result] = await pool.execute(query, [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Find watchlist by ID
+   * @param {number} id - Watchlist ID
+   * @returns {Promise<object|null>} - Watchlist or null
+   */
+  async findById(id) {
+    const query = `
+      SELECT * FROM watchlists
+      WHERE id = ? AND deleted_at IS NULL
+    `;
+    const [rows] = await pool.execute(query, [id]);
+    return rows[0] ? toWatchlist(rows[0]) : null;
+  }
+
+  /**
+   * Get all active watchlists
+   * @param {boolean} enabledOnly - Only return enabled watchlists
+   * @returns {Promise<Array>} - Watchlists array
+   */
+  async findAll(enabledOnly = false) {
+    const query = `
+      SELECT * FROM watchlists
+      WHERE deleted_at IS NULL ${enabledOnly ? 'AND enabled = TRUE' : ''}
+      ORDER BY id ASC
+    `;
+    const [rows] = await pool.query(query);
+    return rows.map(toWatchlist);
+  }
+
+  /**
+   * Record the outcome of a watchlist run
+   * @param {number} id - Watchlist ID
+   * @param {string} status - 'success', 'partial' (credit budget exhausted) or 'failed'
+   * @param {object} summary - Run summary (or { error })
+   * @returns {Promise<void>}
+   */
+  async recordRun(id, status, summary) {
+    const query = `
+      UPDATE watchlists
+      SET last_run_at = CURRENT_TIMESTAMP, last_run_status = ?, last_run_summary = ?
+      WHERE id = ?
+    `;
+    await pool.execute(query, [status, JSON.stringify(summary), id]);
+  }
+}
+
+module.exports = new WatchlistModel();
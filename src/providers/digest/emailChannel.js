@@ -0,0 +1,51 @@
+const nodemailer = require('nodemailer');
+const digestConfig = require('../../config/digest');
+
+/**
+ * Email Channel - Sends digests over SMTP. Point SMTP_HOST/SMTP_PORT at a local
+ * stand-in (Mailpit, MailHog: localhost:1025) to try it without a real mailbox
+ */
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+    this.transport = null;
+  }
+
+  /**
+   * SMTP transport, created on first use
+   * @returns {object} - Nodemailer transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      const { host, port, secure, user, pass } = digestConfig.smtp;
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: digestConfig.timeoutMs,
+        greetingTimeout: digestConfig.timeoutMs,
+        socketTimeout: digestConfig.timeoutMs
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Email a digest. HTML subscribers get an HTML body with a plain text alternative
+   * @param {object} subscriber - Subscriber (target is the email address)
+   * @param {object} message - { subject, format, body, text }
+   * @returns {Promise<void>}
+   */
+  async send(subscriber, message) {
+    await this.getTransport().sendMail({
+      from: digestConfig.from,
+      to: subscriber.target,
+      subject: message.subject,
+      text: message.text,
+      html: message.format === 'html' ? message.body : undefined
+    });
+  }
+}
+
+module.exports = EmailChannel;
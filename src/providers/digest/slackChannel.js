@@ -0,0 +1,28 @@
+const axios = require('axios');
+const digestConfig = require('../../config/digest');
+
+/**
+ * Slack Channel - Posts the digest to a Slack incoming webhook (or a
+ * compatible one: Mattermost, Rocket.Chat) as mrkdwn text
+ */
+class SlackChannel {
+  constructor() {
+    this.name = 'slack';
+  }
+
+  /**
+   * Post a digest to the subscriber's incoming webhook URL
+   * @param {object} subscriber - Subscriber (target is the webhook URL)
+   * @param {object} message - { slack } mrkdwn rendering
+   * @returns {Promise<void>}
+   */
+  async send(subscriber, message) {
+    await axios.post(subscriber.target, {
+      text: message.slack,
+      unfurl_links: false,
+      unfurl_media: false
+    }, { timeout: digestConfig.timeoutMs });
+  }
+}
+
+module.exports = SlackChannel;
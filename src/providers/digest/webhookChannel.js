@@ -0,0 +1,32 @@
+const axios = require('axios');
+const digestConfig = require('../../config/digest');
+
+/**
+ * Webhook Channel - POSTs the digest as JSON: the rendered body in the
+ * subscriber's format plus the grouped articles
+ */
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+  }
+
+  /**
+   * Post a digest to the subscriber's URL
+   * @param {object} subscriber - Subscriber (target is the URL)
+   * @param {object} message - { subject, format, body, digest }
+   * @returns {Promise<void>}
+   */
+  async send(subscriber, message) {
+    await axios.post(subscriber.target, {
+      subject: message.subject,
+      format: message.format,
+      body: message.body,
+      article_count: message.digest.article_count,
+      from_article_id: message.digest.from_article_id,
+      to_article_id: message.digest.to_article_id,
+      groups: message.digest.groups
+    }, { timeout: digestConfig.timeoutMs });
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ScholarProvider = require('./scholarProvider');
+const serpApiConfig = require('../config/serpapi');
+const cacheService = require('../services/cacheService');
+const { FixtureNotFoundError, classifyPayloadError, isEmptyResultPayload } = require('../utils/serpApiErrors');
+
+/**
+ * Fixture Provider - Replays recorded SerpAPI responses from disk, offline and
+ * without spending credits. Files live in <directory>/<call type>/ and are named
+ * after the normalized request parameters, so the API key never matters
+ */
+class FixtureProvider extends ScholarProvider {
+  constructor(directory) {
+    super('fixture');
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Path of the fixture file of a request
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - Request parameters
+   * @returns {string} - File path
+   */
+  filePath(callType, params) {
+    const slug = Object.values(cacheService.normalizeParams(params))
+      .join('-')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+    const hash = cacheService.buildKey(callType, params).slice(0, 12);
+
+    return path.join(this.directory, callType, `${slug}-${hash}.json`);
+  }
+
+  /**
+   * Replay the recorded response of a request
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - Request parameters
+   * @returns {Promise<object>} - Response data
+   * @throws {FixtureNotFoundError} - When the request was never recorded
+   */
+  async request(callType, params) {
+    const requestParams = { engine: serpApiConfig.engine, ...params };
+    const file = this.filePath(callType, requestParams);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new FixtureNotFoundError(callType, path.relative(process.cwd(), file));
+      }
+      throw error;
+    }
+
+    console.log(`📼 Replayed ${callType} fixture`);
+
+    if (fixture.response.error && !isEmptyResultPayload(fixture.response.error)) {
+      throw classifyPayloadError(fixture.response.error);
+    }
+    return fixture.response;
+  }
+
+  /**
+   * Record a response (record mode). Errors are logged, not thrown
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - Request parameters
+   * @param {object} response - Response data
+   * @returns {Promise<void>}
+   */
+  async save(callType, params, response) {
+    const file = this.filePath(callType, params);
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({
+        call_type: callType,
+        params: cacheService.normalizeParams(params),
+        recorded_at: new Date().toISOString(),
+        response
+      }, null, 2));
+    } catch (error) {
+      console.error(`❌ Fixture write failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,57 @@
+const axios = require('axios');
+const enrichmentConfig = require('../../config/enrichment');
+
+/**
+ * Crossref Provider - Bibliographic search of registered DOIs
+ * https://api.crossref.org/swagger-ui/index.html
+ */
+class CrossrefProvider {
+  constructor() {
+    this.name = 'crossref';
+    this.baseUrl = 'https://api.crossref.org/works';
+  }
+
+  /**
+   * Search works by title (and year when known)
+   * @param {object} query - { title, year }
+   * @returns {Promise<Array<object>>} - Candidate records
+   */
+  async lookup(query) {
+    const params = {
+      'query.bibliographic': query.title,
+      rows: 5,
+      select: 'DOI,title,author,abstract,container-title,ISSN,issued'
+    };
+    if (query.year) {
+      params.filter = `from-pub-date:${query.year - 1},until-pub-date:${query.year + 1}`;
+    }
+    if (enrichmentConfig.mailto) {
+      params.mailto = enrichmentConfig.mailto;
+    }
+
+    const response = await axios.get(this.baseUrl, { params, timeout: enrichmentConfig.timeoutMs });
+    return (response.data.message?.items || []).map(item => this.toRecord(item));
+  }
+
+  /**
+   * Convert a Crossref work into a candidate record
+   * @param {object} item - Crossref work
+   * @returns {object} - { title, year, doi, authors, abstract, venue, issn }
+   */
+  toRecord(item) {
+    return {
+      title: item.title?.[0] || null,
+      year: item.issued?.['date-parts']?.[0]?.[0] || null,
+      doi: item.DOI || null,
+      authors: (item.author || [])
+        .map(author => [author.given, author.family].filter(part => part).join(' ') || author.name)
+        .filter(name => name),
+      // Abstracts are JATS XML
+      abstract: item.abstract ? item.abstract.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : null,
+      venue: item['container-title']?.[0] || null,
+      issn: item.ISSN?.[0] || null
+    };
+  }
+}
+
+module.exports = CrossrefProvider;
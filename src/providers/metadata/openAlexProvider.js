@@ -0,0 +1,72 @@
+const axios = require('axios');
+const enrichmentConfig = require('../../config/enrichment');
+
+/**
+ * Rebuild an abstract from OpenAlex's inverted index ({ word: [positions] })
+ * @param {object} invertedIndex - abstract_inverted_index
+ * @returns {string|null} - Abstract text
+ */
+const rebuildAbstract = (invertedIndex) => {
+  if (!invertedIndex) return null;
+
+  const words = [];
+  for (const [word, positions] of Object.entries(invertedIndex)) {
+    for (const position of positions) {
+      words[position] = word;
+    }
+  }
+  return words.filter(word => word !== undefined).join(' ') || null;
+};
+
+/**
+ * OpenAlex Provider - Open catalogue of scholarly works
+ * https://docs.openalex.org/api-entities/works
+ */
+class OpenAlexProvider {
+  constructor() {
+    this.name = 'openalex';
+    this.baseUrl = 'https://api.openalex.org/works';
+  }
+
+  /**
+   * Search works by title (and year when known)
+   * @param {object} query - { title, year }
+   * @returns {Promise<Array<object>>} - Candidate records
+   */
+  async lookup(query) {
+    const params = {
+      search: query.title,
+      'per-page': 5
+    };
+    if (query.year) {
+      params.filter = `publication_year:${query.year - 1}-${query.year + 1}`;
+    }
+    if (enrichmentConfig.mailto) {
+      params.mailto = enrichmentConfig.mailto;
+    }
+
+    const response = await axios.get(this.baseUrl, { params, timeout: enrichmentConfig.timeoutMs });
+    return (response.data.results || []).map(work => this.toRecord(work));
+  }
+
+  /**
+   * Convert an OpenAlex work into a candidate record
+   * @param {object} work - OpenAlex work
+   * @returns {object} - { title, year, doi, authors, abstract, venue, issn }
+   */
+  toRecord(work) {
+    const source = work.primary_location?.source || {};
+
+    return {
+      title: work.title || work.display_name || null,
+      year: work.publication_year || null,
+      doi: work.doi ? work.doi.replace(/^https?:\/\/doi\.org\//i, '') : null,
+      authors: (work.authorships || []).map(authorship => authorship.author?.display_name).filter(name => name),
+      abstract: rebuildAbstract(work.abstract_inverted_index),
+      venue: source.display_name || null,
+      issn: source.issn_l || source.issn?.[0] || null
+    };
+  }
+}
+
+module.exports = OpenAlexProvider;
@@ -0,0 +1,55 @@
+const axios = require('axios');
+const enrichmentConfig = require('../../config/enrichment');
+
+/**
+ * Semantic Scholar Provider - Academic Graph paper search
+ * https://api.semanticscholar.org/api-docs/graph
+ */
+class SemanticScholarProvider {
+  constructor() {
+    this.name = 'semantic_scholar';
+    this.baseUrl = 'https://api.semanticscholar.org/graph/v1/paper/search';
+  }
+
+  /**
+   * Search papers by title (and year when known)
+   * @param {object} query - { title, year }
+   * @returns {Promise<Array<object>>} - Candidate records
+   */
+  async lookup(query) {
+    const params = {
+      query: query.title,
+      limit: 5,
+      fields: 'title,year,externalIds,authors,abstract,venue,journal,publicationVenue'
+    };
+    if (query.year) {
+      params.year = `${query.year - 1}-${query.year + 1}`;
+    }
+
+    const headers = enrichmentConfig.semanticScholarApiKey
+      ? { 'x-api-key': enrichmentConfig.semanticScholarApiKey }
+      : {};
+
+    const response = await axios.get(this.baseUrl, { params, headers, timeout: enrichmentConfig.timeoutMs });
+    return (response.data.data || []).map(paper => this.toRecord(paper));
+  }
+
+  /**
+   * Convert a Semantic Scholar paper into a candidate record
+   * @param {object} paper - Semantic Scholar paper
+   * @returns {object} - { title, year, doi, authors, abstract, venue, issn }
+   */
+  toRecord(paper) {
+    return {
+      title: paper.title || null,
+      year: paper.year || null,
+      doi: paper.externalIds?.DOI || null,
+      authors: (paper.authors || []).map(author => author.name).filter(name => name),
+      abstract: paper.abstract || null,
+      venue: paper.journal?.name || paper.publicationVenue?.name || paper.venue || null,
+      issn: paper.publicationVenue?.issn || null
+    };
+  }
+}
+
+module.exports = SemanticScholarProvider;
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stub Metadata Provider - Answers from local records instead of a remote API,
+ * for tests and offline development. Records use the candidate format:
+ * { title, year, doi, authors, abstract, venue, issn }
+ */
+class StubMetadataProvider {
+  /**
+   * @param {Array<object>|string} records - Records, or the path of a JSON file holding them
+   * @param {string} name - Source name recorded on enriched fields
+   */
+  constructor(records = [], name = 'stub') {
+    this.name = name;
+    this.records = typeof records === 'string'
+      ? JSON.parse(fs.readFileSync(path.resolve(records), 'utf8'))
+      : records;
+  }
+
+  /**
+   * Return every record; the enrichment service scores them against the query
+   * @returns {Promise<Array<object>>} - Candidate records
+   */
+  async lookup() {
+    return this.records.map(record => ({ authors: [], ...record }));
+  }
+}
+
+module.exports = StubMetadataProvider;
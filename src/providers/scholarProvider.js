@@ -0,0 +1,193 @@
+/**
+ * Scholar Provider - Interface of a Google Scholar data source.
+ * Subclasses implement request(); responses use SerpAPI's Google Scholar JSON format
+ */
+class ScholarProvider {
+  constructor(name) {
+    this.name = name;
+    this.cachedResponses = new WeakSet(); // Responses served from the cache
+  }
+
+  /**
+   * Answer one Google Scholar request
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - Request parameters
+   * @param {object} options - { forceRefresh, trigger }
+   * @returns {Promise<object>} - Response data
+   */
+  async request(callType, params, options = {}) {
+    throw new Error(`${this.name} provider does not implement request()`);
+  }
+
+  /**
+   * Whether a response was answered from the cache
+   * @param {object} data - Response returned by this provider
+   * @returns {boolean} - True for cached responses
+   */
+  isCached(data) {
+    return this.cachedResponses.has(data);
+  }
+
+  /**
+   * Circuit breaker state for health checks
+   * @returns {object|null} - Breaker state, or null when the provider has none
+   */
+  getCircuitState() {
+    return null;
+  }
+
+  /**
+   * Search Google Scholar with a query
+   * @param {string} query - Search query
+   * @param {number} start - Pagination offset (0, 10, 20, etc.)
+   * @param {object} options - Additional search options, plus forceRefresh, trigger and usage
+   * @returns {Promise<object>} - Search results
+   */
+  async search(query, start = 0, options = {}) {
+    const { forceRefresh, trigger, usage, ...searchOptions } = options;
+
+    console.log(`🔍 Searching Google Scholar: "${query}" (offset: ${start})`);
+
+    return this.request('search', {
+      q: query,
+      start: start,
+      num: searchOptions.num || 10,
+      ...searchOptions
+    }, { forceRefresh, trigger, usage });
+  }
+
+  /**
+   * Search by author name
+   * @param {string} authorName - Author name
+   * @param {number} start - Pagination offset
+   * @param {object} options - { forceRefresh, trigger, usage }
+   * @returns {Promise<object>} - Search results
+   */
+  async searchByAuthor(authorName, start = 0, options = {}) {
+    const query = `author:"${authorName}"`;
+    return this.search(query, start, options);
+  }
+
+  /**
+   * Get articles citing a specific publication
+   * @param {string} citesId - Cites ID from Google Scholar
+   * @param {number} start - Pagination offset
+   * @param {object} options - { forceRefresh, trigger }
+   * @returns {Promise<object>} - Citing articles
+   */
+  async getCitedBy(citesId, start = 0, options = {}) {
+    console.log(`📚 Fetching citations for: ${citesId}`);
+
+    return this.request('cited_by', {
+      cites: citesId,
+      start: start,
+      num: 10
+    }, options);
+  }
+
+  /**
+   * Get all versions of a publication
+   * @param {string} clusterId - Cluster ID from Google Scholar
+   * @param {object} options - { forceRefresh, trigger }
+   * @returns {Promise<object>} - All versions
+   */
+  async getAllVersions(clusterId, options = {}) {
+    console.log(`🔗 Fetching versions for cluster: ${clusterId}`);
+
+    return this.request('versions', {
+      cluster: clusterId,
+      num: 10
+    }, options);
+  }
+
+  /**
+   * Find Google Scholar author profiles matching a name
+   * @param {string} name - Author name
+   * @param {object} options - { forceRefresh, trigger }
+   * @returns {Promise<object>} - Profiles response
+   */
+  async searchProfiles(name, options = {}) {
+    console.log(`👤 Searching Scholar profiles: "${name}"`);
+
+    return this.request('profiles', {
+      engine: 'google_scholar_profiles',
+      mauthors: name
+    }, options);
+  }
+
+  /**
+   * Get one page of a Google Scholar author profile: metrics and articles
+   * @param {string} scholarAuthorId - Profile ID (the "user" parameter of the profile URL)
+   * @param {number} start - Article offset
+   * @param {object} options - { num, sort ('pubdate' for newest first), forceRefresh, trigger, usage }
+   * @returns {Promise<object>} - Author profile response
+   */
+  async getAuthorProfile(scholarAuthorId, start = 0, options = {}) {
+    const { forceRefresh, trigger, usage, num, sort } = options;
+
+    console.log(`👤 Fetching Scholar profile: ${scholarAuthorId} (offset: ${start})`);
+
+    return this.request('author', {
+      engine: 'google_scholar_author',
+      author_id: scholarAuthorId,
+      start: start,
+      num: num || 20,
+      sort
+    }, { forceRefresh, trigger, usage });
+  }
+
+  /**
+   * Search with date range filter
+   * @param {string} query - Search query
+   * @param {number} yearFrom - Start year
+   * @param {number} yearTo - End year
+   * @param {number} start - Pagination offset
+   * @returns {Promise<object>} - Search results
+   */
+  async searchByDateRange(query, yearFrom, yearTo, start = 0) {
+    const options = {
+      as_ylo: yearFrom,
+      as_yhi: yearTo
+    };
+    return this.search(query, start, options);
+  }
+
+  /**
+   * Fetch multiple pages of results. A page that still fails is rethrown;
+   * pages already fetched are cached, so a repeat costs no SerpAPI credit
+   * @param {string} query - Search query
+   * @param {number} maxPages - Maximum number of pages to fetch
+   * @returns {Promise<Array>} - All organic results
+   */
+  async searchMultiplePages(query, maxPages = 3) {
+    const allResults = [];
+    
+    for (let page = 0; page < maxPages; page++) {
+      const start = page * 10;
+      
+      try {
+        const response = await this.search(query, start);
+        
+        if (!response.organic_results || response.organic_results.length === 0) {
+          console.log(`📊 No more results after page ${page + 1}`);
+          break;
+        }
+        
+        allResults.push(...response.organic_results);
+        console.log(`✅ Fetched page ${page + 1}/${maxPages} (${response.organic_results.length} results)`);
+        
+        // Rate limiting delay (2 seconds between requests)
+        if (page < maxPages - 1) {
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+      } catch (error) {
+        console.error(`❌ Error fetching page ${page + 1}:`, error.message);
+        throw error;
+      }
+    }
+    
+    return allResults;
+  }
+}
+
+module.exports = ScholarProvider;
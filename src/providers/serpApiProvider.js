@@ -0,0 +1,146 @@
+const axios = require('axios');
+const ScholarProvider = require('./scholarProvider');
+const serpApiConfig = require('../config/serpapi');
+const cacheService = require('../services/cacheService');
+const usageService = require('../services/usageService');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { classifyAxiosError, classifyPayloadError, isEmptyResultPayload } = require('../utils/serpApiErrors');
+const { sleep } = require('../utils/sleep');
+
+/**
+ * SerpAPI Provider - Live Google Scholar data from SerpAPI, with response cache,
+ * usage accounting, credit budget, retries and circuit breaker
+ */
+class SerpApiProvider extends ScholarProvider {
+  /**
+   * @param {object} options - { recorder } (a FixtureProvider that captures every response)
+   */
+  constructor(options = {}) {
+    super('serpapi');
+    this.baseUrl = serpApiConfig.baseUrl;
+    this.apiKey = serpApiConfig.apiKey;
+    this.circuitBreaker = new CircuitBreaker(serpApiConfig.circuitBreaker);
+    this.recorder = options.recorder || null;
+  }
+
+  /**
+   * Send a request to SerpAPI, answering from the response cache when possible.
+   * Every request and cache hit is counted per call type and trigger, and no
+   * request is sent once the credit budget is spent
+   * @param {string} callType - Cache call type: search, cited_by, versions, profiles or author
+   * @param {object} params - Request parameters (engine and api_key are added)
+   * @param {object} options - { forceRefresh } to skip the cache (the fresh response is still cached), { trigger } for usage accounting,
+   *   { usage } a { requests } tally counting the requests charged to the caller
+   * @returns {Promise<object>} - Response data
+   */
+  async request(callType, params, options = {}) {
+    const requestParams = {
+      engine: serpApiConfig.engine,
+      api_key: this.apiKey,
+      ...params
+    };
+
+    if (!options.forceRefresh) {
+      const cached = await cacheService.get(callType, requestParams);
+      if (cached) {
+        console.log(`💾 SerpAPI cache hit (${callType})`);
+        this.cachedResponses.add(cached);
+        await usageService.record(callType, options.trigger, true);
+        if (this.recorder) await this.recorder.save(callType, requestParams, cached);
+        return cached;
+      }
+    } else {
+      // Also bypass SerpAPI's own one-hour cache
+      requestParams.no_cache = true;
+    }
+
+    await usageService.assertWithinBudget();
+
+    const data = await this.send(callType, requestParams, options);
+    await cacheService.set(callType, requestParams, data);
+    return data;
+  }
+
+  /**
+   * Call SerpAPI through the circuit breaker, retrying transient failures
+   * (rate limits, timeouts, 5xx, network errors) with jittered exponential backoff
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - Full request parameters
+   * @param {object} options - { trigger ('api', 'schedule' or 'manual'), usage } for usage accounting
+   * @returns {Promise<object>} - Response data
+   * @throws {SerpApiError} - Classified error once retries are exhausted
+   */
+  async send(callType, params, options = {}) {
+    this.circuitBreaker.assertClosed();
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+
+      try {
+        const response = await axios.get(this.baseUrl, {
+          params,
+          timeout: serpApiConfig.requestTimeoutMs
+        });
+
+        // Answered requests count against the budget, even with an error payload
+        await usageService.record(callType, options.trigger, false);
+        if (options.usage) options.usage.requests++;
+        if (this.recorder) await this.recorder.save(callType, params, response.data);
+
+        // "No results" past the last page ends pagination like an empty page
+        if (!response.data.error || isEmptyResultPayload(response.data.error)) {
+          this.circuitBreaker.recordSuccess();
+          return response.data;
+        }
+        error = classifyPayloadError(response.data.error);
+      } catch (axiosError) {
+        error = classifyAxiosError(axiosError);
+      }
+
+      const delay = this.retryDelay(error, attempt);
+
+      if (delay === null) {
+        // Query-level errors mean SerpAPI itself is answering
+        if (error.upstreamFailure) {
+          this.circuitBreaker.recordFailure(error);
+        } else {
+          this.circuitBreaker.recordSuccess();
+        }
+        throw error;
+      }
+
+      console.warn(`⏳ ${error.message}, retry ${attempt + 1}/${serpApiConfig.retry.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Wait before the next attempt: Retry-After when given, otherwise
+   * exponential backoff with jitter (between half and all of the backoff)
+   * @param {SerpApiError} error - Failure of the last attempt
+   * @param {number} attempt - Attempts already retried
+   * @returns {number|null} - Delay in milliseconds, or null to give up
+   */
+  retryDelay(error, attempt) {
+    const { maxRetries, baseDelayMs, maxDelayMs } = serpApiConfig.retry;
+
+    if (!error.retryable || attempt >= maxRetries) return null;
+
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs <= maxDelayMs ? error.retryAfterMs : null;
+    }
+
+    const backoff = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Circuit breaker state for health checks
+   * @returns {object} - Breaker state
+   */
+  getCircuitState() {
+    return this.circuitBreaker.getState();
+  }
+}
+
+module.exports = SerpApiProvider;
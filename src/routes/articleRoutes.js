@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const articleController = require('../controllers/articleController');
+const { strictLimiter } = require('../middleware/rateLimiter');
+
+// List stored articles with filters and pagination
+// GET /api/articles?page=1&limit=20&year_from=2015&sort=citations
+router.get('/', articleController.listArticles);
+
+// Full-text search over stored titles and abstracts
+// GET /api/articles/search?q=term&year_from=2015
+router.get('/search', articleController.searchArticles);
+
+// Export articles matching the listing filters
+// GET /api/articles/export?format=bibtex|ris|csljson|csv
+router.get('/export', articleController.exportArticles);
+
+// Get article by Google Scholar ID
+// GET /api/articles/by-scholar-id/:gsid
+router.get('/by-scholar-id/:gsid', articleController.getArticleByScholarId);
+
+// Re-query stored articles and update citation counts
+// POST /api/articles/refresh-citations
+router.post('/refresh-citations', strictLimiter, articleController.refreshCitations);
+
+// Merge duplicate articles (same cluster or title + year)
+// POST /api/articles/deduplicate
+router.post('/deduplicate', articleController.deduplicate);
+
+// Alternate versions of an article
+// GET /api/articles/:id/versions
+router.get('/:id/versions', articleController.getVersions);
+
+// Fetch all versions in an article's cluster
+// POST /api/articles/:id/fetch-versions
+router.post('/:id/fetch-versions', strictLimiter, articleController.fetchVersions);
+
+// Citation count history of an article
+// GET /api/articles/:id/citation-history
+router.get('/:id/citation-history', articleController.getCitationHistory);
+
+// Crawl citing papers and store citation edges
+// POST /api/articles/:id/crawl-cited-by
+router.post('/:id/crawl-cited-by', strictLimiter, articleController.crawlCitedBy);
+
+// Stored articles citing an article
+// GET /api/articles/:id/cited-by?depth=1
+router.get('/:id/cited-by', articleController.getCitedBy);
+
+// Stored articles cited by an article
+// GET /api/articles/:id/cites?depth=1
+router.get('/:id/cites', articleController.getCites);
+
+// Export a single article
+// GET /api/articles/:id/export?format=bibtex|ris|csljson|csv
+router.get('/:id/export', articleController.exportArticle);
+
+// Get article by database ID
+// GET /api/articles/:id
+router.get('/:id', articleController.getArticleById);
+
+module.exports = router;
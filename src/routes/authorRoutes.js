@@ -1,10 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const authorArticleController = require('../controllers/authorArticleController');
+const authorController = require('../controllers/authorController');
 const { strictLimiter } = require('../middleware/rateLimiter');
 
-// Fetch and save articles for 3 authors
-// GET /api/authors/fetch-articles?authors=Author1,Author2,Author3
+// Fetch and save new articles for a list of authors
+// GET /api/authors/fetch-articles?authors=Author1,Author2,Author3&per_author=3
 router.get('/fetch-articles', strictLimiter, authorArticleController.fetchArticlesByAuthors);
 
+// Find Google Scholar profiles matching a name
+// GET /api/authors/profiles/search?name=Geoffrey%20Hinton
+router.get('/profiles/search', strictLimiter, authorController.searchProfiles);
+
+// Co-authorship graph of all linked authors
+// GET /api/authors/coauthor-graph?format=json|graphml|gexf
+router.get('/coauthor-graph', authorController.getCoauthorGraph);
+
+// List stored authors
+// GET /api/authors?page=1&limit=20&sort=citations
+router.get('/', authorController.listAuthors);
+
+// Get author profile
+// GET /api/authors/:id
+router.get('/:id', authorController.getAuthorById);
+
+// List articles linked to an author
+// GET /api/authors/:id/articles
+router.get('/:id/articles', authorController.getAuthorArticles);
+
+// Co-authorship network around an author
+// GET /api/authors/:id/coauthor-graph?depth=1&format=json|graphml|gexf
+router.get('/:id/coauthor-graph', authorController.getEgoCoauthorGraph);
+
+// Daily citation totals across an author's articles
+// GET /api/authors/:id/citation-history
+router.get('/:id/citation-history', authorController.getCitationHistory);
+
+// Aliases: other spellings linked to the author
+// GET /api/authors/:id/aliases
+// POST /api/authors/:id/aliases
+// DELETE /api/authors/:id/aliases/:aliasId
+router.get('/:id/aliases', authorController.getAliases);
+router.post('/:id/aliases', authorController.addAlias);
+router.delete('/:id/aliases/:aliasId', authorController.deleteAlias);
+
+// Authors that may be the same person
+// GET /api/authors/:id/duplicates
+router.get('/:id/duplicates', authorController.getDuplicates);
+
+// Merge authors into this one / split articles off to another author
+// POST /api/authors/:id/merge
+// POST /api/authors/:id/split
+router.post('/:id/merge', authorController.mergeAuthors);
+router.post('/:id/split', authorController.splitAuthor);
+
+// Link / unlink a Google Scholar profile
+// PUT /api/authors/:id/scholar-profile
+// DELETE /api/authors/:id/scholar-profile
+router.put('/:id/scholar-profile', authorController.linkScholarProfile);
+router.delete('/:id/scholar-profile', authorController.unlinkScholarProfile);
+
+// Read the linked profile's metrics and articles
+// POST /api/authors/:id/scholar-profile/refresh
+router.post('/:id/scholar-profile/refresh', strictLimiter, authorController.refreshScholarProfile);
+
 module.exports = router;
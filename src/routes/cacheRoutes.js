@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const cacheController = require('../controllers/cacheController');
+
+// SerpAPI cache statistics
+// GET /api/admin/cache
+router.get('/', cacheController.getStats);
+
+// Purge cached SerpAPI responses
+// DELETE /api/admin/cache?type=search&expired=true
+router.delete('/', cacheController.purge);
+
+module.exports = router;
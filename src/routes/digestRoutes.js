@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const digestController = require('../controllers/digestController');
+
+// Send digests to every enabled subscriber now
+// POST /api/digests/send
+router.post('/send', digestController.sendAllDigests);
+
+// List delivery attempts
+// GET /api/digests/deliveries
+router.get('/deliveries', digestController.listDeliveries);
+
+// List subscribers
+// GET /api/digests/subscribers
+router.get('/subscribers', digestController.listSubscribers);
+
+// Create a subscriber
+// POST /api/digests/subscribers
+router.post('/subscribers', digestController.createSubscriber);
+
+// Get a subscriber
+// GET /api/digests/subscribers/:id
+router.get('/subscribers/:id', digestController.getSubscriber);
+
+// Update a subscriber
+// PATCH /api/digests/subscribers/:id
+router.patch('/subscribers/:id', digestController.updateSubscriber);
+
+// Delete a subscriber
+// DELETE /api/digests/subscribers/:id
+router.delete('/subscribers/:id', digestController.deleteSubscriber);
+
+// Render a subscriber's pending digest
+// GET /api/digests/subscribers/:id/preview
+router.get('/subscribers/:id/preview', digestController.previewDigest);
+
+// Send a subscriber's digest now
+// POST /api/digests/subscribers/:id/send
+router.post('/subscribers/:id/send', digestController.sendDigest);
+
+module.exports = router;
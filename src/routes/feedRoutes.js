@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+
+// Feed of the most recently saved articles
+// GET /feeds/articles.atom|rss|json
+router.get('/articles.:format', feedController.getArticlesFeed);
+
+// Feed of an author's most recently saved articles
+// GET /feeds/authors/:id.atom|rss|json
+router.get('/authors/:id.:format', feedController.getAuthorFeed);
+
+// Same feed in Atom
+// GET /feeds/authors/:id
+router.get('/authors/:id', feedController.getAuthorFeed);
+
+// Feed of the articles a topic query surfaced
+// GET /feeds/topic-queries/:id.atom|rss|json?new_only=true
+router.get('/topic-queries/:id.:format', feedController.getTopicQueryFeed);
+
+// Same feed in Atom
+// GET /feeds/topic-queries/:id
+router.get('/topic-queries/:id', feedController.getTopicQueryFeed);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const fetchJobController = require('../controllers/fetchJobController');
+const { strictLimiter, jobLimiter } = require('../middleware/rateLimiter');
+
+// Queue an author fetch
+// POST /api/fetch-jobs
+router.post('/', strictLimiter, fetchJobController.createJob);
+
+// List fetch jobs
+// GET /api/fetch-jobs?status=running
+router.get('/', jobLimiter, fetchJobController.listJobs);
+
+// Get a fetch job with per-author progress
+// GET /api/fetch-jobs/:id
+router.get('/:id', jobLimiter, fetchJobController.getJob);
+
+// Cancel a queued or running fetch job
+// POST /api/fetch-jobs/:id/cancel
+router.post('/:id/cancel', jobLimiter, fetchJobController.cancelJob);
+
+module.exports = router;
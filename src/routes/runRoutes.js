@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const runController = require('../controllers/runController');
+
+// List fetch runs
+// GET /api/runs?page=1&limit=20&trigger=schedule&status=failed
+router.get('/', runController.listRuns);
+
+// Outcome totals per searched author
+// GET /api/runs/authors?empty=true
+router.get('/authors', runController.listAuthorTotals);
+
+// Get a run with per-author outcomes
+// GET /api/runs/:id
+router.get('/:id', runController.getRunById);
+
+module.exports = router;
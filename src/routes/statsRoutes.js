@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const statsController = require('../controllers/statsController');
+
+// Collection-wide metrics over stored articles
+// GET /api/stats?year_from=2015&saved_from=2024-01-01&since=2024-06-01
+router.get('/', statsController.getStatistics);
+
+// Metrics over an author's stored articles
+// GET /api/stats/authors/:id
+router.get('/authors/:id', statsController.getAuthorStatistics);
+
+module.exports = router;
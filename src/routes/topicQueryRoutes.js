@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const topicQueryController = require('../controllers/topicQueryController');
+const { strictLimiter } = require('../middleware/rateLimiter');
+
+// List topic queries
+// GET /api/topic-queries
+router.get('/', topicQueryController.listTopicQueries);
+
+// Create a topic query
+// POST /api/topic-queries
+router.post('/', topicQueryController.createTopicQuery);
+
+// Get a topic query
+// GET /api/topic-queries/:id
+router.get('/:id', topicQueryController.getTopicQuery);
+
+// Update a topic query
+// PATCH /api/topic-queries/:id
+router.patch('/:id', topicQueryController.updateTopicQuery);
+
+// Delete a topic query
+// DELETE /api/topic-queries/:id
+router.delete('/:id', topicQueryController.deleteTopicQuery);
+
+// Run a topic query now
+// POST /api/topic-queries/:id/run
+router.post('/:id/run', strictLimiter, topicQueryController.runTopicQuery);
+
+// List articles a topic query surfaced
+// GET /api/topic-queries/:id/articles
+router.get('/:id/articles', topicQueryController.getTopicQueryArticles);
+
+module.exports = router;
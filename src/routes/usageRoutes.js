@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+
+// SerpAPI usage and remaining credit budget
+// GET /api/usage?days=30
+router.get('/', usageController.getUsage);
+
+module.exports = router;
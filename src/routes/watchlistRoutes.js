@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const watchlistController = require('../controllers/watchlistController');
+const { strictLimiter } = require('../middleware/rateLimiter');
+
+// List watchlists
+// GET /api/watchlists
+router.get('/', watchlistController.listWatchlists);
+
+// Create a watchlist
+// POST /api/watchlists
+router.post('/', watchlistController.createWatchlist);
+
+// Get a watchlist
+// GET /api/watchlists/:id
+router.get('/:id', watchlistController.getWatchlist);
+
+// Update a watchlist
+// PATCH /api/watchlists/:id
+router.patch('/:id', watchlistController.updateWatchlist);
+
+// Delete a watchlist
+// DELETE /api/watchlists/:id
+router.delete('/:id', watchlistController.deleteWatchlist);
+
+// Run a watchlist now
+// POST /api/watchlists/:id/run
+router.post('/:id/run', strictLimiter, watchlistController.runWatchlist);
+
+module.exports = router;
@@ -6,8 +6,21 @@ require('dotenv').config();
 
 const { testConnection } = require('./config/database');
 const authorRoutes = require('./routes/authorRoutes');
+const articleRoutes = require('./routes/articleRoutes');
+const watchlistRoutes = require('./routes/watchlistRoutes');
+const topicQueryRoutes = require('./routes/topicQueryRoutes');
+const digestRoutes = require('./routes/digestRoutes');
+const runRoutes = require('./routes/runRoutes');
+const fetchJobRoutes = require('./routes/fetchJobRoutes');
+const cacheRoutes = require('./routes/cacheRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const statsRoutes = require('./routes/statsRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+const schedulerService = require('./services/schedulerService');
+const serpApiService = require('./services/serpApiService');
+const fetchJobService = require('./services/fetchJobService');
 const errorHandler = require('./middleware/errorHandler');
-const { limiter } = require('./middleware/rateLimiter');
+const { limiter, feedLimiter } = require('./middleware/rateLimiter');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -19,7 +32,14 @@ app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(morgan('dev')); // Logging
 
-// Apply rate limiting to all routes
+// Feeds are polled by feed readers, so they get their own, more lenient rate limit
+app.use('/feeds', feedLimiter, feedRoutes);
+
+// Fetch jobs are polled for their status, so they carry their own limiters
+// (strict on job creation, lenient on status and cancel requests)
+app.use('/api/fetch-jobs', fetchJobRoutes);
+
+// Apply rate limiting to all other routes
 app.use(limiter);
 
 // Health check endpoint
@@ -35,7 +55,9 @@ app.get('/health', async (req, res) => {
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       database: 'connected',
-      serpApiKey: process.env.SERP_API_KEY ? 'configured' : 'missing'
+      serpApiKey: process.env.SERP_API_KEY ? 'configured' : 'missing',
+      scholarProvider: serpApiService.name,
+      serpApiCircuit: serpApiService.getCircuitState()
     });
   } catch (error) {
     res.status(503).json({
@@ -43,6 +65,7 @@ app.get('/health', async (req, res) => {
       status: 'ERROR',
       timestamp: new Date().toISOString(),
       database: 'disconnected',
+      serpApiCircuit: serpApiService.getCircuitState(),
       error: error.message
     });
   }
@@ -56,7 +79,65 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /health',
-      fetchByAuthors: 'GET /api/authors/fetch-articles?authors=Author1,Author2,Author3'
+      fetchByAuthors: 'GET /api/authors/fetch-articles?authors=Author1,Author2,Author3',
+      createFetchJob: 'POST /api/fetch-jobs',
+      fetchJobs: 'GET /api/fetch-jobs?status=running',
+      fetchJob: 'GET /api/fetch-jobs/:id',
+      cancelFetchJob: 'POST /api/fetch-jobs/:id/cancel',
+      articles: 'GET /api/articles?page=1&limit=20&year_from=2015&sort=citations',
+      searchArticles: 'GET /api/articles/search?q=term&mode=boolean&year_from=2015',
+      exportArticles: 'GET /api/articles/export?format=bibtex|ris|csljson|csv',
+      exportArticle: 'GET /api/articles/:id/export?format=bibtex',
+      articleById: 'GET /api/articles/:id',
+      articleByScholarId: 'GET /api/articles/by-scholar-id/:gsid',
+      articleCitationHistory: 'GET /api/articles/:id/citation-history',
+      refreshCitations: 'POST /api/articles/refresh-citations',
+      crawlCitedBy: 'POST /api/articles/:id/crawl-cited-by',
+      citedBy: 'GET /api/articles/:id/cited-by?depth=1',
+      cites: 'GET /api/articles/:id/cites?depth=1',
+      versions: 'GET /api/articles/:id/versions',
+      fetchVersions: 'POST /api/articles/:id/fetch-versions',
+      deduplicate: 'POST /api/articles/deduplicate',
+      authors: 'GET /api/authors?page=1&limit=20&sort=citations',
+      authorById: 'GET /api/authors/:id',
+      authorArticles: 'GET /api/authors/:id/articles',
+      authorCitationHistory: 'GET /api/authors/:id/citation-history',
+      coauthorGraph: 'GET /api/authors/coauthor-graph?format=json|graphml|gexf&min_articles=2',
+      authorCoauthorGraph: 'GET /api/authors/:id/coauthor-graph?depth=1&format=json|graphml|gexf',
+      authorAliases: 'GET /api/authors/:id/aliases',
+      addAuthorAlias: 'POST /api/authors/:id/aliases',
+      deleteAuthorAlias: 'DELETE /api/authors/:id/aliases/:aliasId',
+      authorDuplicates: 'GET /api/authors/:id/duplicates',
+      mergeAuthors: 'POST /api/authors/:id/merge',
+      splitAuthor: 'POST /api/authors/:id/split',
+      searchScholarProfiles: 'GET /api/authors/profiles/search?name=Geoffrey%20Hinton',
+      linkScholarProfile: 'PUT /api/authors/:id/scholar-profile',
+      unlinkScholarProfile: 'DELETE /api/authors/:id/scholar-profile',
+      refreshScholarProfile: 'POST /api/authors/:id/scholar-profile/refresh',
+      watchlists: 'GET|POST /api/watchlists',
+      watchlist: 'GET|PATCH|DELETE /api/watchlists/:id',
+      runWatchlist: 'POST /api/watchlists/:id/run',
+      topicQueries: 'GET|POST /api/topic-queries',
+      topicQuery: 'GET|PATCH|DELETE /api/topic-queries/:id',
+      runTopicQuery: 'POST /api/topic-queries/:id/run',
+      topicQueryArticles: 'GET /api/topic-queries/:id/articles?new_only=true',
+      digestSubscribers: 'GET|POST /api/digests/subscribers',
+      digestSubscriber: 'GET|PATCH|DELETE /api/digests/subscribers/:id',
+      previewDigest: 'GET /api/digests/subscribers/:id/preview?format=html|markdown|text|slack',
+      sendDigest: 'POST /api/digests/subscribers/:id/send',
+      sendAllDigests: 'POST /api/digests/send',
+      digestDeliveries: 'GET /api/digests/deliveries?subscriber_id=1&status=failed',
+      runs: 'GET /api/runs?trigger=schedule&status=failed',
+      runAuthors: 'GET /api/runs/authors?empty=true',
+      runById: 'GET /api/runs/:id',
+      cacheStats: 'GET /api/admin/cache',
+      purgeCache: 'DELETE /api/admin/cache?type=search&expired=true',
+      usage: 'GET /api/usage?days=30',
+      stats: 'GET /api/stats?year_from=2015&saved_from=2024-01-01&author_id=1&since=2024-06-01&top=10',
+      authorStats: 'GET /api/stats/authors/:id?since=2024-06-01',
+      articlesFeed: 'GET /feeds/articles.atom|rss|json',
+      authorFeed: 'GET /feeds/authors/:id.atom|rss|json',
+      topicQueryFeed: 'GET /feeds/topic-queries/:id.atom|rss|json?new_only=true'
     },
     documentation: 'See README.md for full API documentation'
   });
@@ -64,6 +145,14 @@ app.get('/', (req, res) => {
 
 // API Routes
 app.use('/api/authors', authorRoutes);
+app.use('/api/articles', articleRoutes);
+app.use('/api/watchlists', watchlistRoutes);
+app.use('/api/topic-queries', topicQueryRoutes);
+app.use('/api/digests', digestRoutes);
+app.use('/api/runs', runRoutes);
+app.use('/api/admin/cache', cacheRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/stats', statsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -106,9 +195,83 @@ const startServer = async () => {
       console.log('\n📚 Available endpoints:');
       console.log(`   GET  /health`);
       console.log(`   GET  /api/authors/fetch-articles?authors=Name1,Name2,Name3`);
+      console.log(`   POST /api/fetch-jobs`);
+      console.log(`   GET  /api/fetch-jobs/:id`);
+      console.log(`   POST /api/fetch-jobs/:id/cancel`);
+      console.log(`   GET  /api/articles`);
+      console.log(`   GET  /api/articles/search?q=term`);
+      console.log(`   GET  /api/articles/export?format=bibtex`);
+      console.log(`   GET  /api/articles/:id/export?format=bibtex`);
+      console.log(`   GET  /api/articles/:id`);
+      console.log(`   GET  /api/articles/by-scholar-id/:gsid`);
+      console.log(`   GET  /api/articles/:id/citation-history`);
+      console.log(`   POST /api/articles/refresh-citations`);
+      console.log(`   POST /api/articles/:id/crawl-cited-by`);
+      console.log(`   GET  /api/articles/:id/cited-by`);
+      console.log(`   GET  /api/articles/:id/cites`);
+      console.log(`   GET  /api/articles/:id/versions`);
+      console.log(`   POST /api/articles/:id/fetch-versions`);
+      console.log(`   POST /api/articles/deduplicate`);
+      console.log(`   GET  /api/authors`);
+      console.log(`   GET  /api/authors/:id`);
+      console.log(`   GET  /api/authors/:id/articles`);
+      console.log(`   GET  /api/authors/:id/citation-history`);
+      console.log(`   GET  /api/authors/coauthor-graph`);
+      console.log(`   GET  /api/authors/:id/coauthor-graph`);
+      console.log(`   GET  /api/authors/:id/aliases`);
+      console.log(`   POST /api/authors/:id/aliases`);
+      console.log(`   DELETE /api/authors/:id/aliases/:aliasId`);
+      console.log(`   GET  /api/authors/:id/duplicates`);
+      console.log(`   POST /api/authors/:id/merge`);
+      console.log(`   POST /api/authors/:id/split`);
+      console.log(`   GET  /api/authors/profiles/search?name=Name`);
+      console.log(`   PUT  /api/authors/:id/scholar-profile`);
+      console.log(`   DELETE /api/authors/:id/scholar-profile`);
+      console.log(`   POST /api/authors/:id/scholar-profile/refresh`);
+      console.log(`   GET  /api/watchlists`);
+      console.log(`   POST /api/watchlists/:id/run`);
+      console.log(`   GET  /api/topic-queries`);
+      console.log(`   POST /api/topic-queries/:id/run`);
+      console.log(`   GET  /api/topic-queries/:id/articles`);
+      console.log(`   GET  /api/digests/subscribers`);
+      console.log(`   GET  /api/digests/subscribers/:id/preview`);
+      console.log(`   POST /api/digests/subscribers/:id/send`);
+      console.log(`   POST /api/digests/send`);
+      console.log(`   GET  /api/digests/deliveries`);
+      console.log(`   GET  /api/runs`);
+      console.log(`   GET  /api/runs/authors`);
+      console.log(`   GET  /api/runs/:id`);
+      console.log(`   GET  /api/admin/cache`);
+      console.log(`   DELETE /api/admin/cache`);
+      console.log(`   GET  /api/usage`);
+      console.log(`   GET  /api/stats`);
+      console.log(`   GET  /api/stats/authors/:id`);
+      console.log(`   GET  /feeds/articles.atom|rss|json`);
+      console.log(`   GET  /feeds/authors/:id.atom|rss|json`);
+      console.log(`   GET  /feeds/topic-queries/:id.atom|rss|json`);
       console.log('\n💡 Press Ctrl+C to stop\n');
     });
 
+    // Start the watchlist and topic query scheduler
+    if (dbConnected) {
+      try {
+        await schedulerService.start();
+      } catch (error) {
+        console.error('⚠️  Scheduler not started:', error.message);
+        console.error('   Run "npm run migrate" to create the watchlists and topic_queries tables');
+      }
+
+      // Start the fetch job worker (resumes jobs interrupted by a restart)
+      try {
+        await fetchJobService.start();
+      } catch (error) {
+        console.error('⚠️  Fetch job worker not started:', error.message);
+        console.error('   Run "npm run migrate" to create the fetch_jobs table');
+      }
+    } else {
+      console.error('⚠️  Scheduler and fetch job worker not started: database unavailable');
+    }
+
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -118,11 +281,15 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n👋 SIGTERM received, shutting down gracefully...');
+  schedulerService.stop();
+  fetchJobService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\n👋 SIGINT received, shutting down gracefully...');
+  schedulerService.stop();
+  fetchJobService.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,220 @@
+jest.mock('../../models/articleModel', () => ({ findCreatedAfter: jest.fn() }));
+jest.mock('../../models/topicQueryModel', () => ({ findSavingQueries: jest.fn() }));
+jest.mock('../../models/fetchRunModel', () => ({ findSearchedAuthors: jest.fn() }));
+
+jest.mock('../../models/digestSubscriberModel', () => ({
+  advance: jest.fn(),
+  recordDelivery: jest.fn()
+}));
+
+const digestService = require('../digestService');
+const articleModel = require('../../models/articleModel');
+const topicQueryModel = require('../../models/topicQueryModel');
+const fetchRunModel = require('../../models/fetchRunModel');
+const digestSubscriberModel = require('../../models/digestSubscriberModel');
+
+// Keep the delivery logs out of the test output
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const ARTICLES = [
+  {
+    id: 41,
+    paper_title: 'Attention is all you need',
+    authors: 'A Vaswani, N Shazeer, N Parmar',
+    authors_truncated: true,
+    publication_year: 2017,
+    journal: 'Advances in neural …',
+    citation_count: 120000,
+    article_url: 'https://proceedings.neurips.cc/paper/2017/hash/3f5ee243547dee91fbd053c1c4a845aa-Abstract.html',
+    pdf_url: null,
+    created_at: new Date('2024-05-24T02:00:10Z')
+  },
+  {
+    id: 42,
+    paper_title: 'Dropout: a simple way to prevent neural networks from <overfitting>',
+    authors: 'N Srivastava, G Hinton',
+    authors_truncated: false,
+    publication_year: 2014,
+    journal: 'The journal of machine …',
+    citation_count: 45000,
+    article_url: 'https://en.wikipedia.org/wiki/Dropout_(neural_networks)',
+    pdf_url: 'https://www.jmlr.org/papers/volume15/srivastava14a/srivastava14a.pdf',
+    created_at: new Date('2024-05-24T02:00:20Z')
+  },
+  {
+    id: 43,
+    paper_title: 'A preprint nobody cites yet',
+    authors: 'J Doe',
+    authors_truncated: false,
+    publication_year: 2024,
+    journal: null,
+    citation_count: 0,
+    article_url: null,
+    pdf_url: null,
+    created_at: new Date('2024-05-24T02:00:30Z')
+  }
+];
+
+/**
+ * Channel stand-in that captures every message it is asked to send
+ * @param {string} name - Channel name
+ * @returns {object} - Channel with sent messages
+ */
+const capturingChannel = (name) => ({
+  name,
+  sent: [],
+  async send(subscriber, message) {
+    this.sent.push({ subscriber, message });
+  }
+});
+
+const subscriber = (overrides = {}) => ({
+  id: 5,
+  name: 'Lab',
+  channel: 'email',
+  target: 'lab@example.org',
+  format: 'html',
+  group_by: 'source',
+  min_citations: 0,
+  send_empty: false,
+  last_article_id: 40,
+  ...overrides
+});
+
+describe('digestService delivery', () => {
+  let channels;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    channels = {
+      email: capturingChannel('email'),
+      webhook: capturingChannel('webhook'),
+      slack: capturingChannel('slack')
+    };
+    digestService.useChannels(channels);
+
+    articleModel.findCreatedAfter.mockResolvedValue(ARTICLES);
+    topicQueryModel.findSavingQueries.mockResolvedValue([{ article_id: 41, name: 'Transformers' }]);
+    fetchRunModel.findSearchedAuthors.mockResolvedValue(new Map([[42, 'Geoffrey Hinton']]));
+  });
+
+  it('emails an HTML digest grouped by source and advances the watermark', async () => {
+    const result = await digestService.deliver(subscriber(), 'manual');
+
+    expect(result).toEqual({ subscriber_id: 5, name: 'Lab', channel: 'email', status: 'sent', article_count: 3 });
+    expect(channels.email.sent).toHaveLength(1);
+
+    const { subscriber: recipient, message } = channels.email.sent[0];
+    expect(recipient.target).toBe('lab@example.org');
+    expect(message.subject).toBe('Google Scholar digest: 3 new articles');
+    expect(message.digest.groups.map(group => [group.type, group.name, group.articles.map(article => article.id)])).toEqual([
+      ['topic_query', 'Transformers', [41]],
+      ['author', 'Geoffrey Hinton', [42]],
+      ['other', 'Other', [43]]
+    ]);
+    expect(message.body).toContain('<h2>Transformers (1)</h2>');
+    expect(message.body).toContain('from &lt;overfitting&gt;</a>');
+    expect(message.body).toContain('A Vaswani, N Shazeer, N Parmar et al. - Advances in neural … - 2017');
+    expect(message.text).toContain('  PDF: https://www.jmlr.org/papers/volume15/srivastava14a/srivastava14a.pdf');
+
+    expect(articleModel.findCreatedAfter).toHaveBeenCalledWith(40, expect.any(Number));
+    expect(digestSubscriberModel.recordDelivery).toHaveBeenCalledWith({
+      subscriber_id: 5,
+      trigger_source: 'manual',
+      article_count: 3,
+      from_article_id: 41,
+      to_article_id: 43,
+      status: 'sent'
+    });
+    expect(digestSubscriberModel.advance).toHaveBeenCalledWith(5, 43, true);
+  });
+
+  it('posts the Markdown body with encoded link parentheses to a webhook', async () => {
+    await digestService.deliver(subscriber({ channel: 'webhook', target: 'http://127.0.0.1:9/hook', format: 'markdown', group_by: 'none' }), 'schedule');
+
+    const { message } = channels.webhook.sent[0];
+    expect(message.format).toBe('markdown');
+    expect(message.body).toBe([
+      '# Google Scholar digest: 3 new articles',
+      '',
+      '## New articles (3)',
+      '',
+      '- **[Attention is all you need](https://proceedings.neurips.cc/paper/2017/hash/3f5ee243547dee91fbd053c1c4a845aa-Abstract.html)**',
+      '  A Vaswani, N Shazeer, N Parmar et al. - Advances in neural … - 2017',
+      '  120000 citations',
+      '- **[Dropout: a simple way to prevent neural networks from <overfitting>](https://en.wikipedia.org/wiki/Dropout_%28neural_networks%29)**',
+      '  N Srivastava, G Hinton - The journal of machine … - 2014',
+      '  45000 citations · [PDF](https://www.jmlr.org/papers/volume15/srivastava14a/srivastava14a.pdf)',
+      '- **A preprint nobody cites yet**',
+      '  J Doe - 2024',
+      '  0 citations',
+      ''
+    ].join('\n'));
+    expect(digestSubscriberModel.advance).toHaveBeenCalledWith(5, 43, true);
+  });
+
+  it('sends Slack mrkdwn to a Slack webhook', async () => {
+    await digestService.deliver(subscriber({ channel: 'slack', format: 'slack', min_citations: 1000 }), 'schedule');
+
+    const { message } = channels.slack.sent[0];
+    expect(message.slack).toBe([
+      '*Google Scholar digest: 2 new articles*',
+      '',
+      '*Transformers* (1)',
+      '• <https://proceedings.neurips.cc/paper/2017/hash/3f5ee243547dee91fbd053c1c4a845aa-Abstract.html|Attention is all you need> (2017 · 120000 citations)',
+      '',
+      '*Geoffrey Hinton* (1)',
+      '• <https://en.wikipedia.org/wiki/Dropout_(neural_networks)|Dropout: a simple way to prevent neural networks from &lt;overfitting&gt;> ' +
+        '(2014 · 45000 citations · <https://www.jmlr.org/papers/volume15/srivastava14a/srivastava14a.pdf|PDF>)'
+    ].join('\n'));
+    // Articles left out by min_citations are not reconsidered
+    expect(digestSubscriberModel.advance).toHaveBeenCalledWith(5, 43, true);
+  });
+
+  it('keeps the watermark when the delivery fails', async () => {
+    channels.email.send = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:587'));
+
+    const result = await digestService.deliver(subscriber(), 'schedule');
+
+    expect(result).toMatchObject({ status: 'failed', error: 'connect ECONNREFUSED 127.0.0.1:587' });
+    expect(digestSubscriberModel.recordDelivery).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      from_article_id: 41,
+      to_article_id: 43,
+      error_message: 'connect ECONNREFUSED 127.0.0.1:587'
+    }));
+    expect(digestSubscriberModel.advance).not.toHaveBeenCalled();
+  });
+
+  it('retries the same articles after a failed delivery', async () => {
+    const lab = subscriber();
+    digestSubscriberModel.advance.mockImplementation(async (id, lastArticleId) => {
+      lab.last_article_id = lastArticleId;
+    });
+    channels.email.send = jest.fn()
+      .mockRejectedValueOnce(new Error('Greeting never received'))
+      .mockResolvedValueOnce();
+
+    expect((await digestService.deliver(lab, 'schedule')).status).toBe('failed');
+    expect(lab.last_article_id).toBe(40);
+
+    expect((await digestService.deliver(lab, 'schedule')).status).toBe('sent');
+    expect(lab.last_article_id).toBe(43);
+
+    expect(articleModel.findCreatedAfter.mock.calls.map(call => call[0])).toEqual([40, 40]);
+    expect(channels.email.send.mock.calls[1][1].digest.article_count).toBe(3);
+  });
+
+  it('skips an empty digest without sending it', async () => {
+    articleModel.findCreatedAfter.mockResolvedValue([]);
+
+    const result = await digestService.deliver(subscriber(), 'schedule');
+
+    expect(result.status).toBe('skipped');
+    expect(channels.email.sent).toHaveLength(0);
+    expect(digestSubscriberModel.recordDelivery).not.toHaveBeenCalled();
+    expect(digestSubscriberModel.advance).not.toHaveBeenCalled();
+  });
+});
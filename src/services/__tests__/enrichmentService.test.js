@@ -0,0 +1,121 @@
+const enrichmentService = require('../enrichmentService');
+const StubMetadataProvider = require('../../providers/metadata/stubMetadataProvider');
+
+// Keep the enrichment logs out of the test output
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+// As saved from a Google Scholar result: abbreviated and cut authors, snippet abstract, cut venue
+const scholarArticle = () => ({
+  paper_title: 'Dropout: a simple way to prevent neural networks from overfitting',
+  authors: 'N Srivastava, G Hinton, A Krizhevsky',
+  authors_truncated: true,
+  publication_year: 2014,
+  journal: 'The journal of machine …',
+  abstract_text: 'Deep neural nets with a large number of parameters are very powerful machine learning systems.',
+  doi: null,
+  issn: null
+});
+
+const crossrefRecord = {
+  title: 'Dropout: A Simple Way to Prevent Neural Networks from Overfitting',
+  year: 2014,
+  doi: '10.5555/2627435.2670313',
+  authors: ['Nitish Srivastava', 'Geoffrey Hinton', 'Alex Krizhevsky', 'Ilya Sutskever', 'Ruslan Salakhutdinov'],
+  venue: 'The Journal of Machine Learning Research',
+  issn: null
+};
+
+const openAlexRecord = {
+  title: 'Dropout: a simple way to prevent neural networks from overfitting',
+  year: 2014,
+  doi: '10.9999/OTHER-DOI',
+  authors: ['N. Srivastava', 'G. Hinton'],
+  abstract: 'Deep neural nets with a large number of parameters are very powerful machine learning systems. ' +
+    'However, overfitting is a serious problem in such networks. Dropout is a technique for addressing this problem.',
+  venue: 'Journal of Machine Learning Research',
+  issn: '1532-4435'
+};
+
+describe('enrichmentService with stub providers', () => {
+  beforeEach(() => {
+    enrichmentService.useProviders([]);
+  });
+
+  it('leaves articles untouched when no provider is configured', async () => {
+    const article = scholarArticle();
+
+    expect(await enrichmentService.enrich(article)).toBe(article);
+  });
+
+  it('fills in missing and cut fields from a matching record', async () => {
+    enrichmentService.useProviders([new StubMetadataProvider([crossrefRecord], 'crossref')]);
+
+    const enriched = await enrichmentService.enrich(scholarArticle());
+
+    expect(enriched).toMatchObject({
+      doi: '10.5555/2627435.2670313',
+      authors: 'Nitish Srivastava, Geoffrey Hinton, Alex Krizhevsky, Ilya Sutskever, Ruslan Salakhutdinov',
+      authors_truncated: false,
+      journal: 'The Journal of Machine Learning Research',
+      enrichment_sources: { doi: 'crossref', authors: 'crossref', journal: 'crossref' }
+    });
+    expect(enriched.abstract_text).toBe(scholarArticle().abstract_text);
+    expect(enriched.enriched_at).toBeInstanceOf(Date);
+  });
+
+  it('keeps the first provider\'s value for each field and takes the rest from later ones', async () => {
+    enrichmentService.useProviders([
+      new StubMetadataProvider([crossrefRecord], 'crossref'),
+      new StubMetadataProvider([openAlexRecord], 'openalex')
+    ]);
+
+    const enriched = await enrichmentService.enrich(scholarArticle());
+
+    expect(enriched.doi).toBe('10.5555/2627435.2670313');
+    expect(enriched.authors).toBe(crossrefRecord.authors.join(', '));
+    expect(enriched.journal).toBe('The Journal of Machine Learning Research');
+    expect(enriched.abstract_text).toBe(openAlexRecord.abstract);
+    expect(enriched.issn).toBe('1532-4435');
+    expect(enriched.enrichment_sources).toEqual({
+      doi: 'crossref',
+      authors: 'crossref',
+      journal: 'crossref',
+      abstract_text: 'openalex',
+      issn: 'openalex'
+    });
+  });
+
+  it('does not replace a longer author list with a shorter one', async () => {
+    enrichmentService.useProviders([new StubMetadataProvider([openAlexRecord], 'openalex')]);
+
+    const enriched = await enrichmentService.enrich(scholarArticle());
+
+    expect(enriched.authors).toBe('N Srivastava, G Hinton, A Krizhevsky');
+    expect(enriched.authors_truncated).toBe(true);
+    expect(enriched.doi).toBe('10.9999/other-doi');
+  });
+
+  it('ignores records below the confidence threshold', async () => {
+    enrichmentService.useProviders([
+      new StubMetadataProvider([{ ...crossrefRecord, title: 'Improving neural networks by preventing co-adaptation of feature detectors' }], 'crossref'),
+      new StubMetadataProvider([{ ...crossrefRecord, year: 2009 }], 'openalex')
+    ]);
+
+    const article = scholarArticle();
+    const enriched = await enrichmentService.enrich(article);
+
+    expect(enriched).toEqual(article);
+    expect(enriched.enrichment_sources).toBeUndefined();
+  });
+
+  it('skips a failing provider', async () => {
+    const failing = { name: 'semantic_scholar', lookup: jest.fn().mockRejectedValue(new Error('HTTP 429')) };
+    enrichmentService.useProviders([failing, new StubMetadataProvider([openAlexRecord], 'openalex')]);
+
+    const enriched = await enrichmentService.enrich(scholarArticle());
+
+    expect(failing.lookup).toHaveBeenCalledWith({ title: scholarArticle().paper_title, year: 2014 });
+    expect(enriched.enrichment_sources).toMatchObject({ doi: 'openalex', issn: 'openalex' });
+  });
+});
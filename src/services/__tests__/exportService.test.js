@@ -0,0 +1,133 @@
+const exportService = require('../exportService');
+
+const article = (overrides = {}) => ({
+  id: 5,
+  paper_title: 'Deep learning',
+  author_names: ['Y LeCun', 'Y Bengio', 'G Hinton'],
+  authors_truncated: false,
+  publication_year: 2015,
+  journal: 'nature',
+  publisher: 'nature.com',
+  issn: null,
+  doi: null,
+  article_url: 'https://www.nature.com/articles/nature14539',
+  pdf_url: null,
+  abstract_text: null,
+  citation_count: 90000,
+  google_scholar_id: 'hZfD1Y0RxjMJ',
+  cluster_id: null,
+  ...overrides
+});
+
+describe('exportService citation keys', () => {
+  it.each([
+    ['first author surname, year and first significant title word', article(), 'lecun2015deep'],
+    ['stop words skipped', article({ paper_title: 'A fast learning algorithm for deep belief nets', author_names: ['GE Hinton'], publication_year: 2006 }), 'hinton2006fast'],
+    ['accents folded to ASCII', article({ author_names: ['Y Le Cün'], paper_title: 'Étude des réseaux' }), 'cun2015etude'],
+    ['missing authors and year', article({ author_names: [], publication_year: null, paper_title: 'The unknown paper' }), 'anonndunknown']
+  ])('%s', (name, input, expected) => {
+    expect(exportService.buildCitationKey(input)).toBe(expected);
+  });
+
+  it('numbers colliding keys in ID order, the oldest article keeping the bare key', () => {
+    const articles = [article({ id: 9 }), article({ id: 5 }), article({ id: 12 }), article({ id: 7, paper_title: 'Gradient-based learning' })];
+
+    expect(exportService.assignCitationKeys(articles).map(a => [a.id, a.citation_key])).toEqual([
+      [9, 'lecun2015deepb'],
+      [5, 'lecun2015deep'],
+      [12, 'lecun2015deepc'],
+      [7, 'lecun2015gradientbased']
+    ]);
+  });
+
+  it('gives an article the same key whichever articles are exported with it', () => {
+    const stored = [article({ id: 5 }), article({ id: 9 })];
+
+    const alone = exportService.assignCitationKeys([article({ id: 9 })], stored);
+    const full = exportService.assignCitationKeys(stored, stored);
+
+    expect(alone[0].citation_key).toBe('lecun2015deepb');
+    expect(full.find(a => a.id === 9).citation_key).toBe('lecun2015deepb');
+    expect(exportService.assignCitationKeys([article({ id: 5 })], stored)[0].citation_key).toBe('lecun2015deep');
+  });
+
+  it('continues the suffixes past "z"', () => {
+    const stored = Array.from({ length: 28 }, (_, index) => article({ id: index + 1 }));
+
+    expect(exportService.assignCitationKeys(stored).slice(24).map(a => a.citation_key)).toEqual([
+      'lecun2015deepy', 'lecun2015deepz', 'lecun2015deepaa', 'lecun2015deepab'
+    ]);
+  });
+});
+
+describe('exportService escaping', () => {
+  it('escapes LaTeX special characters in BibTeX fields but not in URLs and DOIs', () => {
+    const bibtex = exportService.render([article({
+      paper_title: 'Costs & benefits of 100% recall: $O(n^2)$ with #tags, snake_case {braces} ~ \\ ok',
+      author_names: ['A O\'Neil', 'B Smith'],
+      authors_truncated: true,
+      doi: '10.1000/{weird}_doi',
+      article_url: 'https://example.org/paper?a=1&b=2_%20'
+    })], 'bibtex');
+
+    expect(bibtex).toBe([
+      '@article{oneil2015costs,',
+      '  title = {Costs \\& benefits of 100\\% recall: \\$O(n\\textasciicircum{}2)\\$ with \\#tags, snake\\_case \\{braces\\} \\textasciitilde{} \\textbackslash{} ok},',
+      '  author = {O\'Neil, A and Smith, B and others},',
+      '  journal = {nature},',
+      '  year = {2015},',
+      '  publisher = {nature.com},',
+      '  doi = {10.1000/\\{weird\\}_doi},',
+      '  url = {https://example.org/paper?a=1&b=2_%20},',
+      '  note = {Cited by 90000 (Google Scholar)}',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps RIS values on one line', () => {
+    const ris = exportService.render([article({
+      paper_title: 'Deep\nlearning  with\ttabs',
+      abstract_text: 'First line.\r\nSecond line.'
+    })], 'ris');
+
+    expect(ris.split('\r\n')).toEqual([
+      'TY  - JOUR',
+      'ID  - lecun2015deep',
+      'TI  - Deep learning with tabs',
+      'AU  - LeCun, Y',
+      'AU  - Bengio, Y',
+      'AU  - Hinton, G',
+      'PY  - 2015',
+      'T2  - nature',
+      'PB  - nature.com',
+      'UR  - https://www.nature.com/articles/nature14539',
+      'AB  - First line. Second line.',
+      'ER  - ',
+      ''
+    ]);
+  });
+
+  it.each([
+    ['plain text', 'Deep learning', 'Deep learning'],
+    ['commas', 'Deep learning, revisited', '"Deep learning, revisited"'],
+    ['quotes', 'The "deep" in deep learning', '"The ""deep"" in deep learning"'],
+    ['line breaks', 'Deep\nlearning', '"Deep\nlearning"'],
+    ['a formula', '=HYPERLINK("http://evil")', '"\'=HYPERLINK(""http://evil"")"'],
+    ['a leading minus', '-1 citations', '\'-1 citations'],
+    ['a leading at sign', '@cmd', '\'@cmd'],
+    ['null', null, '']
+  ])('quotes CSV cells with %s', (name, value, expected) => {
+    expect(exportService.escapeCsv(value)).toBe(expected);
+  });
+
+  it('renders a CSV row per article under the header', () => {
+    const csv = exportService.render([article({ paper_title: 'Deep learning, again', author_names: ['Y LeCun', 'G Hinton'] })], 'csv');
+
+    expect(csv.split('\r\n')).toEqual([
+      'id,citation_key,title,authors,year,journal,publisher,citation_count,article_url,pdf_url,google_scholar_id,cluster_id,doi,issn',
+      '5,lecun2015deep,"Deep learning, again",Y LeCun; G Hinton,2015,nature,nature.com,90000,https://www.nature.com/articles/nature14539,,hZfD1Y0RxjMJ,,,',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+const path = require('path');
+
+// Replay the recorded SerpAPI session in fixtures/serpapi
+process.env.SCHOLAR_PROVIDER = 'fixture';
+process.env.SCHOLAR_FIXTURE_DIR = path.resolve(__dirname, '../../../fixtures/serpapi');
+process.env.ENRICHMENT_ENABLED = 'false';
+
+// Keep the pipeline's progress logs out of the test output
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+jest.mock('axios', () => ({
+  get: jest.fn(() => Promise.reject(new Error('Network access during tests'))),
+  post: jest.fn(() => Promise.reject(new Error('Network access during tests')))
+}));
+
+jest.mock('../../models/articleModel', () => ({
+  existsByGoogleScholarId: jest.fn(),
+  findDuplicate: jest.fn(),
+  create: jest.fn()
+}));
+
+jest.mock('../../models/authorModel', () => ({
+  findProfileByName: jest.fn(),
+  linkArticleAuthors: jest.fn()
+}));
+
+jest.mock('../../models/citationSnapshotModel', () => ({ create: jest.fn() }));
+jest.mock('../../models/articleVersionModel', () => ({ create: jest.fn() }));
+
+jest.mock('../../models/fetchRunModel', () => ({
+  create: jest.fn(),
+  finish: jest.fn()
+}));
+
+const axios = require('axios');
+const fetchService = require('../fetchService');
+const fetchConfig = require('../../config/fetch');
+const articleModel = require('../../models/articleModel');
+const authorModel = require('../../models/authorModel');
+const fetchRunModel = require('../../models/fetchRunModel');
+
+describe('fetchService with the fixture provider', () => {
+  beforeAll(() => {
+    fetchConfig.requestDelayMs = 0;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    let nextId = 100;
+    // "Deep learning" was saved by an earlier run
+    articleModel.existsByGoogleScholarId.mockImplementation(async (id) => id === 'hZfD1Y0RxjMJ');
+    articleModel.findDuplicate.mockResolvedValue(null);
+    articleModel.create.mockImplementation(async () => nextId++);
+    authorModel.findProfileByName.mockResolvedValue(null);
+    fetchRunModel.create.mockResolvedValue(7);
+  });
+
+  it('saves the unseen articles of the recorded pages', async () => {
+    const results = await fetchService.fetchArticlesByAuthors(['Geoffrey Hinton'], { perAuthor: 10 });
+
+    expect(results.summary).toMatchObject({
+      total_fetched: 4,
+      total_saved: 3,
+      total_already_exists: 1,
+      total_pages: 2,
+      // Replayed pages are not charged by SerpAPI
+      serpapi_calls: 0
+    });
+    expect(results.authors[0]).toMatchObject({
+      author: 'Geoffrey Hinton',
+      saved: 3,
+      already_exists: 1,
+      stop_reason: 'no_more_results'
+    });
+    expect(results.articles_saved.map(article => article.title)).toEqual([
+      'Imagenet classification with deep convolutional neural networks',
+      'Dropout: a simple way to prevent neural networks from overfitting',
+      'Visualizing data using t-SNE'
+    ]);
+    expect(results.status).toBe('success');
+    expect(fetchRunModel.finish).toHaveBeenCalledWith(7, 'success', results.summary, results.authors);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('stores parsed article fields and links the listed authors', async () => {
+    await fetchService.fetchArticlesByAuthors(['Geoffrey Hinton'], { perAuthor: 1 });
+
+    expect(articleModel.create).toHaveBeenCalledTimes(1);
+    expect(articleModel.create.mock.calls[0][0]).toMatchObject({
+      google_scholar_id: 'kYPnF7Y0ryUJ',
+      authors: 'A Krizhevsky, I Sutskever, GE Hinton',
+      publication_year: 2012,
+      journal: 'Advances in neural information processing …',
+      publisher: 'proceedings.neurips.cc',
+      citation_count: 150000,
+      cluster_id: '2071317309766942398',
+      pdf_url: 'https://proceedings.neurips.cc/paper/2012/file/c399862d3b9d6b76c8436e924a68c45b-Paper.pdf'
+    });
+    expect(authorModel.linkArticleAuthors).toHaveBeenCalledWith(100, ['A Krizhevsky', 'I Sutskever', 'GE Hinton']);
+  });
+
+  it('stops at the quota without reading further pages', async () => {
+    const results = await fetchService.fetchArticlesByAuthors(['Geoffrey Hinton'], { perAuthor: 2 });
+
+    expect(results.authors[0]).toMatchObject({
+      saved: 2,
+      already_exists: 1,
+      pages_consumed: 1,
+      stop_reason: 'quota_met'
+    });
+  });
+
+  it('records an error for a request that was never recorded', async () => {
+    const results = await fetchService.fetchArticlesByAuthors(['Yann LeCun'], { perAuthor: 5 });
+
+    expect(results.authors[0].stop_reason).toBe('error');
+    expect(results.authors[0].error).toMatch(/No recorded search response/);
+    expect(results.status).toBe('partial');
+  });
+});
@@ -0,0 +1,140 @@
+const parserService = require('../parserService');
+
+// publication_info.summary strings as returned by Google Scholar, with the
+// optional structured publication_info.authors
+const CASES = [
+  // Full summaries
+  {
+    name: 'journal article',
+    summary: 'Y LeCun, Y Bengio, G Hinton - nature, 2015 - nature.com',
+    expected: { authors: 'Y LeCun, Y Bengio, G Hinton', truncated: false, journal: 'nature', year: 2015, publisher: 'nature.com' }
+  },
+  {
+    name: 'conference paper',
+    summary: 'J Doe - Proceedings of the ACM-SIAM Symposium on Discrete Algorithms, 2005 - dl.acm.org',
+    expected: { authors: 'J Doe', truncated: false, journal: 'Proceedings of the ACM-SIAM Symposium on Discrete Algorithms', year: 2005, publisher: 'dl.acm.org' }
+  },
+
+  // Truncated with "…"
+  {
+    name: 'truncated authors and venue',
+    summary: 'A Vaswani, N Shazeer, N Parmar… - Advances in neural …, 2017 - proceedings.neurips.cc',
+    expected: { authors: 'A Vaswani, N Shazeer, N Parmar', truncated: true, journal: 'Advances in neural …', year: 2017, publisher: 'proceedings.neurips.cc' }
+  },
+  {
+    name: 'truncated venue only',
+    summary: 'K He, X Zhang, S Ren, J Sun - Proceedings of the IEEE …, 2016 - openaccess.thecvf.com',
+    expected: { authors: 'K He, X Zhang, S Ren, J Sun', truncated: false, journal: 'Proceedings of the IEEE …', year: 2016, publisher: 'openaccess.thecvf.com' }
+  },
+  {
+    name: 'authors truncated with three dots',
+    summary: 'N Srivastava, G Hinton, A Krizhevsky... - The journal of machine …, 2014 - jmlr.org',
+    expected: { authors: 'N Srivastava, G Hinton, A Krizhevsky', truncated: true, journal: 'The journal of machine …', year: 2014, publisher: 'jmlr.org' }
+  },
+
+  // Books and publisher-only strings
+  {
+    name: 'book on Google Books',
+    summary: 'I Goodfellow, Y Bengio, A Courville - 2016 - books.google.com',
+    expected: { authors: 'I Goodfellow, Y Bengio, A Courville', truncated: false, journal: null, year: 2016, publisher: 'books.google.com' }
+  },
+  {
+    name: 'book with a publisher name',
+    summary: 'CM Bishop, NM Nasrabadi - 2006 - Springer',
+    expected: { authors: 'CM Bishop, NM Nasrabadi', truncated: false, journal: null, year: 2006, publisher: 'Springer' }
+  },
+  {
+    name: 'publisher name of several words',
+    summary: 'RS Sutton, AG Barto - 2018 - MIT press',
+    expected: { authors: 'RS Sutton, AG Barto', truncated: false, journal: null, year: 2018, publisher: 'MIT press' }
+  },
+
+  // Hyphenated venues
+  {
+    name: 'hyphen inside a venue word',
+    summary: 'M Smith - Computer-Aided Design, 2010 - Elsevier',
+    expected: { authors: 'M Smith', truncated: false, journal: 'Computer-Aided Design', year: 2010, publisher: 'Elsevier' }
+  },
+  {
+    name: '" - " inside the venue',
+    summary: 'R Kumar - Journal of X - Part A, 2019 - Elsevier',
+    expected: { authors: 'R Kumar', truncated: false, journal: 'Journal of X - Part A', year: 2019, publisher: 'Elsevier' }
+  },
+
+  // Domain-only venues
+  {
+    name: 'publisher domain only',
+    summary: 'D Smith - arxiv.org',
+    expected: { authors: 'D Smith', truncated: false, journal: null, year: null, publisher: 'arxiv.org' }
+  },
+  {
+    name: 'preprint identifier and domain',
+    summary: 'I Goodfellow, J Pouget-Abadie, M Mirza… - arXiv preprint arXiv:1406.2661, 2014 - arxiv.org',
+    expected: { authors: 'I Goodfellow, J Pouget-Abadie, M Mirza', truncated: true, journal: 'arXiv preprint arXiv:1406.2661', year: 2014, publisher: 'arxiv.org' }
+  },
+
+  // Years before 1900
+  {
+    name: '17th century book',
+    summary: 'I Newton - Philosophiae naturalis principia mathematica, 1687 - books.google.com',
+    expected: { authors: 'I Newton', truncated: false, journal: 'Philosophiae naturalis principia mathematica', year: 1687, publisher: 'books.google.com' }
+  },
+  {
+    name: '19th century book without publisher',
+    summary: 'JC Maxwell - A treatise on electricity and magnetism, 1873',
+    expected: { authors: 'JC Maxwell', truncated: false, journal: 'A treatise on electricity and magnetism', year: 1873, publisher: null }
+  },
+  {
+    name: 'venue ending with a period',
+    summary: 'JL Harper - Population biology of plants., 1977 - cabdirect.org',
+    expected: { authors: 'JL Harper', truncated: false, journal: 'Population biology of plants.', year: 1977, publisher: 'cabdirect.org' }
+  },
+
+  // Structured authors (publication_info.authors)
+  {
+    name: 'structured authors complete a truncated list',
+    summary: 'A Krizhevsky, I Sutskever… - Communications of the ACM, 2017 - dl.acm.org',
+    structuredAuthors: [
+      { name: 'A Krizhevsky', author_id: 'xegzhJcAAAAJ' },
+      { name: 'I Sutskever', author_id: 'x04W_mMAAAAJ' },
+      { name: 'GE Hinton', author_id: 'JicYPdAAAAAJ' }
+    ],
+    expected: { authors: 'A Krizhevsky, I Sutskever, GE Hinton', truncated: false, journal: 'Communications of the ACM', year: 2017, publisher: 'dl.acm.org' }
+  },
+  {
+    name: 'structured authors listing only profile owners',
+    summary: 'G Hinton, S Osindero, YW Teh - Neural computation, 2006 - direct.mit.edu',
+    structuredAuthors: [{ name: 'G Hinton', author_id: 'JicYPdAAAAAJ' }],
+    expected: { authors: 'G Hinton, S Osindero, YW Teh', truncated: false, journal: 'Neural computation', year: 2006, publisher: 'direct.mit.edu' }
+  },
+  {
+    name: 'structured authors as long as a truncated list',
+    summary: 'N Srivastava, G Hinton… - The journal of machine …, 2014 - jmlr.org',
+    structuredAuthors: [{ name: 'N Srivastava' }, { name: 'G  Hinton ' }],
+    expected: { authors: 'N Srivastava, G Hinton', truncated: true, journal: 'The journal of machine …', year: 2014, publisher: 'jmlr.org' }
+  },
+
+  // Missing parts
+  {
+    name: 'venue and year without publisher',
+    summary: 'AM Turing - Mind, 1950',
+    expected: { authors: 'AM Turing', truncated: false, journal: 'Mind', year: 1950, publisher: null }
+  },
+  {
+    name: 'empty summary',
+    summary: '',
+    expected: { authors: null, truncated: false, journal: null, year: null, publisher: null }
+  }
+];
+
+describe('parserService.parsePublicationInfo', () => {
+  it.each(CASES)('$name', ({ summary, structuredAuthors, expected }) => {
+    expect(parserService.parsePublicationInfo(summary, structuredAuthors)).toEqual({
+      authors: expected.authors,
+      authors_truncated: expected.truncated,
+      journal: expected.journal,
+      year: expected.year,
+      publisher: expected.publisher
+    });
+  });
+});
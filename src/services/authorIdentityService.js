@@ -0,0 +1,143 @@
+const authorModel = require('../models/authorModel');
+const authorNames = require('../utils/authorNames');
+
+/**
+ * Error answered with an HTTP status by the error handler
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Author Identity Service - Tells apart and joins up the spellings of an
+ * author's name: duplicate candidates, merging and splitting authors
+ */
+class AuthorIdentityService {
+  /**
+   * Stored authors whose name may be another spelling of the author's
+   * ("G Hinton", "GE Hinton" for "Geoffrey Hinton")
+   * @param {object} author - Stored author
+   * @returns {Promise<Array>} - { id, full_name, name_key } candidates
+   */
+  async findDuplicates(author) {
+    const parsed = authorNames.parseName(author.full_name);
+    if (!parsed || !parsed.initials) return [];
+
+    const rows = await authorModel.findBySurname(parsed.surname);
+
+    return rows
+      .filter(row => row.id !== author.id)
+      .filter(row => authorNames.isCompatible(parsed, authorNames.parseName(row.full_name)))
+      .map(row => ({ id: row.id, full_name: row.full_name, name_key: authorNames.nameKey(row.full_name) }));
+  }
+
+  /**
+   * Merge authors into one
+   * @param {number} targetId - Author kept
+   * @param {Array<number>} sourceIds - Authors merged into it
+   * @returns {Promise<object>} - { author, merged }
+   * @throws {Error} - 400 when merging an author into itself, 404 for unknown authors,
+   *                   409 when two authors are linked to different Scholar profiles
+   */
+  async merge(targetId, sourceIds) {
+    const ids = [...new Set(sourceIds)];
+
+    if (ids.includes(targetId)) {
+      throw httpError(400, `Author ${targetId} cannot be merged into itself`);
+    }
+
+    const target = await authorModel.findById(targetId);
+    if (!target) throw httpError(404, `Author ${targetId} not found`);
+
+    const sources = [];
+    for (const id of ids) {
+      const source = await authorModel.findById(id);
+      if (!source) throw httpError(404, `Author ${id} not found`);
+      sources.push(source);
+    }
+
+    const profileIds = new Set([target, ...sources].map(author => author.scholar_author_id).filter(id => id));
+    if (profileIds.size > 1) {
+      throw httpError(409, `Authors are linked to different Scholar profiles (${[...profileIds].join(', ')}); unlink all but one first`);
+    }
+
+    await authorModel.merge(targetId, ids);
+    console.log(`🧬 Merged authors ${ids.join(', ')} into ${targetId} (${target.full_name})`);
+
+    return {
+      author: await authorModel.findById(targetId),
+      merged: sources.map(source => ({ id: source.id, full_name: source.full_name }))
+    };
+  }
+
+  /**
+   * Move the articles an author is listed on under some names, or some of its
+   * articles, to another author. That author is found or created by full name;
+   * a merged author of that name is restored. The moved names become its aliases,
+   * so later articles listing them are linked to it too
+   * @param {number} sourceId - Author to split
+   * @param {object} options - { names (listed names), articleIds, fullName (default: first name) }
+   * @returns {Promise<object>} - { source, target, moved }
+   * @throws {Error} - 400 without a usable target name, 404 for an unknown author,
+   *                   409 when the target name is another author's alias,
+   *                   422 for names or articles the author is not linked under
+   */
+  async split(sourceId, options) {
+    const names = options.names || [];
+    const articleIds = options.articleIds || [];
+    const fullName = options.fullName || names[0];
+
+    if (!fullName) {
+      throw httpError(400, 'full_name is required when splitting by article_ids only');
+    }
+
+    const source = await authorModel.findById(sourceId);
+    if (!source) throw httpError(404, `Author ${sourceId} not found`);
+
+    if (fullName.toLowerCase() === source.full_name.toLowerCase()) {
+      throw httpError(400, `full_name must differ from the author's own name "${source.full_name}"`);
+    }
+
+    const aliasOwner = await authorModel.findAlias(fullName);
+    if (aliasOwner && aliasOwner.author_id !== sourceId) {
+      throw httpError(409, `"${fullName}" is an alias of author ${aliasOwner.author_id}; split into that author instead`);
+    }
+
+    const listedNames = (await authorModel.findListedNames(sourceId)).map(row => row.listed_name);
+    const unknown = names.filter(name => !listedNames.includes(name));
+    if (unknown.length > 0) {
+      throw httpError(422, `Author ${sourceId} is not listed as ${unknown.map(name => `"${name}"`).join(', ')} on any article`);
+    }
+
+    const linkedIds = await authorModel.findIdsOfArticles(sourceId, articleIds);
+    const unlinked = articleIds.filter(id => !linkedIds.includes(id));
+    if (unlinked.length > 0) {
+      throw httpError(422, `Articles ${unlinked.join(', ')} are not linked to author ${sourceId}`);
+    }
+
+    const targetId = await authorModel.upsert(fullName);
+    if (targetId === sourceId) {
+      throw httpError(400, `full_name must differ from the author's own name "${source.full_name}"`);
+    }
+
+    // The source keeps its own name; every other moved name now points to the target
+    const aliases = [...new Set([...names, fullName])]
+      .filter(name => name.toLowerCase() !== source.full_name.toLowerCase());
+
+    const moved = await authorModel.moveLinks(sourceId, targetId, { names, articleIds, aliases });
+    console.log(`🧬 Split ${moved} articles from author ${sourceId} (${source.full_name}) to ${targetId} (${fullName})`);
+
+    return {
+      source: await authorModel.findById(sourceId),
+      target: await authorModel.findById(targetId),
+      moved
+    };
+  }
+}
+
+module.exports = new AuthorIdentityService();
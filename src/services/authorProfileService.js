@@ -0,0 +1,126 @@
+const serpApiService = require('./serpApiService');
+const usageService = require('./usageService');
+const parserService = require('./parserService');
+const fetchService = require('./fetchService');
+const authorModel = require('../models/authorModel');
+const fetchConfig = require('../config/fetch');
+const { sleep } = require('../utils/sleep');
+
+/**
+ * Author Profile Service - Google Scholar author profiles: resolving names to
+ * profile ids and ingesting a profile's articles and metrics
+ */
+class AuthorProfileService {
+  /**
+   * Find candidate Scholar profiles for a name
+   * @param {string} name - Author name
+   * @param {object} options - { forceRefresh, trigger }
+   * @returns {Promise<Array<object>>} - { scholar_author_id, name, affiliation, email, cited_by, interests, linked_author_id }
+   */
+  async searchProfiles(name, options = {}) {
+    const data = await serpApiService.searchProfiles(name, options);
+    const candidates = parserService.parseProfileCandidates(data.profiles);
+
+    // Show which profiles are already linked to a stored author
+    return Promise.all(candidates.map(async candidate => {
+      const linked = await authorModel.findByScholarAuthorId(candidate.scholar_author_id);
+      return { ...candidate, linked_author_id: linked ? linked.id : null };
+    }));
+  }
+
+  /**
+   * Read a linked profile: store its metrics and save every listed article,
+   * up to `maxPages` pages of fetchConfig.profilePageSize articles
+   * @param {object} author - Stored author with scholar_author_id
+   * @param {object} options - { maxPages, forceRefresh, trigger }
+   * @returns {Promise<object>} - { metrics, summary, articles }
+   */
+  async refreshProfile(author, options = {}) {
+    const maxPages = options.maxPages || fetchConfig.profileMaxPages;
+    const summary = {
+      pages_consumed: 0,
+      cache_hits: 0,
+      fetched: 0,
+      saved: 0,
+      already_exists: 0,
+      stop_reason: 'complete'
+    };
+    const articles = [];
+    let metrics = null;
+    let start = 0;
+
+    while (true) {
+      if (summary.pages_consumed >= maxPages) {
+        summary.stop_reason = 'page_limit';
+        break;
+      }
+
+      // Rate limiting delay between SerpAPI requests
+      if (summary.pages_consumed > 0) {
+        await sleep(fetchConfig.requestDelayMs);
+      }
+
+      let profileData;
+      try {
+        profileData = await serpApiService.getAuthorProfile(author.scholar_author_id, start, {
+          num: fetchConfig.profilePageSize,
+          forceRefresh: options.forceRefresh,
+          trigger: options.trigger
+        });
+      } catch (error) {
+        if (!usageService.isBudgetExhausted(error)) throw error;
+
+        console.warn(`⚠️  ${error.message}`);
+        summary.stop_reason = 'credit_budget_exhausted';
+        break;
+      }
+
+      summary.pages_consumed++;
+      if (serpApiService.isCached(profileData)) summary.cache_hits++;
+
+      // Metrics are repeated on every page; the first one is enough
+      if (!metrics) {
+        metrics = parserService.parseProfileMetrics(profileData);
+        await authorModel.updateProfileMetrics(author.id, metrics);
+      }
+
+      const publications = parserService.filterValidPublications(
+        parserService.parseProfileArticles(profileData.articles)
+      );
+      summary.fetched += publications.length;
+
+      for (const publication of publications) {
+        try {
+          const saved = await fetchService.saveArticle(publication, { profileAuthor: author });
+
+          if (!saved) {
+            summary.already_exists++;
+            continue;
+          }
+
+          summary.saved++;
+          articles.push({
+            id: saved.id,
+            google_scholar_id: saved.article.google_scholar_id,
+            title: saved.article.paper_title,
+            citation_count: saved.article.citation_count
+          });
+        } catch (saveError) {
+          console.error(`❌ Error saving profile article: ${saveError.message}`);
+        }
+      }
+
+      if (publications.length === 0 || !profileData.serpapi_pagination?.next) {
+        break;
+      }
+
+      start += fetchConfig.profilePageSize;
+    }
+
+    console.log(`👤 Profile ${author.scholar_author_id} (${author.full_name}): ${summary.saved} new articles, ${summary.pages_consumed} pages`);
+
+    return { metrics, summary, articles };
+  }
+}
+
+module.exports = new AuthorProfileService();
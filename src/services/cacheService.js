@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const serpApiCacheModel = require('../models/serpApiCacheModel');
+const cacheConfig = require('../config/cache');
+
+// Request parameters that do not change the response
+const IGNORED_PARAMS = ['api_key', 'no_cache', 'output'];
+
+/**
+ * File cache store - One JSON file per entry in the cache directory
+ * Implements the same interface as serpApiCacheModel (get, set, purge, stats)
+ */
+class FileCacheStore {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Path of an entry file
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  filePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Read every entry (for purge and stats)
+   * @returns {Promise<Array<object>>} - { key, entry }
+   */
+  async readAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        entries.push({ key: file.slice(0, -5), entry });
+      } catch (error) {
+        // Unreadable entries are treated as missing
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Get an unexpired entry's response and count the hit
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} - Response data or null
+   */
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (entry.expires_at <= Date.now()) return null;
+
+    entry.hits = (entry.hits || 0) + 1;
+    await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+    return entry.response;
+  }
+
+  /**
+   * Store (or replace) a response
+   * @param {string} key - Cache key
+   * @param {object} entry - { call_type, params, response, ttl_seconds }
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.filePath(key), JSON.stringify({
+      call_type: entry.call_type,
+      params: entry.params,
+      response: entry.response,
+      hits: 0,
+      created_at: Date.now(),
+      expires_at: Date.now() + entry.ttl_seconds * 1000
+    }));
+  }
+
+  /**
+   * Delete entries
+   * @param {object} filters - { call_type, expiredOnly }
+   * @returns {Promise<number>} - Deleted entries
+   */
+  async purge(filters = {}) {
+    const now = Date.now();
+    let deleted = 0;
+
+    for (const { key, entry } of await this.readAll()) {
+      if (filters.call_type && entry.call_type !== filters.call_type) continue;
+      if (filters.expiredOnly && entry.expires_at > now) continue;
+
+      await fs.unlink(this.filePath(key)).catch(() => {});
+      deleted++;
+    }
+    return deleted;
+  }
+
+  /**
+   * Entry counts per call type
+   * @returns {Promise<Array>} - { call_type, entries, expired, hits }
+   */
+  async stats() {
+    const now = Date.now();
+    const byType = new Map();
+
+    for (const { entry } of await this.readAll()) {
+      if (!byType.has(entry.call_type)) {
+        byType.set(entry.call_type, { call_type: entry.call_type, entries: 0, expired: 0, hits: 0 });
+      }
+      const stats = byType.get(entry.call_type);
+      stats.entries++;
+      stats.hits += entry.hits || 0;
+      if (entry.expires_at <= now) stats.expired++;
+    }
+
+    return [...byType.values()].sort((a, b) => a.call_type.localeCompare(b.call_type));
+  }
+}
+
+/**
+ * Cache Service - Stores SerpAPI responses keyed on normalized request parameters
+ */
+class CacheService {
+  constructor() {
+    this.driver = cacheConfig.driver;
+    this.callTypes = Object.keys(cacheConfig.ttlSeconds);
+
+    if (this.driver === 'file') {
+      this.store = new FileCacheStore(cacheConfig.directory);
+    } else if (this.driver === 'mysql') {
+      this.store = serpApiCacheModel;
+    } else {
+      this.store = null;
+    }
+  }
+
+  /**
+   * Whether responses are cached
+   * @returns {boolean} - True unless the driver is "none"
+   */
+  isEnabled() {
+    return this.store !== null;
+  }
+
+  /**
+   * Normalize request parameters: drop credentials and cache flags,
+   * trim and collapse whitespace, lowercase the query and sort the keys
+   * @param {object} params - SerpAPI request parameters
+   * @returns {object} - Normalized parameters
+   */
+  normalizeParams(params) {
+    const normalized = {};
+
+    for (const name of Object.keys(params).sort()) {
+      const value = params[name];
+      if (IGNORED_PARAMS.includes(name) || value === undefined || value === null || value === '') continue;
+
+      let str = String(value).trim().replace(/\s+/g, ' ');
+      if (name === 'q') str = str.toLowerCase();
+      normalized[name] = str;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Build the cache key of a request
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - SerpAPI request parameters
+   * @returns {string} - SHA-256 hex key
+   */
+  buildKey(callType, params) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([callType, this.normalizeParams(params)]))
+      .digest('hex');
+  }
+
+  /**
+   * Get a cached response. Cache errors are logged and treated as a miss
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - SerpAPI request parameters
+   * @returns {Promise<object|null>} - Response data or null
+   */
+  async get(callType, params) {
+    if (!this.store) return null;
+
+    try {
+      return await this.store.get(this.buildKey(callType, params));
+    } catch (error) {
+      console.error(`❌ SerpAPI cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a response for the call type's TTL. Cache errors are logged, not thrown
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {object} params - SerpAPI request parameters
+   * @param {object} response - Response data
+   * @returns {Promise<void>}
+   */
+  async set(callType, params, response) {
+    const ttlSeconds = cacheConfig.ttlSeconds[callType];
+    if (!this.store || !ttlSeconds) return;
+
+    try {
+      await this.store.set(this.buildKey(callType, params), {
+        call_type: callType,
+        params: this.normalizeParams(params),
+        response,
+        ttl_seconds: ttlSeconds
+      });
+    } catch (error) {
+      console.error(`❌ SerpAPI cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete cached responses
+   * @param {object} filters - { call_type, expiredOnly }
+   * @returns {Promise<number>} - Deleted entries
+   */
+  async purge(filters = {}) {
+    return this.store ? this.store.purge(filters) : 0;
+  }
+
+  /**
+   * Cache settings and entry counts per call type
+   * @returns {Promise<object>} - { driver, ttl_seconds, types }
+   */
+  async stats() {
+    return {
+      driver: this.driver,
+      ttl_seconds: cacheConfig.ttlSeconds,
+      types: this.store ? await this.store.stats() : []
+    };
+  }
+}
+
+module.exports = new CacheService();
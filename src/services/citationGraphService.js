@@ -0,0 +1,181 @@
+const serpApiService = require('./serpApiService');
+const usageService = require('./usageService');
+const parserService = require('./parserService');
+const fetchService = require('./fetchService');
+const articleModel = require('../models/articleModel');
+const articleCitationModel = require('../models/articleCitationModel');
+const fetchConfig = require('../config/fetch');
+const serpApiConfig = require('../config/serpapi');
+const { sleep } = require('../utils/sleep');
+
+/**
+ * Citation Graph Service - Crawls "cited by" lists and navigates the stored citation graph
+ */
+class CitationGraphService {
+  /**
+   * Save a citing publication, or find it when it is already stored
+   * @param {object} publication - Parsed publication
+   * @returns {Promise<object>} - { id, cites_id, isNew }
+   */
+  async saveOrFindArticle(publication) {
+    const saved = await fetchService.saveArticle(publication);
+
+    if (saved) {
+      return { id: saved.id, cites_id: saved.article.cites_id, isNew: true };
+    }
+
+    const existing = await articleModel.findByGoogleScholarId(publication.google_scholar_id);
+    return existing ? { id: existing.id, cites_id: existing.cites_id, isNew: false } : null;
+  }
+
+  /**
+   * Page through the papers citing a stored article, save them and record the edges.
+   * Citing papers are followed breadth-first up to `depth` levels while pages remain
+   * @param {object} article - Stored article row to start from
+   * @param {object} options - { depth, maxPages, forceRefresh, trigger }
+   * @returns {Promise<object>} - Crawl summary
+   */
+  async crawlCitedBy(article, options = {}) {
+    const depth = options.depth || 1;
+    const maxPages = options.maxPages || fetchConfig.citedByMaxPages;
+
+    const summary = {
+      depth,
+      max_pages: maxPages,
+      pages_consumed: 0,
+      cache_hits: 0,
+      articles_visited: 0,
+      citing_found: 0,
+      articles_saved: 0,
+      edges_created: 0,
+      stop_reason: 'complete'
+    };
+
+    const visited = new Set([article.id]);
+    let queue = [{ id: article.id, cites_id: article.cites_id }];
+
+    crawl:
+    for (let level = 1; level <= depth && queue.length > 0; level++) {
+      const nextQueue = [];
+
+      for (const node of queue) {
+        if (!node.cites_id) continue;
+        summary.articles_visited++;
+
+        let start = 0;
+
+        while (true) {
+          if (summary.pages_consumed >= maxPages) {
+            summary.stop_reason = 'page_limit';
+            break crawl;
+          }
+
+          // Rate limiting delay between SerpAPI requests
+          if (summary.pages_consumed > 0) {
+            await sleep(fetchConfig.requestDelayMs);
+          }
+
+          let searchData;
+          try {
+            searchData = await serpApiService.getCitedBy(node.cites_id, start, {
+              forceRefresh: options.forceRefresh,
+              trigger: options.trigger
+            });
+          } catch (error) {
+            if (!usageService.isBudgetExhausted(error)) throw error;
+
+            // Keep what was crawled so far
+            console.warn(`⚠️  ${error.message}`);
+            summary.stop_reason = 'credit_budget_exhausted';
+            break crawl;
+          }
+          summary.pages_consumed++;
+          if (serpApiService.isCached(searchData)) summary.cache_hits++;
+
+          const publications = parserService.filterValidPublications(
+            parserService.parseOrganicResults(searchData.organic_results)
+          );
+
+          for (const publication of publications) {
+            try {
+              const citing = await this.saveOrFindArticle(publication);
+              if (!citing || citing.id === node.id) continue;
+
+              summary.citing_found++;
+              if (citing.isNew) summary.articles_saved++;
+
+              if (await articleCitationModel.create(citing.id, node.id)) {
+                summary.edges_created++;
+              }
+
+              if (!visited.has(citing.id)) {
+                visited.add(citing.id);
+                nextQueue.push({ id: citing.id, cites_id: citing.cites_id });
+              }
+            } catch (saveError) {
+              console.error(`❌ Error saving citing article: ${saveError.message}`);
+            }
+          }
+
+          if (publications.length === 0 || !parserService.extractMetadata(searchData).has_next) {
+            break;
+          }
+
+          start += serpApiConfig.defaultParams.num;
+        }
+      }
+
+      queue = nextQueue;
+    }
+
+    console.log(`🕸️  Cited-by crawl for article ${article.id}: ${summary.edges_created} new edges, ${summary.pages_consumed} pages`);
+    return summary;
+  }
+
+  /**
+   * Walk the stored citation graph breadth-first from an article
+   * @param {number} articleId - Starting article ID
+   * @param {string} direction - 'cited_by' or 'cites'
+   * @param {number} depth - Levels to follow
+   * @returns {Promise<object>} - { nodes, edges, truncated }
+   */
+  async traverse(articleId, direction, depth = 1) {
+    const seen = new Set([articleId]);
+    const nodeDepths = new Map();
+    const edges = [];
+    let frontier = [articleId];
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const levelEdges = await articleCitationModel.findEdges(frontier, direction);
+      const next = [];
+
+      for (const edge of levelEdges) {
+        const neighbourId = direction === 'cited_by' ? edge.citing_article_id : edge.cited_article_id;
+
+        if (!seen.has(neighbourId)) {
+          if (nodeDepths.size >= fetchConfig.graphMaxNodes) {
+            truncated = true;
+            continue;
+          }
+          seen.add(neighbourId);
+          nodeDepths.set(neighbourId, level);
+          next.push(neighbourId);
+        }
+
+        edges.push(edge);
+      }
+
+      frontier = next;
+    }
+
+    const articles = await articleModel.findByIds([...nodeDepths.keys()]);
+    const nodes = articles
+      .map(row => ({ ...row, depth: nodeDepths.get(row.id) }))
+      .sort((a, b) => a.depth - b.depth || b.citation_count - a.citation_count);
+
+    return { nodes, edges, truncated };
+  }
+}
+
+module.exports = new CitationGraphService();
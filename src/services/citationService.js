@@ -0,0 +1,156 @@
+const serpApiService = require('./serpApiService');
+const usageService = require('./usageService');
+const articleModel = require('../models/articleModel');
+const authorModel = require('../models/authorModel');
+const citationSnapshotModel = require('../models/citationSnapshotModel');
+const fetchConfig = require('../config/fetch');
+const { sleep } = require('../utils/sleep');
+
+/**
+ * Citation Service - Keeps stored citation counts current and records their history
+ */
+class CitationService {
+  /**
+   * Look up the current citation count of a stored article on Google Scholar
+   * Uses the version cluster when known, otherwise an exact-title search
+   * matched on google_scholar_id. Always asks SerpAPI, since a cached page holds an old count
+   * @param {object} article - Stored article row
+   * @param {string} trigger - 'api', 'schedule' or 'manual' (usage accounting)
+   * @returns {Promise<object|null>} - { citation_count, cluster_id } or null if the article was not found
+   */
+  async lookupCitationCount(article, trigger) {
+    let results;
+
+    if (article.cluster_id) {
+      const data = await serpApiService.getAllVersions(article.cluster_id, { forceRefresh: true, trigger });
+      results = data.organic_results || [];
+    } else {
+      const data = await serpApiService.search(`"${article.paper_title}"`, 0, { forceRefresh: true, trigger });
+      results = data.organic_results || [];
+    }
+
+    let match = results.find(result => result.result_id === article.google_scholar_id);
+
+    // Every result in a cluster is a version of the same paper
+    if (!match && article.cluster_id) {
+      match = results[0];
+    }
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      citation_count: match.inline_links?.cited_by?.total || 0,
+      cluster_id: match.inline_links?.versions?.cluster_id || null
+    };
+  }
+
+  /**
+   * Re-query stored articles, update citation_count and record a snapshot per observation
+   * Stops early, keeping the results so far, when the SerpAPI credit budget runs out
+   * @param {object} options - { limit, articleIds, trigger }
+   * @returns {Promise<object>} - { summary, articles }
+   */
+  async refreshCitations(options = {}) {
+    const limit = options.limit || fetchConfig.citationRefreshLimit;
+    let articles;
+
+    if (options.articleIds && options.articleIds.length > 0) {
+      // Keep the requested order; unknown IDs are skipped
+      const rows = await articleModel.findByIds(options.articleIds);
+      const byId = new Map(rows.map(row => [row.id, row]));
+      articles = [...new Set(options.articleIds)].map(id => byId.get(id)).filter(row => row);
+    } else {
+      articles = await articleModel.findForCitationRefresh(limit);
+    }
+
+    const summary = {
+      checked: 0,
+      updated: 0,
+      unchanged: 0,
+      not_found: 0,
+      failed: 0,
+      skipped: 0,
+      citations_gained: 0,
+      stop_reason: 'complete'
+    };
+    const results = [];
+    const affectedAuthorIds = [];
+
+    for (let index = 0; index < articles.length; index++) {
+      const article = articles[index];
+      const result = {
+        id: article.id,
+        title: article.paper_title,
+        previous: article.citation_count,
+        current: null,
+        status: null
+      };
+
+      try {
+        const observation = await this.lookupCitationCount(article, options.trigger);
+        const citationCount = observation ? observation.citation_count : null;
+        summary.checked++;
+
+        // Remember the cluster so later refreshes can use it
+        if (observation && observation.cluster_id && !article.cluster_id) {
+          await articleModel.updateClusterId(article.id, observation.cluster_id);
+        }
+
+        if (citationCount === null) {
+          // Recorded so the article is not retried first on every refresh
+          await citationSnapshotModel.create(article.id, null, 'not_found');
+          result.status = 'not_found';
+          summary.not_found++;
+        } else {
+          await citationSnapshotModel.create(article.id, citationCount, 'refresh');
+          result.current = citationCount;
+
+          if (citationCount !== article.citation_count) {
+            await articleModel.updateCitationCount(article.id, citationCount);
+            affectedAuthorIds.push(...await authorModel.findIdsByArticleId(article.id));
+
+            result.status = 'updated';
+            summary.updated++;
+            summary.citations_gained += citationCount - article.citation_count;
+          } else {
+            result.status = 'unchanged';
+            summary.unchanged++;
+          }
+        }
+
+      } catch (error) {
+        if (usageService.isBudgetExhausted(error)) {
+          console.warn(`⚠️  ${error.message}`);
+          summary.stop_reason = 'credit_budget_exhausted';
+          summary.skipped = articles.length - index;
+          break;
+        }
+
+        console.error(`❌ Error refreshing citations for article ${article.id}:`, error.message);
+        result.status = 'error';
+        result.error = error.message;
+        summary.failed++;
+      }
+
+      results.push(result);
+
+      // Rate limiting delay between SerpAPI requests
+      if (index < articles.length - 1) {
+        await sleep(fetchConfig.requestDelayMs);
+      }
+    }
+
+    await authorModel.refreshCounters(affectedAuthorIds);
+
+    console.log(`📈 Citation refresh: ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.not_found} not found, ${summary.failed} failed, ${summary.skipped} skipped`);
+
+    return {
+      summary,
+      articles: results
+    };
+  }
+}
+
+module.exports = new CitationService();
@@ -0,0 +1,257 @@
+const authorModel = require('../models/authorModel');
+const fetchConfig = require('../config/fetch');
+const { escapeXml } = require('../utils/escape');
+
+// Downloadable graph formats (JSON is returned by the API directly)
+const FORMATS = {
+  graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml; charset=utf-8', extension: 'gexf' }
+};
+
+// Node and edge attributes written to GraphML and GEXF: [name, GraphML type, GEXF type]
+const NODE_ATTRIBUTES = [
+  ['full_name', 'string', 'string'],
+  ['scholar_author_id', 'string', 'string'],
+  ['article_count', 'int', 'integer'],
+  ['citation_count', 'int', 'integer'],
+  ['depth', 'int', 'integer']
+];
+const EDGE_ATTRIBUTES = [
+  ['shared_citations', 'int', 'integer'],
+  ['first_year', 'int', 'integer'],
+  ['last_year', 'int', 'integer']
+];
+
+/**
+ * Whether an attribute has a value worth writing
+ * @param {*} value - Attribute value
+ * @returns {boolean} - False for null/undefined
+ */
+const hasValue = (value) => value !== null && value !== undefined;
+
+/**
+ * Co-author Graph Service - Builds co-authorship networks from article_authors
+ * and renders them as GraphML and GEXF
+ */
+class CoauthorGraphService {
+  constructor() {
+    this.formats = FORMATS;
+  }
+
+  /**
+   * Co-authorship graph of all linked authors. When there are more than
+   * COAUTHOR_GRAPH_MAX_NODES authors, the most prolific are kept
+   * @param {object} filters - { year_from, year_to, min_articles, min_shared }
+   * @returns {Promise<object>} - { nodes, edges, truncated }
+   */
+  async build(filters = {}) {
+    const maxNodes = fetchConfig.coauthorGraphMaxNodes;
+    const rows = await authorModel.findGraphNodes(filters, maxNodes + 1);
+    const truncated = rows.length > maxNodes;
+    const nodes = rows.slice(0, maxNodes).map(row => this.toNode(row));
+
+    const edges = await authorModel.findCoauthorEdges(nodes.map(node => node.id), filters, filters.min_shared || 1);
+
+    return { nodes, edges: edges.map(row => this.toEdge(row)), truncated };
+  }
+
+  /**
+   * Ego network around an author: co-authors up to depth levels away and every
+   * edge among them. Each level keeps the strongest collaborations first when
+   * COAUTHOR_GRAPH_MAX_NODES is reached
+   * @param {object} author - Stored author (the ego)
+   * @param {number} depth - Co-author levels to follow
+   * @param {object} filters - { year_from, year_to, min_shared }
+   * @returns {Promise<object>} - { nodes, edges, truncated }
+   */
+  async buildEgo(author, depth = 1, filters = {}) {
+    const minShared = filters.min_shared || 1;
+    const depths = new Map([[author.id, 0]]);
+    let frontier = [author.id];
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const links = await authorModel.findCoauthorLinks(frontier, filters, minShared);
+      const next = [];
+
+      for (const link of links) {
+        if (depths.has(link.coauthor_id)) continue;
+
+        if (depths.size >= fetchConfig.coauthorGraphMaxNodes) {
+          truncated = true;
+          break;
+        }
+        depths.set(link.coauthor_id, level);
+        next.push(link.coauthor_id);
+      }
+
+      frontier = next;
+    }
+
+    const ids = [...depths.keys()];
+    const [rows, edges] = await Promise.all([
+      authorModel.findGraphNodes({ ...filters, ids, min_articles: 1 }, ids.length),
+      authorModel.findCoauthorEdges(ids, filters, minShared)
+    ]);
+
+    // The ego stays in the graph even without articles in the year range
+    if (!rows.some(row => row.id === author.id)) {
+      rows.push({ id: author.id, full_name: author.full_name, scholar_author_id: author.scholar_author_id, article_count: 0, citation_count: 0 });
+    }
+
+    const nodes = rows
+      .map(row => this.toNode(row, depths.get(row.id)))
+      .sort((a, b) => a.depth - b.depth || b.article_count - a.article_count);
+
+    return { nodes, edges: edges.map(row => this.toEdge(row)), truncated };
+  }
+
+  /**
+   * @param {object} row - findGraphNodes() row
+   * @param {number} depth - Distance from the ego (ego networks only)
+   * @returns {object} - Graph node
+   */
+  toNode(row, depth) {
+    return {
+      id: row.id,
+      label: row.full_name,
+      full_name: row.full_name,
+      scholar_author_id: row.scholar_author_id || null,
+      article_count: row.article_count,
+      citation_count: row.citation_count,
+      ...(depth === undefined ? {} : { depth })
+    };
+  }
+
+  /**
+   * @param {object} row - findCoauthorEdges() row
+   * @returns {object} - Graph edge weighted by shared articles
+   */
+  toEdge(row) {
+    return {
+      source: row.source,
+      target: row.target,
+      weight: row.shared_articles,
+      shared_citations: row.shared_citations,
+      first_year: row.first_year,
+      last_year: row.last_year
+    };
+  }
+
+  /**
+   * Render a graph as a downloadable file
+   * @param {object} graph - build() or buildEgo() result
+   * @param {string} format - graphml or gexf
+   * @returns {string} - Graph document
+   */
+  render(graph, format) {
+    switch (format) {
+      case 'graphml':
+        return this.toGraphMl(graph);
+      case 'gexf':
+        return this.toGexf(graph);
+      default:
+        throw new Error(`Unknown graph format "${format}" (${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+
+  /**
+   * @param {object} graph - build() or buildEgo() result
+   * @returns {string} - GraphML document (undirected, "weight" on edges)
+   */
+  toGraphMl(graph) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+      '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+      '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+      '  <key id="label" for="node" attr.name="label" attr.type="string"/>'
+    ];
+    for (const [name, type] of NODE_ATTRIBUTES) {
+      lines.push(`  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+    }
+    lines.push('  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>');
+    for (const [name, type] of EDGE_ATTRIBUTES) {
+      lines.push(`  <key id="${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+    }
+    lines.push('  <graph id="coauthors" edgedefault="undirected">');
+
+    for (const node of graph.nodes) {
+      lines.push(`    <node id="a${node.id}">`);
+      lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+      for (const [name] of NODE_ATTRIBUTES) {
+        if (hasValue(node[name])) lines.push(`      <data key="${name}">${escapeXml(node[name])}</data>`);
+      }
+      lines.push('    </node>');
+    }
+
+    graph.edges.forEach((edge, index) => {
+      lines.push(`    <edge id="e${index}" source="a${edge.source}" target="a${edge.target}">`);
+      lines.push(`      <data key="weight">${edge.weight}</data>`);
+      for (const [name] of EDGE_ATTRIBUTES) {
+        if (hasValue(edge[name])) lines.push(`      <data key="${name}">${edge[name]}</data>`);
+      }
+      lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {object} graph - build() or buildEgo() result
+   * @returns {string} - GEXF 1.2 document for Gephi (undirected, weighted edges)
+   */
+  toGexf(graph) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">',
+      `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+      '    <creator>Google Scholar Fetcher</creator>',
+      '    <description>Co-authorship network</description>',
+      '  </meta>',
+      '  <graph mode="static" defaultedgetype="undirected">',
+      '    <attributes class="node">'
+    ];
+    for (const [name, , type] of NODE_ATTRIBUTES) {
+      lines.push(`      <attribute id="${name}" title="${name}" type="${type}"/>`);
+    }
+    lines.push('    </attributes>');
+    lines.push('    <attributes class="edge">');
+    for (const [name, , type] of EDGE_ATTRIBUTES) {
+      lines.push(`      <attribute id="${name}" title="${name}" type="${type}"/>`);
+    }
+    lines.push('    </attributes>');
+
+    lines.push('    <nodes>');
+    for (const node of graph.nodes) {
+      lines.push(`      <node id="${node.id}" label="${escapeXml(node.label)}">`);
+      lines.push('        <attvalues>');
+      for (const [name] of NODE_ATTRIBUTES) {
+        if (hasValue(node[name])) lines.push(`          <attvalue for="${name}" value="${escapeXml(node[name])}"/>`);
+      }
+      lines.push('        </attvalues>');
+      lines.push('      </node>');
+    }
+    lines.push('    </nodes>');
+
+    lines.push('    <edges>');
+    graph.edges.forEach((edge, index) => {
+      lines.push(`      <edge id="${index}" source="${edge.source}" target="${edge.target}" weight="${edge.weight}">`);
+      lines.push('        <attvalues>');
+      for (const [name] of EDGE_ATTRIBUTES) {
+        if (hasValue(edge[name])) lines.push(`          <attvalue for="${name}" value="${edge[name]}"/>`);
+      }
+      lines.push('        </attvalues>');
+      lines.push('      </edge>');
+    });
+    lines.push('    </edges>');
+
+    lines.push('  </graph>');
+    lines.push('</gexf>');
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new CoauthorGraphService();
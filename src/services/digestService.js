@@ -0,0 +1,455 @@
+const articleModel = require('../models/articleModel');
+const topicQueryModel = require('../models/topicQueryModel');
+const fetchRunModel = require('../models/fetchRunModel');
+const digestSubscriberModel = require('../models/digestSubscriberModel');
+const digestConfig = require('../config/digest');
+const { escapeHtml } = require('../utils/escape');
+const EmailChannel = require('../providers/digest/emailChannel');
+const WebhookChannel = require('../providers/digest/webhookChannel');
+const SlackChannel = require('../providers/digest/slackChannel');
+
+// Delivery channels selectable per subscriber
+const CHANNELS = {
+  email: () => new EmailChannel(),
+  webhook: () => new WebhookChannel(),
+  slack: () => new SlackChannel()
+};
+
+// Renderings a subscriber can choose (Slack always gets its own mrkdwn)
+const FORMATS = {
+  html: 'text/html; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  slack: 'text/plain; charset=utf-8'
+};
+
+// Ways of grouping a digest: by the author fetch or topic query that saved each article, or not at all
+const GROUP_BY = ['source', 'none'];
+
+/**
+ * Escape Markdown link text
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]])/g, '\\$1');
+
+/**
+ * Percent-encode the parentheses of a Markdown link target, which would
+ * otherwise end the link early
+ * @param {string} url - Raw URL
+ * @returns {string} - Link target
+ */
+const markdownUrl = (url) => String(url).replace(/\(/g, '%28').replace(/\)/g, '%29');
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeSlack = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * "1 citation" / "3 citations"
+ * @param {number} count - Citation count
+ * @returns {string} - Label
+ */
+const citationLabel = (count) => `${count || 0} citation${count === 1 ? '' : 's'}`;
+
+/**
+ * Digest Service - Reports the articles saved since a subscriber's last digest,
+ * rendered as HTML, Markdown, plain text or Slack mrkdwn and delivered by
+ * email, JSON webhook or Slack-compatible webhook
+ */
+class DigestService {
+  constructor() {
+    this.channels = {};
+    this.formats = FORMATS;
+    this.groupBy = GROUP_BY;
+    this.sending = false;
+  }
+
+  /**
+   * Channel names subscribers can use
+   * @returns {Array<string>} - email, webhook and slack
+   */
+  getChannelNames() {
+    return Object.keys(CHANNELS);
+  }
+
+  /**
+   * Delivery channel by name, created on first use
+   * @param {string} name - email, webhook or slack
+   * @returns {object} - Channel with name and send(subscriber, message)
+   */
+  getChannel(name) {
+    if (!this.channels[name]) {
+      if (!CHANNELS[name]) {
+        throw new Error(`Unknown digest channel "${name}" (${this.getChannelNames().join(', ')})`);
+      }
+      this.channels[name] = CHANNELS[name]();
+    }
+    return this.channels[name];
+  }
+
+  /**
+   * Replace delivery channels, e.g. with stand-ins that capture messages
+   * @param {object} channels - { email, webhook, slack } channels with send(subscriber, message)
+   */
+  useChannels(channels) {
+    this.channels = { ...this.channels, ...channels };
+  }
+
+  /**
+   * Collect the articles saved since a subscriber's last digest (at most
+   * DIGEST_MAX_ARTICLES), keep those with enough citations and group them
+   * @param {object} subscriber - Subscriber
+   * @returns {Promise<object>} - { article_count, from_article_id, to_article_id, more, groups }
+   */
+  async build(subscriber) {
+    const rows = await articleModel.findCreatedAfter(subscriber.last_article_id, digestConfig.maxArticles);
+    const articles = rows.filter(article => (article.citation_count || 0) >= subscriber.min_citations);
+
+    return {
+      article_count: articles.length,
+      from_article_id: rows.length > 0 ? rows[0].id : null,
+      // Articles left out by min_citations are covered too, so they are not reconsidered
+      to_article_id: rows.length > 0 ? rows[rows.length - 1].id : null,
+      more: rows.length === digestConfig.maxArticles,
+      groups: await this.groupArticles(articles, subscriber.group_by)
+    };
+  }
+
+  /**
+   * Group articles by the topic query or searched author that saved them.
+   * Articles from profile refreshes, crawls and the like fall into "Other"
+   * @param {Array<object>} articles - Stored articles
+   * @param {string} groupBy - 'source' or 'none'
+   * @returns {Promise<Array<object>>} - { type ('author', 'topic_query', 'other' or 'all'), name, articles }
+   */
+  async groupArticles(articles, groupBy) {
+    if (articles.length === 0) return [];
+
+    const byCitations = (a, b) => (b.citation_count || 0) - (a.citation_count || 0);
+
+    if (groupBy === 'none') {
+      return [{ type: 'all', name: 'New articles', articles: articles.map(article => this.toDigestArticle(article)).sort(byCitations) }];
+    }
+
+    const ids = articles.map(article => article.id);
+    const oldest = articles.reduce((min, article) => (article.created_at < min ? article.created_at : min), articles[0].created_at);
+
+    const [queries, authors] = await Promise.all([
+      topicQueryModel.findSavingQueries(ids),
+      fetchRunModel.findSearchedAuthors(ids, oldest)
+    ]);
+    const queryOf = new Map(queries.map(row => [row.article_id, row.name]));
+
+    const groups = new Map();
+    const other = { type: 'other', name: 'Other', articles: [] };
+
+    for (const article of articles) {
+      let group = other;
+      const type = queryOf.has(article.id) ? 'topic_query' : authors.has(article.id) ? 'author' : null;
+
+      if (type) {
+        const name = type === 'topic_query' ? queryOf.get(article.id) : authors.get(article.id);
+        const key = `${type}:${name}`;
+        if (!groups.has(key)) groups.set(key, { type, name, articles: [] });
+        group = groups.get(key);
+      }
+
+      group.articles.push(this.toDigestArticle(article));
+    }
+
+    return [...groups.values(), other]
+      .filter(group => group.articles.length > 0)
+      .map(group => ({ ...group, articles: group.articles.sort(byCitations) }));
+  }
+
+  /**
+   * Fields of an article shown in a digest
+   * @param {object} article - Stored article
+   * @returns {object} - Digest article
+   */
+  toDigestArticle(article) {
+    return {
+      id: article.id,
+      title: article.paper_title,
+      authors: article.authors,
+      authors_truncated: !!article.authors_truncated,
+      year: article.publication_year,
+      journal: article.journal,
+      citation_count: article.citation_count || 0,
+      article_url: article.article_url,
+      pdf_url: article.pdf_url,
+      doi: article.doi || null
+    };
+  }
+
+  /**
+   * Subject line of a digest
+   * @param {object} digest - build() result
+   * @returns {string} - Subject
+   */
+  subject(digest) {
+    const count = digest.article_count;
+    return `Google Scholar digest: ${count === 0 ? 'no' : count} new article${count === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Authors, venue and year of an article on one line
+   * @param {object} article - Digest article
+   * @returns {string} - Byline (may be empty)
+   */
+  byline(article) {
+    const authors = article.authors ? `${article.authors}${article.authors_truncated ? ' et al.' : ''}` : null;
+    return [authors, article.journal, article.year].filter(part => part).join(' - ');
+  }
+
+  /**
+   * Render a digest
+   * @param {object} digest - build() result
+   * @param {string} format - html, markdown, text or slack
+   * @returns {string} - Rendered digest
+   */
+  render(digest, format) {
+    switch (format) {
+      case 'html':
+        return this.toHtml(digest);
+      case 'markdown':
+        return this.toMarkdown(digest);
+      case 'text':
+        return this.toText(digest);
+      case 'slack':
+        return this.toSlack(digest);
+      default:
+        throw new Error(`Unknown digest format "${format}" (${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+
+  /**
+   * Closing note when the digest hit DIGEST_MAX_ARTICLES
+   * @param {object} digest - build() result
+   * @returns {string|null} - Note or null
+   */
+  moreNote(digest) {
+    return digest.more ? 'More new articles were saved; they follow in the next digest.' : null;
+  }
+
+  /**
+   * @param {object} digest - build() result
+   * @returns {string} - HTML document
+   */
+  toHtml(digest) {
+    const parts = [`<h1>${escapeHtml(this.subject(digest))}</h1>`];
+
+    for (const group of digest.groups) {
+      parts.push(`<h2>${escapeHtml(group.name)} (${group.articles.length})</h2>`, '<ul>');
+      for (const article of group.articles) {
+        const title = article.article_url
+          ? `<a href="${escapeHtml(article.article_url)}">${escapeHtml(article.title)}</a>`
+          : escapeHtml(article.title);
+        const byline = this.byline(article);
+        const pdf = article.pdf_url ? ` · <a href="${escapeHtml(article.pdf_url)}">PDF</a>` : '';
+
+        parts.push(`<li><strong>${title}</strong><br>` +
+          (byline ? `${escapeHtml(byline)}<br>` : '') +
+          `${citationLabel(article.citation_count)}${pdf}</li>`);
+      }
+      parts.push('</ul>');
+    }
+
+    const note = this.moreNote(digest);
+    if (note) parts.push(`<p><em>${escapeHtml(note)}</em></p>`);
+
+    return `<!DOCTYPE html>\n<html><body>\n${parts.join('\n')}\n</body></html>\n`;
+  }
+
+  /**
+   * @param {object} digest - build() result
+   * @returns {string} - Markdown
+   */
+  toMarkdown(digest) {
+    const lines = [`# ${this.subject(digest)}`, ''];
+
+    for (const group of digest.groups) {
+      lines.push(`## ${escapeMarkdown(group.name)} (${group.articles.length})`, '');
+      for (const article of group.articles) {
+        const title = article.article_url
+          ? `[${escapeMarkdown(article.title)}](${markdownUrl(article.article_url)})`
+          : escapeMarkdown(article.title);
+        const byline = this.byline(article);
+        const pdf = article.pdf_url ? ` · [PDF](${markdownUrl(article.pdf_url)})` : '';
+
+        lines.push(`- **${title}**`);
+        if (byline) lines.push(`  ${escapeMarkdown(byline)}`);
+        lines.push(`  ${citationLabel(article.citation_count)}${pdf}`);
+      }
+      lines.push('');
+    }
+
+    const note = this.moreNote(digest);
+    if (note) lines.push(`_${note}_`, '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {object} digest - build() result
+   * @returns {string} - Plain text
+   */
+  toText(digest) {
+    const lines = [this.subject(digest), ''];
+
+    for (const group of digest.groups) {
+      lines.push(`${group.name} (${group.articles.length})`, '-'.repeat(group.name.length + String(group.articles.length).length + 3));
+      for (const article of group.articles) {
+        const byline = this.byline(article);
+
+        lines.push(`* ${article.title}`);
+        if (byline) lines.push(`  ${byline}`);
+        lines.push(`  ${citationLabel(article.citation_count)}`);
+        if (article.article_url) lines.push(`  ${article.article_url}`);
+        if (article.pdf_url) lines.push(`  PDF: ${article.pdf_url}`);
+      }
+      lines.push('');
+    }
+
+    const note = this.moreNote(digest);
+    if (note) lines.push(note, '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {object} digest - build() result
+   * @returns {string} - Slack mrkdwn
+   */
+  toSlack(digest) {
+    const lines = [`*${escapeSlack(this.subject(digest))}*`];
+
+    for (const group of digest.groups) {
+      lines.push('', `*${escapeSlack(group.name)}* (${group.articles.length})`);
+      for (const article of group.articles) {
+        const title = article.article_url
+          ? `<${article.article_url}|${escapeSlack(article.title)}>`
+          : escapeSlack(article.title);
+        const details = [article.year, citationLabel(article.citation_count)]
+          .concat(article.pdf_url ? [`<${article.pdf_url}|PDF>`] : [])
+          .filter(part => part);
+
+        lines.push(`• ${title} (${details.join(' · ')})`);
+      }
+    }
+
+    const note = this.moreNote(digest);
+    if (note) lines.push('', `_${note}_`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build and deliver one subscriber's digest. On success the subscriber's
+   * watermark moves past the reported articles; a failed delivery leaves it,
+   * so the same articles are retried next time
+   * @param {object} subscriber - Subscriber
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<object>} - { subscriber_id, name, channel, status ('sent', 'skipped' or 'failed'), article_count, error }
+   */
+  async deliver(subscriber, trigger) {
+    const digest = await this.build(subscriber);
+    const result = {
+      subscriber_id: subscriber.id,
+      name: subscriber.name,
+      channel: subscriber.channel,
+      status: 'sent',
+      article_count: digest.article_count
+    };
+
+    if (digest.article_count === 0 && !subscriber.send_empty) {
+      // Move past articles left out by min_citations
+      if (digest.to_article_id) await digestSubscriberModel.advance(subscriber.id, digest.to_article_id, false);
+      return { ...result, status: 'skipped' };
+    }
+
+    const text = this.toText(digest);
+    const message = {
+      subject: this.subject(digest),
+      format: subscriber.format,
+      body: subscriber.format === 'text' ? text : this.render(digest, subscriber.format),
+      text,
+      slack: this.toSlack(digest),
+      digest
+    };
+
+    const delivery = {
+      subscriber_id: subscriber.id,
+      trigger_source: trigger,
+      article_count: digest.article_count,
+      from_article_id: digest.from_article_id,
+      to_article_id: digest.to_article_id
+    };
+
+    try {
+      await this.getChannel(subscriber.channel).send(subscriber, message);
+    } catch (error) {
+      console.error(`❌ Digest for "${subscriber.name}" (${subscriber.channel}) failed: ${error.message}`);
+      await digestSubscriberModel.recordDelivery({ ...delivery, status: 'failed', error_message: error.message });
+      return { ...result, status: 'failed', error: error.message };
+    }
+
+    await digestSubscriberModel.recordDelivery({ ...delivery, status: 'sent' });
+    if (digest.to_article_id) {
+      await digestSubscriberModel.advance(subscriber.id, digest.to_article_id, true);
+    }
+
+    console.log(`📬 Sent digest with ${digest.article_count} articles to "${subscriber.name}" (${subscriber.channel})`);
+    return result;
+  }
+
+  /**
+   * Deliver digests to every enabled subscriber
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<object>} - { summary: { subscribers, sent, skipped, failed }, results }
+   */
+  async sendAll(trigger) {
+    if (this.sending) {
+      const error = new Error('Digests are already being sent');
+      error.status = 409;
+      throw error;
+    }
+
+    this.sending = true;
+    try {
+      const subscribers = await digestSubscriberModel.findAll(true);
+      const results = [];
+
+      for (const subscriber of subscribers) {
+        try {
+          results.push(await this.deliver(subscriber, trigger));
+        } catch (error) {
+          console.error(`❌ Digest for "${subscriber.name}" not built: ${error.message}`);
+          results.push({ subscriber_id: subscriber.id, name: subscriber.name, channel: subscriber.channel, status: 'failed', article_count: 0, error: error.message });
+        }
+      }
+
+      const count = (status) => results.filter(result => result.status === status).length;
+      return {
+        summary: {
+          subscribers: subscribers.length,
+          sent: count('sent'),
+          skipped: count('skipped'),
+          failed: count('failed')
+        },
+        results
+      };
+    } finally {
+      this.sending = false;
+    }
+  }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,205 @@
+const parserService = require('./parserService');
+const enrichmentConfig = require('../config/enrichment');
+const CrossrefProvider = require('../providers/metadata/crossrefProvider');
+const OpenAlexProvider = require('../providers/metadata/openAlexProvider');
+const SemanticScholarProvider = require('../providers/metadata/semanticScholarProvider');
+const StubMetadataProvider = require('../providers/metadata/stubMetadataProvider');
+
+// Metadata providers selectable in ENRICHMENT_PROVIDERS
+const PROVIDERS = {
+  crossref: () => new CrossrefProvider(),
+  openalex: () => new OpenAlexProvider(),
+  semantic_scholar: () => new SemanticScholarProvider(),
+  stub: () => new StubMetadataProvider(enrichmentConfig.stubFile || [])
+};
+
+// Article columns filled by enrichment
+const FIELDS = ['doi', 'authors', 'abstract_text', 'journal', 'issn'];
+
+/**
+ * Words of a normalized title
+ * @param {string} title - Title
+ * @returns {Array<string>} - Words
+ */
+const titleWords = (title) => (parserService.normalizeTitle(title) || '').split(' ').filter(word => word);
+
+/**
+ * Enrichment Service - Completes Google Scholar records (truncated abstracts,
+ * abbreviated authors, no DOI) from Crossref, OpenAlex and Semantic Scholar
+ */
+class EnrichmentService {
+  constructor() {
+    this.providers = enrichmentConfig.enabled
+      ? enrichmentConfig.providers.map(name => this.createProvider(name))
+      : [];
+  }
+
+  /**
+   * Instantiate a metadata provider by name
+   * @param {string} name - crossref, openalex, semantic_scholar or stub
+   * @returns {object} - Provider with name and lookup({ title, year })
+   */
+  createProvider(name) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown enrichment provider "${name}" (${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return PROVIDERS[name]();
+  }
+
+  /**
+   * Replace the configured providers, e.g. with StubMetadataProvider instances in tests
+   * @param {Array<object>} providers - Providers with name and lookup({ title, year })
+   */
+  useProviders(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Whether new articles are enriched
+   * @returns {boolean} - True when at least one provider is active
+   */
+  isEnabled() {
+    return this.providers.length > 0;
+  }
+
+  /**
+   * Title similarity (Dice coefficient over normalized words)
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {number} - 0 to 1
+   */
+  titleSimilarity(a, b) {
+    const wordsA = titleWords(a);
+    const wordsB = titleWords(b);
+    if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+    const remaining = [...wordsB];
+    let shared = 0;
+    for (const word of wordsA) {
+      const index = remaining.indexOf(word);
+      if (index !== -1) {
+        remaining.splice(index, 1);
+        shared++;
+      }
+    }
+    return (2 * shared) / (wordsA.length + wordsB.length);
+  }
+
+  /**
+   * Confidence that a candidate record describes the article:
+   * title similarity, lowered when the year differs by more than one
+   * or the first author's surname is missing from the candidate's authors
+   * @param {object} article - Article being saved
+   * @param {object} candidate - Provider record
+   * @returns {number} - 0 to 1
+   */
+  scoreCandidate(article, candidate) {
+    let score = this.titleSimilarity(article.paper_title, candidate.title);
+
+    if (article.publication_year && candidate.year && Math.abs(article.publication_year - candidate.year) > 1) {
+      score *= 0.5;
+    }
+
+    const firstAuthor = parserService.splitAuthors(article.authors)[0];
+    const surname = firstAuthor ? titleWords(firstAuthor).pop() : null;
+    if (surname && candidate.authors.length > 0 &&
+        !candidate.authors.some(name => titleWords(name).includes(surname))) {
+      score *= 0.8;
+    }
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  /**
+   * Candidate values worth storing: missing columns are filled, Scholar's
+   * abbreviated authors, snippet abstracts and truncated venues are replaced
+   * @param {object} article - Article being saved
+   * @param {object} candidate - Provider record
+   * @returns {object} - Column values to apply
+   */
+  improvements(article, candidate) {
+    const values = {};
+
+    if (candidate.doi && !article.doi) {
+      values.doi = candidate.doi.toLowerCase();
+    }
+
+    if (candidate.issn && !article.issn) {
+      values.issn = candidate.issn;
+    }
+
+    if (candidate.authors.length > 0 &&
+        candidate.authors.length >= parserService.splitAuthors(article.authors).length) {
+      values.authors = candidate.authors.join(', ').substring(0, 1000);
+    }
+
+    if (candidate.abstract && candidate.abstract.length > (article.abstract_text || '').length) {
+      values.abstract_text = parserService.sanitizeString(candidate.abstract);
+    }
+
+    const journal = article.journal || '';
+    if (candidate.venue && (!journal || journal.includes('…') ||
+        (candidate.venue.length > journal.length &&
+         (parserService.normalizeTitle(candidate.venue) || '').startsWith(parserService.normalizeTitle(journal) || '')))) {
+      values.journal = parserService.sanitizeString(candidate.venue).substring(0, 500);
+    }
+
+    return values;
+  }
+
+  /**
+   * Look an article up in the providers, in order, and fill in DOI, full author names,
+   * full abstract, venue and ISSN from high-confidence matches. The first provider
+   * supplying a field wins. Provider errors are logged and skipped
+   * @param {object} article - Database-ready article (paper_title, authors, publication_year, journal, abstract_text)
+   * @returns {Promise<object>} - Article with enriched columns and enrichment_sources ({ column: provider })
+   */
+  async enrich(article) {
+    if (!this.isEnabled() || !article.paper_title) {
+      return article;
+    }
+
+    const enriched = { ...article };
+    const sources = {};
+
+    for (const provider of this.providers) {
+      if (FIELDS.every(field => sources[field])) break;
+
+      let candidates;
+      try {
+        candidates = await provider.lookup({ title: article.paper_title, year: article.publication_year });
+      } catch (error) {
+        console.warn(`⚠️  ${provider.name} lookup failed for "${article.paper_title}": ${error.message}`);
+        continue;
+      }
+
+      const best = candidates
+        .map(candidate => ({ candidate, confidence: this.scoreCandidate(article, candidate) }))
+        .sort((a, b) => b.confidence - a.confidence)[0];
+
+      if (!best || best.confidence < enrichmentConfig.minConfidence) continue;
+
+      const values = this.improvements(enriched, best.candidate);
+      for (const [field, value] of Object.entries(values)) {
+        if (sources[field]) continue;
+        enriched[field] = value;
+        sources[field] = provider.name;
+      }
+    }
+
+    // A provider's author list replaces Scholar's cut one
+    if (sources.authors) {
+      enriched.authors_truncated = false;
+    }
+
+    if (Object.keys(sources).length > 0) {
+      console.log(`🧬 Enriched "${article.paper_title}": ${Object.entries(sources).map(([field, source]) => `${field} (${source})`).join(', ')}`);
+      enriched.enrichment_sources = sources;
+      enriched.enriched_at = new Date();
+    }
+
+    return enriched;
+  }
+}
+
+module.exports = new EnrichmentService();
@@ -0,0 +1,310 @@
+const FORMATS = {
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris' },
+  csljson: { contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Title words skipped when building citation keys
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'on', 'in', 'for', 'and', 'to', 'with', 'from', 'by', 'at', 'as', 'is', 'are'
+]);
+
+// LaTeX special characters and their BibTeX-safe forms
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+const CSV_COLUMNS = [
+  'id', 'citation_key', 'title', 'authors', 'year', 'journal', 'publisher',
+  'citation_count', 'article_url', 'pdf_url', 'google_scholar_id', 'cluster_id', 'doi', 'issn'
+];
+
+/**
+ * Collision suffix for a citation key: 1 -> "b", 25 -> "z", 26 -> "aa"
+ * @param {number} index - Position within the colliding group (0 keeps the bare key)
+ * @returns {string} - Suffix
+ */
+const keySuffix = (index) => {
+  let suffix = '';
+  let n = index;
+  do {
+    suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return suffix;
+};
+
+/**
+ * Export Service - Renders stored articles as BibTeX, RIS, CSL-JSON and CSV
+ */
+class ExportService {
+  constructor() {
+    this.formats = FORMATS;
+  }
+
+  /**
+   * Split a name like "G Hinton" or "Geoffrey E. Hinton" into family and given parts
+   * @param {string} name - Author name
+   * @returns {object} - { family, given }
+   */
+  splitName(name) {
+    const parts = name.trim().split(/\s+/);
+    const family = parts.pop();
+    return { family, given: parts.join(' ') };
+  }
+
+  /**
+   * Reduce a string to lowercase ASCII letters and digits
+   * @param {string} str - Input string
+   * @returns {string} - Key-safe string
+   */
+  toKeyPart(str) {
+    return (str || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Year and first significant title word of a citation key
+   * Example: 2006, "A fast learning algorithm..." -> "2006fast"
+   * @param {object} article - Article
+   * @returns {string} - Key part after the surname
+   */
+  yearTitleKey(article) {
+    const year = article.publication_year || 'nd';
+    const word = (article.paper_title || '')
+      .split(/\s+/)
+      .map(w => this.toKeyPart(w))
+      .find(w => w && !STOP_WORDS.has(w)) || '';
+
+    return `${year}${word}`;
+  }
+
+  /**
+   * Build the base citation key: first author surname + year + first significant title word
+   * Example: "G Hinton", 2006, "A fast learning algorithm..." -> "hinton2006fast"
+   * @param {object} article - Article with author_names
+   * @returns {string} - Citation key
+   */
+  buildCitationKey(article) {
+    const surname = article.author_names.length > 0
+      ? this.toKeyPart(this.splitName(article.author_names[0]).family)
+      : '';
+
+    return `${surname || 'anon'}${this.yearTitleKey(article)}`;
+  }
+
+  /**
+   * Assign stable, unique citation keys. When stored articles share a key, the
+   * oldest keeps it and the others get b, c... suffixes in ID order. Suffixes are
+   * counted over the stored articles, not the exported ones, so an article has
+   * the same key in every export
+   * @param {Array<object>} articles - Articles with author_names
+   * @param {Array<object>} stored - Stored articles sharing the exported articles' year and title word, with author_names
+   * @returns {Array<object>} - Articles with citation_key
+   */
+  assignCitationKeys(articles, stored = []) {
+    const byId = new Map([...stored, ...articles].map(article => [article.id, article]));
+    const groups = new Map();
+
+    for (const article of [...byId.values()].sort((a, b) => a.id - b.id)) {
+      const key = this.buildCitationKey(article);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(article.id);
+    }
+
+    const keys = new Map();
+    for (const [key, ids] of groups) {
+      ids.forEach((id, index) => {
+        keys.set(id, index === 0 ? key : `${key}${keySuffix(index)}`);
+      });
+    }
+
+    return articles.map(article => ({ ...article, citation_key: keys.get(article.id) }));
+  }
+
+  /**
+   * Escape LaTeX special characters for BibTeX field values
+   * @param {string} value - Raw value
+   * @returns {string} - Escaped value
+   */
+  escapeBibtex(value) {
+    return String(value)
+      .replace(/[\\&%$#_{}~^]/g, char => BIBTEX_ESCAPES[char])
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Render articles as BibTeX
+   * @param {Array<object>} articles - Articles with author_names and citation_key
+   * @returns {string} - BibTeX document
+   */
+  toBibtex(articles) {
+    return articles.map(article => {
+      const fields = [
+        ['title', article.paper_title],
+        ['author', [
+          ...article.author_names.map(name => {
+            const { family, given } = this.splitName(name);
+            return given ? `${family}, ${given}` : family;
+          }),
+          // Scholar cut the author list
+          ...(article.authors_truncated && article.author_names.length > 0 ? ['others'] : [])
+        ].join(' and ')],
+        ['journal', article.journal],
+        ['year', article.publication_year],
+        ['publisher', article.publisher],
+        ['issn', article.issn],
+        ['doi', article.doi],
+        ['url', article.article_url],
+        ['abstract', article.abstract_text],
+        ['note', `Cited by ${article.citation_count || 0} (Google Scholar)`]
+      ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+      const type = article.journal ? 'article' : 'misc';
+      const body = fields
+        .map(([name, value]) => {
+          // URLs and DOIs are verbatim in BibTeX; only braces need escaping
+          const escaped = ['url', 'doi'].includes(name) ? String(value).replace(/([{}])/g, '\\$1') : this.escapeBibtex(value);
+          return `  ${name} = {${escaped}}`;
+        })
+        .join(',\n');
+
+      return `@${type}{${article.citation_key},\n${body}\n}\n`;
+    }).join('\n');
+  }
+
+  /**
+   * Render articles as RIS
+   * @param {Array<object>} articles - Articles with author_names
+   * @returns {string} - RIS document
+   */
+  toRis(articles) {
+    const line = (tag, value) => `${tag}  - ${String(value).replace(/\s+/g, ' ').trim()}`;
+
+    return articles.map(article => {
+      const lines = [line('TY', article.journal ? 'JOUR' : 'GEN')];
+
+      lines.push(line('ID', article.citation_key));
+      lines.push(line('TI', article.paper_title));
+      article.author_names.forEach(name => {
+        const { family, given } = this.splitName(name);
+        lines.push(line('AU', given ? `${family}, ${given}` : family));
+      });
+      if (article.publication_year) lines.push(line('PY', article.publication_year));
+      if (article.journal) lines.push(line('T2', article.journal));
+      if (article.publisher) lines.push(line('PB', article.publisher));
+      if (article.issn) lines.push(line('SN', article.issn));
+      if (article.doi) lines.push(line('DO', article.doi));
+      if (article.article_url) lines.push(line('UR', article.article_url));
+      if (article.pdf_url) lines.push(line('L1', article.pdf_url));
+      if (article.abstract_text) lines.push(line('AB', article.abstract_text));
+      lines.push('ER  - ');
+
+      return lines.join('\r\n');
+    }).join('\r\n\r\n') + '\r\n';
+  }
+
+  /**
+   * Render articles as CSL-JSON items
+   * @param {Array<object>} articles - Articles with author_names and citation_key
+   * @returns {Array<object>} - CSL-JSON items
+   */
+  toCslJson(articles) {
+    return articles.map(article => {
+      const item = {
+        id: article.citation_key,
+        type: article.journal ? 'article-journal' : 'article',
+        title: article.paper_title,
+        author: article.author_names.map(name => {
+          const { family, given } = this.splitName(name);
+          return given ? { family, given } : { literal: family };
+        })
+      };
+
+      if (article.publication_year) item.issued = { 'date-parts': [[article.publication_year]] };
+      if (article.journal) item['container-title'] = article.journal;
+      if (article.publisher) item.publisher = article.publisher;
+      if (article.issn) item.ISSN = article.issn;
+      if (article.doi) item.DOI = article.doi;
+      if (article.article_url) item.URL = article.article_url;
+      if (article.abstract_text) item.abstract = article.abstract_text;
+
+      return item;
+    });
+  }
+
+  /**
+   * Quote a CSV cell (RFC 4180) and neutralize spreadsheet formulas
+   * @param {*} value - Cell value
+   * @returns {string} - CSV cell
+   */
+  escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+
+    let str = String(value);
+    if (/^[=+\-@\t\r]/.test(str)) {
+      str = `'${str}`;
+    }
+
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /**
+   * Render articles as CSV
+   * @param {Array<object>} articles - Articles with author_names and citation_key
+   * @returns {string} - CSV document with header row
+   */
+  toCsv(articles) {
+    const rows = articles.map(article => {
+      const record = {
+        ...article,
+        title: article.paper_title,
+        authors: article.author_names.join('; '),
+        year: article.publication_year
+      };
+      return CSV_COLUMNS.map(column => this.escapeCsv(record[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render articles in a format
+   * @param {Array<object>} articles - Articles with author_names
+   * @param {string} format - bibtex, ris, csljson or csv
+   * @param {Array<object>} stored - Stored articles that may share citation keys (see assignCitationKeys)
+   * @returns {string} - Document body
+   */
+  render(articles, format, stored = []) {
+    const keyed = this.assignCitationKeys(articles, stored);
+
+    switch (format) {
+      case 'bibtex':
+        return this.toBibtex(keyed);
+      case 'ris':
+        return this.toRis(keyed);
+      case 'csljson':
+        return JSON.stringify(this.toCslJson(keyed), null, 2);
+      case 'csv':
+        return this.toCsv(keyed);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { escapeXml, escapeHtml } = require('../utils/escape');
+
+const FORMATS = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const GENERATOR = 'Google Scholar Fetcher';
+
+/**
+ * Convert a database timestamp to a Date
+ * @param {Date|string|null} value - Timestamp
+ * @returns {Date|null} - Date or null
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Feed Service - Renders stored articles as Atom, RSS 2.0 and JSON Feed documents
+ */
+class FeedService {
+  constructor() {
+    this.formats = FORMATS;
+  }
+
+  /**
+   * Validator of a feed, derived from a model feed state so that it can be
+   * checked before any article is loaded
+   * @param {string} key - Feed identity, e.g. "authors/12?new_only=false"
+   * @param {string} format - atom, rss or json
+   * @param {object} state - Model feed state ({ total, last_id, ... })
+   * @param {Date|null} lastModified - Feed update time
+   * @returns {string} - Weak ETag
+   */
+  etag(key, format, state, lastModified) {
+    const hash = crypto.createHash('sha1')
+      .update([key, format, state.total, state.last_id, lastModified ? lastModified.getTime() : ''].join('|'))
+      .digest('hex')
+      .slice(0, 27);
+    return `W/"${hash}"`;
+  }
+
+  /**
+   * Latest timestamp of a feed state
+   * @param {Date|string|null} value - MAX() timestamp from the feed state
+   * @returns {Date|null} - Date (whole seconds, as sent in Last-Modified) or null for an empty feed
+   */
+  lastModified(value) {
+    const date = toDate(value);
+    return date ? new Date(Math.floor(date.getTime() / 1000) * 1000) : null;
+  }
+
+  /**
+   * Fields of an article shown in a feed entry
+   * @param {object} article - Stored article
+   * @param {string} baseUrl - Public server URL
+   * @returns {object} - Feed entry
+   */
+  toEntry(article, baseUrl) {
+    const apiUrl = `${baseUrl}/api/articles/${article.id}`;
+    const authors = article.authors
+      ? article.authors.split(',').map(name => name.trim()).filter(name => name)
+      : [];
+    const byline = [
+      article.authors ? `${article.authors}${article.authors_truncated ? ' et al.' : ''}` : null,
+      article.journal,
+      article.publication_year
+    ].filter(part => part).join(' - ');
+
+    const html = [];
+    if (byline) html.push(`<p>${escapeHtml(byline)}</p>`);
+    if (article.abstract_text) html.push(`<p>${escapeHtml(article.abstract_text)}</p>`);
+    const links = [
+      article.article_url ? `<a href="${escapeHtml(article.article_url)}">Article</a>` : null,
+      article.pdf_url ? `<a href="${escapeHtml(article.pdf_url)}">PDF</a>` : null,
+      article.doi ? `<a href="https://doi.org/${escapeHtml(article.doi)}">DOI ${escapeHtml(article.doi)}</a>` : null
+    ].filter(link => link);
+    if (links.length > 0) html.push(`<p>${links.join(' · ')}</p>`);
+
+    return {
+      id: apiUrl,
+      title: article.paper_title,
+      url: article.article_url || article.pdf_url || apiUrl,
+      authors,
+      summary: byline,
+      content_html: html.join('\n'),
+      updated: toDate(article.created_at) || new Date()
+    };
+  }
+
+  /**
+   * Assemble a feed from stored articles
+   * @param {object} meta - { title, description, selfUrl, homeUrl, updated }
+   * @param {Array} articles - Stored articles, newest first
+   * @param {string} baseUrl - Public server URL
+   * @returns {object} - Feed
+   */
+  build(meta, articles, baseUrl) {
+    return {
+      title: meta.title,
+      description: meta.description,
+      id: meta.selfUrl.replace(/\.(atom|rss|json)(\?.*)?$/, '$2'),
+      self_url: meta.selfUrl,
+      home_url: meta.homeUrl,
+      updated: meta.updated || new Date(),
+      entries: articles.map(article => this.toEntry(article, baseUrl))
+    };
+  }
+
+  /**
+   * Render a feed
+   * @param {object} feed - build() result
+   * @param {string} format - atom, rss or json
+   * @returns {string} - Feed document
+   */
+  render(feed, format) {
+    switch (format) {
+      case 'atom':
+        return this.toAtom(feed);
+      case 'rss':
+        return this.toRss(feed);
+      case 'json':
+        return this.toJsonFeed(feed);
+      default:
+        throw new Error(`Unknown feed format "${format}" (${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+
+  /**
+   * @param {object} feed - build() result
+   * @returns {string} - Atom 1.0 document
+   */
+  toAtom(feed) {
+    const lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(feed.id)}</id>`,
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `  <updated>${feed.updated.toISOString()}</updated>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.self_url)}"/>`,
+      `  <link rel="alternate" type="application/json" href="${escapeXml(feed.home_url)}"/>`,
+      `  <generator>${GENERATOR}</generator>`,
+      // Entries without listed authors fall back to the feed author
+      `  <author><name>${GENERATOR}</name></author>`
+    ];
+
+    for (const entry of feed.entries) {
+      lines.push('  <entry>');
+      lines.push(`    <id>${escapeXml(entry.id)}</id>`);
+      lines.push(`    <title>${escapeXml(entry.title)}</title>`);
+      lines.push(`    <link rel="alternate" href="${escapeXml(entry.url)}"/>`);
+      lines.push(`    <published>${entry.updated.toISOString()}</published>`);
+      lines.push(`    <updated>${entry.updated.toISOString()}</updated>`);
+      for (const name of entry.authors) {
+        lines.push(`    <author><name>${escapeXml(name)}</name></author>`);
+      }
+      if (entry.summary) lines.push(`    <summary>${escapeXml(entry.summary)}</summary>`);
+      lines.push(`    <content type="html">${escapeXml(entry.content_html)}</content>`);
+      lines.push('  </entry>');
+    }
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {object} feed - build() result
+   * @returns {string} - RSS 2.0 document
+   */
+  toRss(feed) {
+    const lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.home_url)}</link>`,
+      `    <description>${escapeXml(feed.description)}</description>`,
+      `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.self_url)}"/>`,
+      `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+      `    <generator>${GENERATOR}</generator>`
+    ];
+
+    for (const entry of feed.entries) {
+      lines.push('    <item>');
+      lines.push(`      <title>${escapeXml(entry.title)}</title>`);
+      lines.push(`      <link>${escapeXml(entry.url)}</link>`);
+      lines.push(`      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`);
+      lines.push(`      <pubDate>${entry.updated.toUTCString()}</pubDate>`);
+      for (const name of entry.authors) {
+        lines.push(`      <dc:creator>${escapeXml(name)}</dc:creator>`);
+      }
+      lines.push(`      <description>${escapeXml(entry.content_html)}</description>`);
+      lines.push('    </item>');
+    }
+
+    lines.push('  </channel>');
+    lines.push('</rss>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {object} feed - build() result
+   * @returns {string} - JSON Feed 1.1 document
+   */
+  toJsonFeed(feed) {
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      description: feed.description,
+      home_page_url: feed.home_url,
+      feed_url: feed.self_url,
+      items: feed.entries.map(entry => ({
+        id: entry.id,
+        url: entry.url,
+        title: entry.title,
+        summary: entry.summary || undefined,
+        content_html: entry.content_html,
+        date_published: entry.updated.toISOString(),
+        date_modified: entry.updated.toISOString(),
+        authors: entry.authors.length > 0 ? entry.authors.map(name => ({ name })) : undefined
+      }))
+    }, null, 2);
+  }
+}
+
+module.exports = new FeedService();
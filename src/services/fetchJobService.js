@@ -0,0 +1,160 @@
+const fetchService = require('./fetchService');
+const fetchJobModel = require('../models/fetchJobModel');
+const fetchConfig = require('../config/fetch');
+const schedulerConfig = require('../config/scheduler');
+const { sleep } = require('../utils/sleep');
+
+/**
+ * Fetch Job Service - Processes queued author fetches in the background,
+ * one job at a time, saving progress after every author so jobs resume after a restart
+ */
+class FetchJobService {
+  constructor() {
+    this.started = false;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Requeue interrupted jobs and start polling the queue
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!schedulerConfig.jobWorkerEnabled) {
+      console.log('⏸️  Fetch job worker disabled (FETCH_JOB_WORKER_ENABLED=false)');
+      return;
+    }
+
+    const requeued = await fetchJobModel.requeueInterrupted();
+    if (requeued > 0) {
+      console.log(`🔁 Requeued ${requeued} interrupted fetch jobs`);
+    }
+
+    this.started = true;
+    console.log('👷 Fetch job worker started');
+    this.poll();
+  }
+
+  /**
+   * Stop polling (a job in progress is resumed on the next start)
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check the queue now instead of waiting for the next poll
+   */
+  wake() {
+    if (this.started && !this.processing) {
+      clearTimeout(this.timer);
+      this.poll();
+    }
+  }
+
+  /**
+   * Process queued jobs until the queue is empty, then wait for the next poll
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    this.timer = null;
+    this.processing = true;
+
+    try {
+      let job;
+      while (this.started && (job = await fetchJobModel.claimNext())) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Fetch job worker error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+
+    if (this.started) {
+      this.timer = setTimeout(() => this.poll(), schedulerConfig.jobPollIntervalMs);
+    }
+  }
+
+  /**
+   * Queue a fetch job
+   * @param {Array<string>} authors - Author names
+   * @param {object} options - { perAuthor, maxPages, forceRefresh }
+   * @returns {Promise<object>} - Queued job
+   */
+  async enqueue(authors, options = {}) {
+    const id = await fetchJobModel.create({
+      authors,
+      per_author: options.perAuthor || fetchConfig.defaultPerAuthor,
+      max_pages: options.maxPages || fetchConfig.maxPagesPerAuthor,
+      force_refresh: !!options.forceRefresh
+    });
+
+    this.wake();
+    return fetchJobModel.findById(id);
+  }
+
+  /**
+   * Fetch the remaining authors of a job, saving results after each author
+   * @param {object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async processJob(job) {
+    const results = [...job.results];
+    const options = { perAuthor: job.per_author, maxPages: job.max_pages, forceRefresh: job.force_refresh, trigger: 'api' };
+    const shouldStop = () => fetchJobModel.isCancelRequested(job.id);
+    let runId = job.run_id;
+
+    console.log(`👷 ${results.length > 0 ? 'Resuming' : 'Starting'} fetch job #${job.id} (${job.authors.length - results.length} authors left)`);
+
+    try {
+      if (!runId) {
+        runId = await fetchService.startRun(job.authors, options);
+        if (runId) await fetchJobModel.setRunId(job.id, runId);
+      }
+
+      // Pages already spent before a restart count against the run budget
+      const budget = {
+        pagesLeft: fetchConfig.maxPagesPerRun - results.reduce((sum, author) => sum + author.pages_consumed - (author.cache_hits || 0), 0)
+      };
+      let cancelled = false;
+
+      for (let index = results.length; index < job.authors.length; index++) {
+        if (await shouldStop()) {
+          cancelled = true;
+          break;
+        }
+
+        if (index > 0 && !budget.creditsExhausted) {
+          await sleep(fetchConfig.requestDelayMs);
+        }
+
+        const authorResult = await fetchService.fetchAuthor(job.authors[index], { ...options, budget, shouldStop });
+        results.push(authorResult);
+        await fetchJobModel.saveResults(job.id, results);
+
+        if (authorResult.stop_reason === 'cancelled') {
+          cancelled = true;
+          break;
+        }
+      }
+
+      const summary = fetchService.summarize(results, { authorsRequested: job.authors.length, ...options });
+      const runStatus = await fetchService.finishRun(runId, summary, cancelled);
+      const status = runStatus === 'success' ? 'completed' : runStatus;
+
+      await fetchJobModel.finish(job.id, status);
+
+      console.log(`👷 Fetch job #${job.id} ${status}: ${summary.summary.total_saved} articles saved`);
+
+    } catch (error) {
+      console.error(`❌ Fetch job #${job.id} failed:`, error.message);
+      await fetchService.failRun(runId, error);
+      await fetchJobModel.finish(job.id, 'failed', error.message);
+    }
+  }
+}
+
+module.exports = new FetchJobService();
@@ -0,0 +1,465 @@
+const serpApiService = require('./serpApiService');
+const usageService = require('./usageService');
+const enrichmentService = require('./enrichmentService');
+const parserService = require('./parserService');
+const articleModel = require('../models/articleModel');
+const authorModel = require('../models/authorModel');
+const citationSnapshotModel = require('../models/citationSnapshotModel');
+const articleVersionModel = require('../models/articleVersionModel');
+const fetchRunModel = require('../models/fetchRunModel');
+const fetchConfig = require('../config/fetch');
+const serpApiConfig = require('../config/serpapi');
+const { sleep } = require('../utils/sleep');
+
+// Stop reasons that leave a run 'partial' instead of 'success'
+const INCOMPLETE_STOP_REASONS = ['error', 'credit_budget_exhausted'];
+
+/**
+ * Fetch Service - The author fetch pipeline (search, parse, de-duplicate, save)
+ */
+class FetchService {
+  /**
+   * Normalize an author list given as a comma-separated string or an array
+   * Names are trimmed, empty entries dropped and duplicates searched once
+   * @param {string|Array<string>} authors - Author names
+   * @returns {Array<string>} - Author names
+   */
+  parseAuthorList(authors) {
+    const names = Array.isArray(authors) ? authors : String(authors || '').split(',');
+    return [...new Set(names.map(a => String(a).trim()).filter(a => a))];
+  }
+
+  /**
+   * Save a parsed publication unless it is already stored.
+   * Another version of a stored paper (same cluster, or same title and year)
+   * is kept as an alternate version of that article instead
+   * @param {object} article - Parsed publication (parserService.parseOrganicResult or parseProfileArticle)
+   * @param {object} options - { profileAuthor } the stored author whose Scholar profile listed the article
+   * @returns {Promise<object|null>} - { id, article } for the saved row, or null if it already exists
+   */
+  async saveArticle(article, options = {}) {
+    const exists = await articleModel.existsByGoogleScholarId(article.google_scholar_id);
+
+    if (exists) {
+      console.log(`⏭️  Article already exists: ${article.title}`);
+      return null;
+    }
+
+    // Prepare article for database
+    let dbArticle = {
+      google_scholar_id: article.google_scholar_id,
+      paper_title: parserService.sanitizeString(article.title),
+      authors: parserService.sanitizeString(article.authors),
+      authors_truncated: !!article.authors_truncated,
+      publication_year: article.publication_year,
+      journal: parserService.sanitizeString(article.journal),
+      article_url: article.article_url,
+      abstract_text: parserService.sanitizeString(article.abstract),
+      citation_count: article.citation_count || 0,
+      cites_id: article.cites_id,
+      pdf_url: article.pdf_url,
+      publisher: parserService.sanitizeString(article.publisher),
+      cluster_id: article.cluster_id,
+      normalized_title: parserService.normalizeTitle(article.title)
+    };
+
+    const duplicate = await articleModel.findDuplicate(dbArticle);
+
+    if (duplicate) {
+      console.log(`⏭️  Article is a version of #${duplicate.id}: ${dbArticle.paper_title}`);
+      await articleVersionModel.create(duplicate.id, dbArticle, 'duplicate');
+      return null;
+    }
+
+    // Fill in DOI, full authors and abstract from the metadata providers
+    dbArticle = await enrichmentService.enrich(dbArticle);
+
+    let articleId;
+
+    try {
+      articleId = await articleModel.create(dbArticle);
+    } catch (saveError) {
+      if (saveError.message.includes('already exists')) {
+        return null;
+      }
+      throw saveError;
+    }
+
+    console.log(`✅ Saved article: ${dbArticle.paper_title}`);
+
+    // Link individual authors to the article
+    try {
+      await authorModel.linkArticleAuthors(articleId, this.articleAuthorNames(dbArticle, options.profileAuthor));
+    } catch (linkError) {
+      console.error(`❌ Error linking authors for article ${articleId}: ${linkError.message}`);
+    }
+
+    // Record the first citation observation
+    try {
+      await citationSnapshotModel.create(articleId, dbArticle.citation_count, 'insert');
+    } catch (snapshotError) {
+      console.error(`❌ Error recording citation snapshot for article ${articleId}: ${snapshotError.message}`);
+    }
+
+    return { id: articleId, article: dbArticle };
+  }
+
+  /**
+   * Author names to link to a new article. For articles from a Scholar profile,
+   * the profile owner's listed name ("GE Hinton") is replaced by the stored author
+   * @param {object} article - Database-ready article
+   * @param {object} profileAuthor - Optional stored author of the profile
+   * @returns {Array<string>} - Author names in listed order
+   */
+  articleAuthorNames(article, profileAuthor) {
+    const names = parserService.splitAuthors(article.authors);
+    if (!profileAuthor) return names;
+
+    const index = names.findIndex(name => parserService.isSameAuthor(name, profileAuthor.full_name));
+    if (index === -1) {
+      // Owner cut from a truncated author list
+      names.push(profileAuthor.full_name);
+    } else {
+      names[index] = profileAuthor.full_name;
+    }
+    return [...new Set(names)];
+  }
+
+  /**
+   * Fetch and save up to `perAuthor` unseen articles for each author,
+   * recording the run in fetch_runs / fetch_run_authors
+   * @param {Array<string>} authorList - Author names
+   * @param {object} options - { perAuthor, maxPages, forceRefresh, trigger ('api', 'schedule' or 'manual'), watchlistId }
+   * @returns {Promise<object>} - { run_id, status, summary, authors, articles_saved }
+   */
+  async fetchArticlesByAuthors(authorList, options = {}) {
+    const perAuthor = options.perAuthor || fetchConfig.defaultPerAuthor;
+    const maxPages = options.maxPages || fetchConfig.maxPagesPerAuthor;
+    const runId = await this.startRun(authorList, { ...options, perAuthor, maxPages });
+
+    let results;
+
+    try {
+      results = await this.fetchAuthors(authorList, {
+        perAuthor,
+        maxPages,
+        forceRefresh: options.forceRefresh,
+        trigger: options.trigger
+      });
+    } catch (error) {
+      await this.failRun(runId, error);
+      throw error;
+    }
+
+    const status = await this.finishRun(runId, results);
+    return { run_id: runId, status, ...results };
+  }
+
+  /**
+   * Open a fetch_runs record. Run history is an audit log, so a fetch
+   * still happens when it cannot be written
+   * @param {Array<string>} authorList - Author names
+   * @param {object} options - { perAuthor, maxPages, trigger, watchlistId }
+   * @returns {Promise<number|null>} - Run ID, or null if it could not be recorded
+   */
+  async startRun(authorList, options) {
+    try {
+      return await fetchRunModel.create({
+        trigger_source: options.trigger || 'api',
+        watchlist_id: options.watchlistId,
+        authors_requested: authorList.length,
+        per_author: options.perAuthor,
+        max_pages: options.maxPages
+      });
+    } catch (runError) {
+      console.error(`❌ Error recording fetch run: ${runError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Status of a finished run
+   * @param {Array<string>} stopReasons - Stop reason of each author or query
+   * @param {boolean} cancelled - Whether the run was cancelled (fetch jobs)
+   * @returns {string} - 'cancelled', 'partial' when any stopped on an error or the credit budget, else 'success'
+   */
+  runStatus(stopReasons, cancelled = false) {
+    if (cancelled || stopReasons.includes('cancelled')) return 'cancelled';
+    return stopReasons.some(reason => INCOMPLETE_STOP_REASONS.includes(reason)) ? 'partial' : 'success';
+  }
+
+  /**
+   * Close a fetch_runs record with its totals and per-author outcomes
+   * @param {number|null} runId - Run ID
+   * @param {object} results - { summary, authors }
+   * @param {boolean} cancelled - Whether the run was cancelled (fetch jobs)
+   * @returns {Promise<string>} - Run status ('success', 'partial' or 'cancelled')
+   */
+  async finishRun(runId, results, cancelled = false) {
+    const status = this.runStatus(results.authors.map(author => author.stop_reason), cancelled);
+    if (!runId) return status;
+
+    try {
+      await fetchRunModel.finish(runId, status, results.summary, results.authors);
+      console.log(`📝 Recorded fetch run #${runId} (${status})`);
+    } catch (runError) {
+      console.error(`❌ Error recording fetch run ${runId}: ${runError.message}`);
+    }
+    return status;
+  }
+
+  /**
+   * Mark a fetch_runs record as failed
+   * @param {number|null} runId - Run ID
+   * @param {Error} error - Error that stopped the run
+   * @returns {Promise<void>}
+   */
+  async failRun(runId, error) {
+    if (!runId) return;
+
+    try {
+      await fetchRunModel.finish(runId, 'failed', {}, [], error.message);
+    } catch (runError) {
+      console.error(`❌ Error recording fetch run ${runId}: ${runError.message}`);
+    }
+  }
+
+  /**
+   * Walk result pages for each author until the quota or the page budget is reached
+   * @param {Array<string>} authorList - Author names
+   * @param {object} options - { perAuthor, maxPages, forceRefresh, trigger }
+   * @returns {Promise<object>} - { summary, authors, articles_saved }
+   */
+  async fetchAuthors(authorList, options) {
+    const { perAuthor, maxPages } = options;
+    const budget = { pagesLeft: fetchConfig.maxPagesPerRun };
+    const authorResults = [];
+
+    for (let index = 0; index < authorList.length; index++) {
+      authorResults.push(await this.fetchAuthor(authorList[index], { ...options, budget }));
+
+      // Add small delay between author searches (rate limiting)
+      if (index < authorList.length - 1 && !budget.creditsExhausted) {
+        await sleep(fetchConfig.requestDelayMs);
+      }
+    }
+
+    return this.summarize(authorResults, { authorsRequested: authorList.length, perAuthor, maxPages });
+  }
+
+  /**
+   * Fetch one result page for an author: the linked Scholar profile's articles,
+   * newest first, when a profile is known, otherwise an author:"Name" search
+   * @param {string} authorName - Author name
+   * @param {object|null} profile - Stored author with scholar_author_id
+   * @param {number} start - Result offset
+   * @param {object} options - { forceRefresh, trigger, usage }
+   * @returns {Promise<object>} - { data, publications, hasNext, pageSize }
+   */
+  async fetchAuthorPage(authorName, profile, start, options) {
+    const requestOptions = { forceRefresh: options.forceRefresh, trigger: options.trigger, usage: options.usage };
+
+    if (profile) {
+      const data = await serpApiService.getAuthorProfile(profile.scholar_author_id, start, {
+        ...requestOptions,
+        num: fetchConfig.profilePageSize,
+        sort: 'pubdate'
+      });
+      return {
+        data,
+        publications: parserService.parseProfileArticles(data.articles),
+        hasNext: !!data.serpapi_pagination?.next,
+        pageSize: fetchConfig.profilePageSize
+      };
+    }
+
+    const data = await serpApiService.searchByAuthor(authorName, start, requestOptions);
+    return {
+      data,
+      publications: parserService.parseOrganicResults(data.organic_results),
+      hasNext: parserService.extractMetadata(data).has_next,
+      pageSize: serpApiConfig.defaultParams.num
+    };
+  }
+
+  /**
+   * Fetch and save up to `perAuthor` unseen articles for one author,
+   * walking result pages until the quota or a page budget is reached.
+   * Authors linked to a Scholar profile are read from the profile
+   * @param {string} authorName - Author name
+   * @param {object} options - { perAuthor, maxPages, budget ({ pagesLeft, creditsExhausted }, shared across a run), forceRefresh, trigger, shouldStop (async, checked before each page) }
+   * @returns {Promise<object>} - Author result
+   */
+  async fetchAuthor(authorName, options) {
+    const { perAuthor, maxPages, budget } = options;
+    // SerpAPI requests charged to this author, retries and error answers included
+    const usage = { requests: 0 };
+    const authorResult = {
+      author: authorName,
+      quota: perAuthor,
+      fetched: 0,
+      saved: 0,
+      already_exists: 0,
+      pages_consumed: 0,
+      cache_hits: 0,
+      serpapi_calls: 0,
+      source: 'search',
+      stop_reason: null,
+      articles: []
+    };
+
+    try {
+      const profile = await authorModel.findProfileByName(authorName);
+      if (profile) {
+        authorResult.source = 'profile';
+        authorResult.scholar_author_id = profile.scholar_author_id;
+      }
+
+      let start = 0;
+
+      while (true) {
+        if (authorResult.saved >= perAuthor) {
+          authorResult.stop_reason = 'quota_met';
+          break;
+        }
+
+        if (authorResult.pages_consumed >= maxPages) {
+          authorResult.stop_reason = 'page_limit';
+          break;
+        }
+
+        if (budget.pagesLeft <= 0) {
+          authorResult.stop_reason = 'run_budget_exhausted';
+          break;
+        }
+
+        if (budget.creditsExhausted) {
+          authorResult.stop_reason = 'credit_budget_exhausted';
+          break;
+        }
+
+        if (options.shouldStop && await options.shouldStop()) {
+          authorResult.stop_reason = 'cancelled';
+          break;
+        }
+
+        // Delay between consecutive result pages (rate limiting)
+        if (authorResult.pages_consumed > 0) {
+          await sleep(fetchConfig.requestDelayMs);
+        }
+
+        // Search for author's publications
+        console.log(`📚 Searching for: ${authorName} (offset: ${start}${profile ? ', profile' : ''})`);
+        const page = await this.fetchAuthorPage(authorName, profile, start, { ...options, usage });
+        authorResult.pages_consumed++;
+
+        // Cached pages cost no SerpAPI credit
+        if (serpApiService.isCached(page.data)) {
+          authorResult.cache_hits++;
+        } else {
+          budget.pagesLeft--;
+        }
+
+        if (page.publications.length === 0) {
+          console.log(`⚠️  No more results for ${authorName}`);
+          if (authorResult.pages_consumed === 1) {
+            authorResult.error = 'No articles found';
+          }
+          authorResult.stop_reason = 'no_more_results';
+          break;
+        }
+
+        const validArticles = parserService.filterValidPublications(page.publications);
+
+        authorResult.fetched += validArticles.length;
+
+        for (const article of validArticles) {
+          if (authorResult.saved >= perAuthor) break; // Per-author quota reached
+
+          try {
+            const saved = await this.saveArticle(article, { profileAuthor: profile });
+
+            if (!saved) {
+              authorResult.already_exists++;
+              continue;
+            }
+
+            authorResult.saved++;
+            authorResult.articles.push({
+              id: saved.id,
+              google_scholar_id: saved.article.google_scholar_id,
+              title: saved.article.paper_title,
+              citation_count: saved.article.citation_count
+            });
+
+          } catch (saveError) {
+            console.error(`❌ Error saving article: ${saveError.message}`);
+          }
+        }
+
+        if (!page.hasNext) {
+          if (authorResult.saved < perAuthor) {
+            authorResult.stop_reason = 'no_more_results';
+          }
+          break;
+        }
+
+        start += page.pageSize;
+      }
+
+    } catch (authorError) {
+      if (usageService.isBudgetExhausted(authorError)) {
+        // Stop the whole run; the remaining authors are skipped
+        console.warn(`⚠️  ${authorError.message}`);
+        budget.creditsExhausted = true;
+        authorResult.error = authorError.message;
+        authorResult.stop_reason = 'credit_budget_exhausted';
+      } else {
+        console.error(`❌ Error processing ${authorName}:`, authorError.message);
+        authorResult.error = authorError.message;
+        authorResult.stop_reason = 'error';
+      }
+    }
+
+    if (authorResult.saved >= perAuthor) {
+      authorResult.stop_reason = 'quota_met';
+    }
+
+    authorResult.serpapi_calls = usage.requests;
+    return authorResult;
+  }
+
+  /**
+   * Build run totals from per-author results
+   * @param {Array<object>} authorResults - Results of fetchAuthor
+   * @param {object} options - { authorsRequested, perAuthor, maxPages }
+   * @returns {object} - { summary, authors, articles_saved }
+   */
+  summarize(authorResults, options) {
+    const total = (field) => authorResults.reduce((sum, author) => sum + (author[field] || 0), 0);
+
+    return {
+      summary: {
+        authors_requested: options.authorsRequested,
+        per_author: options.perAuthor,
+        max_pages_per_author: options.maxPages,
+        max_articles: options.authorsRequested * options.perAuthor,
+        total_fetched: total('fetched'),
+        total_saved: total('saved'),
+        total_already_exists: total('already_exists'),
+        total_pages: total('pages_consumed'),
+        cache_hits: total('cache_hits'),
+        serpapi_calls: total('serpapi_calls'),
+        credit_budget_exhausted: authorResults.some(author => author.stop_reason === 'credit_budget_exhausted')
+      },
+      authors: authorResults,
+      articles_saved: authorResults.flatMap(author => author.articles.map(article => ({
+        article_id: article.id,
+        title: article.title,
+        author_searched: author.author
+      })))
+    };
+  }
+}
+
+module.exports = new FetchService();
@@ -1,3 +1,5 @@
+const authorNames = require('../utils/authorNames');
+
 /**
  * Parser Service - Utilities for parsing Google Scholar data
  */
@@ -5,51 +7,114 @@
 class ParserService {
   /**
    * Parse publication info summary
-   * Format: "Author1, Author2 - Source, Year - Publisher"
-   * Example: "JL Harper - Population biology of plants., 1977 - cabdirect.org"
+   * Format: "Author1, Author2 - Source, Year - Publisher", where the source, the year
+   * and the publisher may each be missing. Examples:
+   *   "JL Harper - Population biology of plants., 1977 - cabdirect.org"
+   *   "A Smith, B Jones… - Nature, 2020 - nature.com" (truncated authors)
+   *   "I Goodfellow, Y Bengio, A Courville - 2016 - books.google.com" (book, no source)
+   *   "R Kumar - Journal of X - Part A, 2019 - Elsevier" (" - " inside the source)
+   *   "I Newton - Philosophiae naturalis principia mathematica, 1687 - books.google.com"
+   *   "D Smith - arxiv.org" (publisher domain only)
    * @param {string} summary - Publication info summary
-   * @returns {object} - Parsed data
-   */
-  parsePublicationInfo(summary) {
-    if (!summary) {
-      return {
-        authors: null,
-        journal: null,
-        year: null,
-        publisher: null
-      };
-    }
+   * @param {Array<object>} structuredAuthors - Optional publication_info.authors ({ name, author_id }),
+   *                                            used instead of the summary's authors when it lists at least as many
+   * @returns {object} - { authors, authors_truncated, journal, year, publisher }
+   */
+  parsePublicationInfo(summary, structuredAuthors = null) {
+    const parsed = {
+      authors: null,
+      authors_truncated: false,
+      journal: null,
+      year: null,
+      publisher: null
+    };
 
-    const parts = summary.split(' - ');
-    
-    // Extract authors (first part)
-    const authors = parts[0]?.trim() || null;
-    
-    // Extract journal and year (second part)
-    let journal = null;
-    let year = null;
-    
-    if (parts[1]) {
-      const sourceYear = parts[1].trim();
-      const yearMatch = sourceYear.match(/\b(19|20)\d{2}\b/);
-      
-      if (yearMatch) {
-        year = parseInt(yearMatch[0]);
-        journal = sourceYear.replace(/,?\s*(19|20)\d{2}/, '').trim();
+    const parts = (summary || '')
+      .split(/\s+-\s+/)
+      .map(part => this.sanitizeString(part))
+      .filter(part => part);
+
+    if (parts.length > 0) {
+      const authorList = this.parseAuthorList(parts[0]);
+      parsed.authors = authorList.authors;
+      parsed.authors_truncated = authorList.truncated;
+
+      const rest = parts.slice(1);
+
+      // The last part names the publisher: a domain ("nature.com") or a name ("Springer").
+      // A lone part is the publisher only when it is a domain
+      if (rest.length > 1 || (rest.length === 1 && this.isDomain(rest[0]))) {
+        parsed.publisher = rest.pop();
+      }
+
+      const source = rest.join(' - ');
+      const yearMatch = source.match(/(?:^|[\s,])(\d{4})$/);
+      const year = yearMatch ? parseInt(yearMatch[1]) : null;
+
+      if (year && year >= 1000 && year <= new Date().getFullYear() + 1) {
+        parsed.year = year;
+        parsed.journal = source.slice(0, yearMatch.index).replace(/[\s,]+$/, '') || null;
       } else {
-        journal = sourceYear;
+        parsed.journal = source || null;
       }
     }
-    
-    // Extract publisher (third part)
-    const publisher = parts[2]?.trim() || null;
-    
-    return {
-      authors,
-      journal,
-      year,
-      publisher
-    };
+
+    const structuredNames = Array.isArray(structuredAuthors)
+      ? structuredAuthors.map(author => this.sanitizeString(author && author.name)).filter(name => name)
+      : [];
+    const summaryCount = this.splitAuthors(parsed.authors).length;
+
+    // SerpAPI only lists authors with a Scholar profile, so the array may be shorter
+    if (structuredNames.length > 0 && structuredNames.length >= summaryCount) {
+      parsed.authors = structuredNames.join(', ');
+      parsed.authors_truncated = parsed.authors_truncated && structuredNames.length === summaryCount;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Strip the ellipsis Scholar appends to cut author lists
+   * Example: "A Smith, B Jones…" -> { authors: "A Smith, B Jones", truncated: true }
+   * @param {string} authors - Comma-separated authors string
+   * @returns {object} - { authors, truncated }
+   */
+  parseAuthorList(authors) {
+    const sanitized = this.sanitizeString(authors);
+    if (!sanitized) {
+      return { authors: null, truncated: false };
+    }
+
+    const truncated = /(…|\.\.\.)$/.test(sanitized);
+    const stripped = sanitized.replace(/[\s,]*(…|\.\.\.)$/, '').replace(/,$/, '').trim();
+
+    return { authors: stripped || null, truncated };
+  }
+
+  /**
+   * Whether a summary part is a domain name ("nature.com", "books.google.com")
+   * @param {string} part - Summary part
+   * @returns {boolean} - True for domains
+   */
+  isDomain(part) {
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(part) && /[a-z]/i.test(part.split('.').pop());
+  }
+
+  /**
+   * Split an authors string into individual author names
+   * Example: "G Hinton, Y LeCun, Y Bengio…" -> ["G Hinton", "Y LeCun", "Y Bengio"]
+   * @param {string} authors - Comma-separated authors string
+   * @returns {Array<string>} - Author names in listed order
+   */
+  splitAuthors(authors) {
+    if (!authors) {
+      return [];
+    }
+
+    return authors
+      .split(',')
+      .map(name => this.sanitizeString(name.replace(/(…|\.\.\.)/g, '')))
+      .filter(name => name);
   }
 
   /**
@@ -59,13 +124,14 @@ class ParserService {
    */
   parseOrganicResult(result) {
     const publicationInfo = result.publication_info 
-      ? this.parsePublicationInfo(result.publication_info.summary)
+      ? this.parsePublicationInfo(result.publication_info.summary, result.publication_info.authors)
       : {};
 
     return {
       google_scholar_id: result.result_id || null,
       title: result.title || null,
       authors: publicationInfo.authors || null,
+      authors_truncated: !!publicationInfo.authors_truncated,
       publication_year: publicationInfo.year || null,
       journal: publicationInfo.journal || null,
       article_url: result.link || null,
@@ -108,6 +174,105 @@ class ParserService {
     return results.map(result => this.parseOrganicResult(result));
   }
 
+  /**
+   * Parse an article of a Scholar author profile
+   * Profile articles have a citation_id instead of a result_id, which is
+   * stored as their google_scholar_id
+   * Example publication: "Nature 521 (7553), 436-444, 2015" -> journal "Nature"
+   * @param {object} article - Profile article object
+   * @returns {object} - Parsed publication data
+   */
+  parseProfileArticle(article) {
+    const journal = article.publication
+      ? this.sanitizeString(article.publication.split(/\s+\d|,/)[0])
+      : null;
+    const authorList = this.parseAuthorList(article.authors);
+
+    return {
+      google_scholar_id: article.citation_id || null,
+      title: article.title || null,
+      authors: authorList.authors,
+      authors_truncated: authorList.truncated,
+      publication_year: parseInt(article.year) || null,
+      journal,
+      article_url: article.link || null,
+      abstract: null,
+      citation_count: article.cited_by?.value || 0,
+      cites_id: article.cited_by?.cites_id || null,
+      pdf_url: null,
+      cluster_id: null,
+      publisher: null
+    };
+  }
+
+  /**
+   * Parse the articles of a Scholar author profile page
+   * @param {Array} articles - Array of profile articles
+   * @returns {Array} - Array of parsed publications
+   */
+  parseProfileArticles(articles) {
+    if (!articles || !Array.isArray(articles)) {
+      return [];
+    }
+
+    return articles.map(article => this.parseProfileArticle(article));
+  }
+
+  /**
+   * Extract the metrics of a Scholar author profile
+   * @param {object} profileData - Author profile response
+   * @returns {object} - { name, affiliation, citations, h_index, i10_index, citations_per_year }
+   */
+  parseProfileMetrics(profileData) {
+    const table = profileData.cited_by?.table || [];
+    const metric = (name) => {
+      const row = table.find(entry => entry[name]);
+      return row ? row[name].all ?? null : null;
+    };
+
+    return {
+      name: profileData.author?.name || null,
+      affiliation: profileData.author?.affiliations || null,
+      citations: metric('citations'),
+      h_index: metric('h_index'),
+      i10_index: metric('i10_index'),
+      citations_per_year: (profileData.cited_by?.graph || []).map(point => ({
+        year: point.year,
+        citations: point.citations
+      }))
+    };
+  }
+
+  /**
+   * Parse the candidates of a Scholar profile search
+   * @param {Array} profiles - Array of profiles
+   * @returns {Array} - { scholar_author_id, name, affiliation, email, cited_by, interests }
+   */
+  parseProfileCandidates(profiles) {
+    if (!profiles || !Array.isArray(profiles)) {
+      return [];
+    }
+
+    return profiles.map(profile => ({
+      scholar_author_id: profile.author_id,
+      name: profile.name,
+      affiliation: profile.affiliations || null,
+      email: profile.email || null,
+      cited_by: profile.cited_by || 0,
+      interests: (profile.interests || []).map(interest => interest.title)
+    }));
+  }
+
+  /**
+   * Whether a listed author name ("GE Hinton") may refer to a full name ("Geoffrey Hinton")
+   * @param {string} listedName - Name as listed on an article
+   * @param {string} fullName - Full name
+   * @returns {boolean} - True when the names match
+   */
+  isSameAuthor(listedName, fullName) {
+    return authorNames.isCompatible(authorNames.parseName(listedName), authorNames.parseName(fullName));
+  }
+
   /**
    * Validate parsed publication data
    * @param {object} publication - Parsed publication data
@@ -163,6 +328,26 @@ class ParserService {
     return str.replace(/\s+/g, ' ').trim();
   }
 
+  /**
+   * Normalize a title for duplicate matching
+   * Lowercases, strips accents, punctuation and Scholar tags like "[PDF]"
+   * @param {string} title - Paper title
+   * @returns {string|null} - Normalized title or null
+   */
+  normalizeTitle(title) {
+    if (!title) return null;
+
+    const normalized = title
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/^\s*(\[[^\]]*\]\s*)+/, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+
+    return normalized ? normalized.substring(0, 500) : null;
+  }
+
   /**
    * Prepare publication for database insertion
    * @param {object} publication - Parsed publication
@@ -173,6 +358,7 @@ class ParserService {
       google_scholar_id: publication.google_scholar_id,
       title: this.sanitizeString(publication.title),
       authors: this.sanitizeString(publication.authors),
+      authors_truncated: !!publication.authors_truncated,
       publication_year: publication.publication_year,
       journal: this.sanitizeString(publication.journal),
       article_url: publication.article_url,
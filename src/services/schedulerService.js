@@ -0,0 +1,297 @@
+const cron = require('node-cron');
+const fetchService = require('./fetchService');
+const topicQueryService = require('./topicQueryService');
+const digestService = require('./digestService');
+const watchlistModel = require('../models/watchlistModel');
+const topicQueryModel = require('../models/topicQueryModel');
+const schedulerConfig = require('../config/scheduler');
+const digestConfig = require('../config/digest');
+
+/**
+ * Scheduler Service - Runs watchlists (named author groups) and topic queries
+ * (saved keyword searches) on their cron schedules, and sends the digests
+ */
+class SchedulerService {
+  constructor() {
+    this.tasks = new Map(); // watchlist id -> cron task
+    this.running = new Set(); // watchlist ids currently fetching
+    this.topicTasks = new Map(); // topic query id -> cron task
+    this.runningTopics = new Set(); // topic query ids currently fetching
+    this.digestTask = null;
+    this.started = false;
+  }
+
+  /**
+   * Load enabled watchlists and topic queries and schedule them
+   * @returns {Promise<number>} - Number of scheduled watchlists and topic queries
+   */
+  async start() {
+    if (!schedulerConfig.enabled) {
+      console.log('⏸️  Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return 0;
+    }
+
+    this.started = true;
+    const watchlists = await watchlistModel.findAll(true);
+    watchlists.forEach(watchlist => this.schedule(watchlist));
+
+    const topicQueries = await topicQueryModel.findAll(true);
+    topicQueries.forEach(topicQuery => this.scheduleTopicQuery(topicQuery));
+
+    this.scheduleDigests();
+
+    console.log(`⏰ Scheduler started with ${this.tasks.size} watchlists and ${this.topicTasks.size} topic queries (${schedulerConfig.timezone})`);
+    return this.tasks.size + this.topicTasks.size;
+  }
+
+  /**
+   * Stop every scheduled task
+   */
+  stop() {
+    for (const task of [...this.tasks.values(), ...this.topicTasks.values()]) {
+      task.stop();
+    }
+    this.tasks.clear();
+    this.topicTasks.clear();
+    if (this.digestTask) {
+      this.digestTask.stop();
+      this.digestTask = null;
+    }
+    this.started = false;
+  }
+
+  /**
+   * Send digests to every enabled subscriber on DIGEST_CRON
+   */
+  scheduleDigests() {
+    if (!digestConfig.enabled) return;
+
+    if (!cron.validate(digestConfig.cron)) {
+      console.warn(`⚠️  Digests not scheduled: invalid DIGEST_CRON "${digestConfig.cron}"`);
+      return;
+    }
+
+    this.digestTask = cron.schedule(digestConfig.cron, () => {
+      digestService.sendAll('schedule').catch(error => {
+        console.error('❌ Scheduled digests failed:', error.message);
+      });
+    }, { timezone: schedulerConfig.timezone });
+
+    console.log(`📬 Digests scheduled (${digestConfig.cron})`);
+  }
+
+  /**
+   * Schedule (or reschedule) a watchlist
+   * @param {object} watchlist - Watchlist
+   */
+  schedule(watchlist) {
+    this.unschedule(watchlist.id);
+
+    if (!watchlist.enabled || !cron.validate(watchlist.cron_expression)) {
+      return;
+    }
+
+    const task = cron.schedule(watchlist.cron_expression, () => {
+      this.runWatchlistById(watchlist.id, 'schedule').catch(error => {
+        console.error(`❌ Scheduled run of watchlist ${watchlist.id} failed:`, error.message);
+      });
+    }, { timezone: schedulerConfig.timezone });
+
+    this.tasks.set(watchlist.id, task);
+  }
+
+  /**
+   * Remove a watchlist from the schedule
+   * @param {number} id - Watchlist ID
+   */
+  unschedule(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  /**
+   * Re-read a watchlist after it changed and update its schedule
+   * @param {number} id - Watchlist ID
+   * @returns {Promise<void>}
+   */
+  async reload(id) {
+    if (!this.started) return;
+
+    const watchlist = await watchlistModel.findById(id);
+    if (watchlist) {
+      this.schedule(watchlist);
+    } else {
+      this.unschedule(id);
+    }
+  }
+
+  /**
+   * Whether a watchlist is currently scheduled
+   * @param {number} id - Watchlist ID
+   * @returns {boolean} - True if scheduled
+   */
+  isScheduled(id) {
+    return this.tasks.has(id);
+  }
+
+  /**
+   * Load and run a watchlist
+   * @param {number} id - Watchlist ID
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<object|null>} - Fetch results, or null if the watchlist no longer exists
+   */
+  async runWatchlistById(id, trigger) {
+    const watchlist = await watchlistModel.findById(id);
+    if (!watchlist) {
+      this.unschedule(id);
+      return null;
+    }
+    return this.runWatchlist(watchlist, trigger);
+  }
+
+  /**
+   * Run the author fetch pipeline for a watchlist and record the outcome
+   * @param {object} watchlist - Watchlist
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<object>} - Fetch results
+   */
+  async runWatchlist(watchlist, trigger) {
+    if (this.running.has(watchlist.id)) {
+      const error = new Error(`Watchlist ${watchlist.id} is already running`);
+      error.status = 409;
+      throw error;
+    }
+
+    this.running.add(watchlist.id);
+    console.log(`⏰ Running watchlist "${watchlist.name}" (${trigger})`);
+
+    try {
+      const results = await fetchService.fetchArticlesByAuthors(watchlist.authors, {
+        perAuthor: watchlist.per_author,
+        maxPages: watchlist.max_pages,
+        trigger,
+        watchlistId: watchlist.id
+      });
+
+      await watchlistModel.recordRun(watchlist.id, results.status, { trigger, run_id: results.run_id, ...results.summary });
+      return results;
+
+    } catch (error) {
+      await watchlistModel.recordRun(watchlist.id, 'failed', { trigger, error: error.message });
+      throw error;
+    } finally {
+      this.running.delete(watchlist.id);
+    }
+  }
+
+  /**
+   * Schedule (or reschedule) a topic query
+   * @param {object} topicQuery - Topic query
+   */
+  scheduleTopicQuery(topicQuery) {
+    this.unscheduleTopicQuery(topicQuery.id);
+
+    if (!topicQuery.enabled || !cron.validate(topicQuery.cron_expression)) {
+      return;
+    }
+
+    const task = cron.schedule(topicQuery.cron_expression, () => {
+      this.runTopicQueryById(topicQuery.id, 'schedule').catch(error => {
+        console.error(`❌ Scheduled run of topic query ${topicQuery.id} failed:`, error.message);
+      });
+    }, { timezone: schedulerConfig.timezone });
+
+    this.topicTasks.set(topicQuery.id, task);
+  }
+
+  /**
+   * Remove a topic query from the schedule
+   * @param {number} id - Topic query ID
+   */
+  unscheduleTopicQuery(id) {
+    const task = this.topicTasks.get(id);
+    if (task) {
+      task.stop();
+      this.topicTasks.delete(id);
+    }
+  }
+
+  /**
+   * Re-read a topic query after it changed and update its schedule
+   * @param {number} id - Topic query ID
+   * @returns {Promise<void>}
+   */
+  async reloadTopicQuery(id) {
+    if (!this.started) return;
+
+    const topicQuery = await topicQueryModel.findById(id);
+    if (topicQuery) {
+      this.scheduleTopicQuery(topicQuery);
+    } else {
+      this.unscheduleTopicQuery(id);
+    }
+  }
+
+  /**
+   * Whether a topic query is currently scheduled
+   * @param {number} id - Topic query ID
+   * @returns {boolean} - True if scheduled
+   */
+  isTopicQueryScheduled(id) {
+    return this.topicTasks.has(id);
+  }
+
+  /**
+   * Load and run a topic query
+   * @param {number} id - Topic query ID
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<object|null>} - Run results, or null if the topic query no longer exists
+   */
+  async runTopicQueryById(id, trigger) {
+    const topicQuery = await topicQueryModel.findById(id);
+    if (!topicQuery) {
+      this.unscheduleTopicQuery(id);
+      return null;
+    }
+    return this.runTopicQuery(topicQuery, trigger);
+  }
+
+  /**
+   * Run a topic query and record the outcome
+   * @param {object} topicQuery - Topic query
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @param {object} options - { forceRefresh }
+   * @returns {Promise<object>} - Run results
+   */
+  async runTopicQuery(topicQuery, trigger, options = {}) {
+    if (this.runningTopics.has(topicQuery.id)) {
+      const error = new Error(`Topic query ${topicQuery.id} is already running`);
+      error.status = 409;
+      throw error;
+    }
+
+    this.runningTopics.add(topicQuery.id);
+    console.log(`⏰ Running topic query "${topicQuery.name}" (${trigger})`);
+
+    try {
+      const results = await topicQueryService.fetchTopicQuery(topicQuery, {
+        forceRefresh: options.forceRefresh,
+        trigger
+      });
+
+      await topicQueryModel.recordRun(topicQuery.id, results.status, { trigger, ...results.summary });
+      return results;
+
+    } catch (error) {
+      await topicQueryModel.recordRun(topicQuery.id, 'failed', { trigger, error: error.message });
+      throw error;
+    } finally {
+      this.runningTopics.delete(topicQuery.id);
+    }
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,166 @@
+const articleModel = require('../models/articleModel');
+const { escapeHtml } = require('../utils/escape');
+
+// Characters that only mean something in boolean mode
+const BOOLEAN_OPERATORS = /[+\-"*()~<>]/;
+
+// Length of the abstract excerpt around the first match
+const SNIPPET_LENGTH = 240;
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search Service - Full-text search over stored articles with highlighted matches
+ */
+class SearchService {
+  /**
+   * Pick the full-text mode: the requested one, else boolean mode
+   * when the query uses boolean operators ("deep learning" -survey, neur*)
+   * @param {string} searchQuery - Search query
+   * @param {string} requested - 'natural', 'boolean' or undefined
+   * @returns {string} - 'natural' or 'boolean'
+   */
+  resolveMode(searchQuery, requested) {
+    if (requested) return requested;
+    return BOOLEAN_OPERATORS.test(searchQuery) ? 'boolean' : 'natural';
+  }
+
+  /**
+   * Build the pattern that marks the query's terms in text: quoted phrases,
+   * words and prefix wildcards (neur*). Excluded terms (-survey) are skipped
+   * @param {string} searchQuery - Search query
+   * @returns {RegExp|null} - Case-insensitive pattern, or null without terms
+   */
+  buildHighlightPattern(searchQuery) {
+    const patterns = [];
+    const phrasePattern = /"([^"]+)"/g;
+    let match;
+
+    while ((match = phrasePattern.exec(searchQuery)) !== null) {
+      const words = match[1].trim().split(/\s+/).filter(word => word).map(escapeRegExp);
+      if (words.length > 0) patterns.push(words.join('\\s+'));
+    }
+
+    const rest = searchQuery.replace(phrasePattern, ' ');
+    for (const token of rest.split(/\s+/)) {
+      if (!token || token.startsWith('-')) continue;
+
+      const prefix = token.endsWith('*');
+      const word = token.replace(/^\W+/, '').replace(/\W+$/, '');
+      if (!word || !/\w/.test(word)) continue;
+
+      patterns.push(escapeRegExp(word) + (prefix ? '\\w*' : ''));
+    }
+
+    if (patterns.length === 0) return null;
+
+    // Longest first, so a phrase wins over its words
+    patterns.sort((a, b) => b.length - a.length);
+    return new RegExp(`\\b(?:${patterns.join('|')})\\b`, 'gi');
+  }
+
+  /**
+   * HTML-escape text and wrap matches in <mark>
+   * @param {string} text - Raw text
+   * @param {RegExp|null} pattern - buildHighlightPattern() result
+   * @returns {string} - Highlighted HTML
+   */
+  highlight(text, pattern) {
+    if (!pattern) return escapeHtml(text);
+
+    let html = '';
+    let last = 0;
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+
+    return html + escapeHtml(text.slice(last));
+  }
+
+  /**
+   * Excerpt of an abstract around its first match, highlighted
+   * @param {string} text - Abstract
+   * @param {RegExp|null} pattern - buildHighlightPattern() result
+   * @returns {string|null} - Highlighted excerpt, or null without abstract
+   */
+  snippet(text, pattern) {
+    if (!text) return null;
+
+    let start = 0;
+    if (pattern) {
+      pattern.lastIndex = 0;
+      const match = pattern.exec(text);
+      if (match && match.index > SNIPPET_LENGTH / 3) {
+        // Start on a word boundary a little before the match
+        start = text.lastIndexOf(' ', match.index - SNIPPET_LENGTH / 3) + 1;
+      }
+    }
+
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+
+    return (start > 0 ? '…' : '') +
+      this.highlight(text.slice(start, end), pattern) +
+      (end < text.length ? '…' : '');
+  }
+
+  /**
+   * Search stored articles, relevance-ranked, with highlighted title and abstract excerpt
+   * @param {string} searchQuery - Search query
+   * @param {object} filters - Listing filters (year_from, year_to, journal, author, ...)
+   * @param {object} options - { mode, sort, order, limit, offset }
+   * @returns {Promise<object>} - { mode, articles, total }
+   * @throws {Error} - 400 for a malformed boolean query
+   */
+  async search(searchQuery, filters = {}, options = {}) {
+    const mode = this.resolveMode(searchQuery, options.mode);
+
+    let articles;
+    let total;
+    try {
+      [articles, total] = await Promise.all([
+        articleModel.search(searchQuery, filters, { ...options, mode }),
+        articleModel.countSearch(searchQuery, filters, mode)
+      ]);
+    } catch (error) {
+      if (error.code !== 'ER_PARSE_ERROR') throw error;
+
+      const invalid = new Error(`Invalid ${mode} search query "${searchQuery}"`);
+      invalid.status = 400;
+      throw invalid;
+    }
+
+    const pattern = this.buildHighlightPattern(searchQuery);
+
+    return {
+      mode,
+      total,
+      articles: articles.map(article => ({
+        ...article,
+        relevance: Math.round(Number(article.relevance) * 1000) / 1000,
+        highlight: {
+          title: this.highlight(article.paper_title, pattern),
+          snippet: this.snippet(article.abstract_text, pattern)
+        }
+      }))
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,114 @@
+const articleModel = require('../models/articleModel');
+
+/**
+ * Stats Service - Collection-wide and per-author metrics over stored articles
+ */
+class StatsService {
+  /**
+   * Largest h such that h articles have at least h citations each
+   * @param {Array<number>} counts - Citation counts, highest first
+   * @returns {number} - h-index
+   */
+  hIndex(counts) {
+    let h = 0;
+    while (h < counts.length && counts[h] >= h + 1) {
+      h++;
+    }
+    return h;
+  }
+
+  /**
+   * Number of articles with at least 10 citations
+   * @param {Array<number>} counts - Citation counts
+   * @returns {number} - i10-index
+   */
+  i10Index(counts) {
+    return counts.filter(count => count >= 10).length;
+  }
+
+  /**
+   * Metrics over the stored articles matching filters
+   * @param {object} filters - Listing filters (year_from, year_to, author, author_id, saved_from, saved_to, ...)
+   * @param {object} options - { top (entries per ranking), since (YYYY-MM-DD, adds growth figures) }
+   * @returns {Promise<object>} - Statistics
+   */
+  async getStatistics(filters = {}, options = {}) {
+    const top = options.top || 10;
+    const since = options.since || null;
+
+    const [statistics, citationCounts, journals, publishers, mostCited, authorship] = await Promise.all([
+      articleModel.getStatistics(filters),
+      articleModel.findCitationCounts(filters),
+      articleModel.findTopVenues('journal', filters, top),
+      articleModel.findTopVenues('publisher', filters, top),
+      articleModel.findWithFilters(filters, { sort: 'citations', order: 'desc', limit: top }),
+      articleModel.getAuthorshipStatistics(filters, since)
+    ]);
+
+    const result = {
+      total_articles: statistics.total_articles,
+      total_citations: statistics.total_citations,
+      average_citations: statistics.average_citations,
+      h_index: this.hIndex(citationCounts),
+      i10_index: this.i10Index(citationCounts),
+      by_year: statistics.articles_by_year.map(row => ({
+        year: row.publication_year,
+        articles: row.count,
+        citations: row.citations
+      })),
+      top_journals: journals,
+      top_publishers: publishers,
+      most_cited: mostCited.map(article => ({
+        id: article.id,
+        title: article.paper_title,
+        authors: article.authors,
+        publication_year: article.publication_year,
+        journal: article.journal,
+        citation_count: article.citation_count
+      })),
+      authors: {
+        distinct: authorship.distinct_authors,
+        average_per_article: authorship.average_per_article
+      },
+      growth: null
+    };
+
+    if (filters.author_id) {
+      result.coauthors = await articleModel.findCoauthors(filters.author_id, filters, top);
+    }
+
+    if (since) {
+      result.growth = await this.getGrowth(filters, since, authorship.new_authors);
+    }
+
+    return result;
+  }
+
+  /**
+   * What changed in the collection since a date
+   * @param {object} filters - Listing filters
+   * @param {string} since - Date (YYYY-MM-DD)
+   * @param {number} newAuthors - Authors first seen since the date
+   * @returns {Promise<object>} - { since, new_articles, new_authors, citations_gained, articles_compared }
+   */
+  async getGrowth(filters, since, newAuthors) {
+    // A later saved_from already narrows the articles further than since
+    const savedFrom = filters.saved_from && filters.saved_from > since ? filters.saved_from : since;
+
+    const [newArticles, citationGrowth] = await Promise.all([
+      articleModel.countWithFilters({ ...filters, saved_from: savedFrom }),
+      articleModel.getCitationGrowth(filters, since)
+    ]);
+
+    return {
+      since,
+      new_articles: newArticles,
+      new_authors: newAuthors,
+      // Citations gained by articles that already had a snapshot before the date
+      citations_gained: citationGrowth.citations_gained,
+      articles_compared: citationGrowth.articles_compared
+    };
+  }
+}
+
+module.exports = new StatsService();
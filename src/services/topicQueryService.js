@@ -0,0 +1,172 @@
+const serpApiService = require('./serpApiService');
+const usageService = require('./usageService');
+const parserService = require('./parserService');
+const fetchService = require('./fetchService');
+const articleModel = require('../models/articleModel');
+const topicQueryModel = require('../models/topicQueryModel');
+const fetchConfig = require('../config/fetch');
+const serpApiConfig = require('../config/serpapi');
+const { sleep } = require('../utils/sleep');
+
+/**
+ * Topic Query Service - Saved keyword searches ("graph neural networks" drug discovery,
+ * since 2024): walk their result pages, save unseen articles and record which
+ * stored articles each query surfaced
+ */
+class TopicQueryService {
+  /**
+   * Google Scholar parameters of a topic query
+   * @param {object} topicQuery - Topic query
+   * @returns {object} - { as_ylo, as_yhi, lr, scisbd } (unset options are left out)
+   */
+  buildSearchOptions(topicQuery) {
+    const options = {};
+
+    if (topicQuery.year_from) options.as_ylo = topicQuery.year_from;
+    if (topicQuery.year_to) options.as_yhi = topicQuery.year_to;
+    if (topicQuery.language) options.lr = `lang_${topicQuery.language}`;
+    // Newest first, including citations and articles without abstracts
+    if (topicQuery.sort_by_date) options.scisbd = 2;
+
+    return options;
+  }
+
+  /**
+   * The stored article a result already exists as: by Scholar id, or as an
+   * alternate version of another article
+   * @param {string} googleScholarId - Google Scholar ID of the result
+   * @returns {Promise<object|null>} - Stored article or null
+   */
+  async findStoredArticle(googleScholarId) {
+    return await articleModel.findByGoogleScholarId(googleScholarId) ||
+      await articleModel.findByVersionScholarId(googleScholarId);
+  }
+
+  /**
+   * Run a topic query: save up to `per_query` unseen articles, walking result pages
+   * until the quota or `max_pages` is reached. Every stored result, new or not,
+   * is recorded as a match of the query
+   * @param {object} topicQuery - Topic query
+   * @param {object} options - { forceRefresh, trigger ('schedule' or 'manual') }
+   * @returns {Promise<object>} - { status, summary, articles }
+   */
+  async fetchTopicQuery(topicQuery, options = {}) {
+    const perQuery = topicQuery.per_query || fetchConfig.defaultPerQuery;
+    const maxPages = Math.min(topicQuery.max_pages || fetchConfig.maxPagesPerQuery, fetchConfig.maxPagesPerRun);
+    // SerpAPI requests charged to this run, retries and error answers included
+    const usage = { requests: 0 };
+    const searchOptions = {
+      ...this.buildSearchOptions(topicQuery),
+      forceRefresh: options.forceRefresh,
+      trigger: options.trigger,
+      usage
+    };
+
+    const summary = {
+      query: topicQuery.query,
+      quota: perQuery,
+      fetched: 0,
+      saved: 0,
+      already_exists: 0,
+      new_matches: 0,
+      pages_consumed: 0,
+      cache_hits: 0,
+      serpapi_calls: 0,
+      stop_reason: null,
+      credit_budget_exhausted: false
+    };
+    const articles = [];
+    let start = 0;
+
+    while (true) {
+      if (summary.saved >= perQuery) {
+        summary.stop_reason = 'quota_met';
+        break;
+      }
+
+      if (summary.pages_consumed >= maxPages) {
+        summary.stop_reason = 'page_limit';
+        break;
+      }
+
+      // Delay between consecutive result pages (rate limiting)
+      if (summary.pages_consumed > 0) {
+        await sleep(fetchConfig.requestDelayMs);
+      }
+
+      let data;
+      try {
+        data = await serpApiService.search(topicQuery.query, start, searchOptions);
+      } catch (error) {
+        if (!usageService.isBudgetExhausted(error)) throw error;
+
+        console.warn(`⚠️  ${error.message}`);
+        summary.stop_reason = 'credit_budget_exhausted';
+        summary.credit_budget_exhausted = true;
+        break;
+      }
+
+      summary.pages_consumed++;
+      if (serpApiService.isCached(data)) {
+        summary.cache_hits++;
+      }
+
+      const publications = parserService.filterValidPublications(
+        parserService.parseOrganicResults(data.organic_results)
+      );
+
+      if (publications.length === 0) {
+        summary.stop_reason = 'no_more_results';
+        break;
+      }
+
+      summary.fetched += publications.length;
+
+      for (const publication of publications) {
+        if (summary.saved >= perQuery) break; // Per-query quota reached
+
+        try {
+          const saved = await fetchService.saveArticle(publication);
+
+          if (saved) {
+            summary.saved++;
+            articles.push({
+              id: saved.id,
+              google_scholar_id: saved.article.google_scholar_id,
+              title: saved.article.paper_title,
+              citation_count: saved.article.citation_count
+            });
+            if (await topicQueryModel.addMatch(topicQuery.id, saved.id, true)) summary.new_matches++;
+            continue;
+          }
+
+          summary.already_exists++;
+          const stored = await this.findStoredArticle(publication.google_scholar_id);
+          if (stored && await topicQueryModel.addMatch(topicQuery.id, stored.id, false)) {
+            summary.new_matches++;
+          }
+        } catch (saveError) {
+          console.error(`❌ Error saving topic query result: ${saveError.message}`);
+        }
+      }
+
+      if (!parserService.extractMetadata(data).has_next) {
+        if (summary.saved < perQuery) summary.stop_reason = 'no_more_results';
+        break;
+      }
+
+      start += serpApiConfig.defaultParams.num;
+    }
+
+    if (summary.saved >= perQuery) {
+      summary.stop_reason = 'quota_met';
+    }
+    summary.serpapi_calls = usage.requests;
+
+    console.log(`🔎 Topic query "${topicQuery.name}": ${summary.saved} new articles, ${summary.new_matches} new matches, ${summary.pages_consumed} pages`);
+
+    return { status: fetchService.runStatus([summary.stop_reason]), summary, articles };
+  }
+}
+
+module.exports = new TopicQueryService();
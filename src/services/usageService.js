@@ -0,0 +1,119 @@
+const serpApiUsageModel = require('../models/serpApiUsageModel');
+const serpApiConfig = require('../config/serpapi');
+
+/**
+ * Current UTC date
+ * @returns {string} - YYYY-MM-DD
+ */
+const utcToday = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Usage Service - Counts SerpAPI requests and enforces the daily/monthly credit budget
+ */
+class UsageService {
+  constructor() {
+    this.BUDGET_EXHAUSTED = 'CREDIT_BUDGET_EXHAUSTED';
+  }
+
+  /**
+   * Whether an error was raised because the credit budget is spent
+   * @param {Error} error - Error
+   * @returns {boolean} - True for budget errors
+   */
+  isBudgetExhausted(error) {
+    return !!error && error.code === this.BUDGET_EXHAUSTED;
+  }
+
+  /**
+   * Throw when the daily or monthly credit ceiling has been reached
+   * @returns {Promise<void>}
+   */
+  async assertWithinBudget() {
+    const { dailyCreditLimit, monthlyCreditLimit } = serpApiConfig;
+    if (!dailyCreditLimit && !monthlyCreditLimit) return;
+
+    const today = utcToday();
+
+    if (dailyCreditLimit) {
+      const used = await serpApiUsageModel.sumRequests(today, today);
+      if (used >= dailyCreditLimit) {
+        throw this.budgetError('daily', used, dailyCreditLimit);
+      }
+    }
+
+    if (monthlyCreditLimit) {
+      const used = await serpApiUsageModel.sumRequests(`${today.slice(0, 7)}-01`, today);
+      if (used >= monthlyCreditLimit) {
+        throw this.budgetError('monthly', used, monthlyCreditLimit);
+      }
+    }
+  }
+
+  /**
+   * Build the error raised when a budget is spent
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {number} used - Requests used in the period
+   * @param {number} limit - Period limit
+   * @returns {Error} - Error with status 429
+   */
+  budgetError(period, used, limit) {
+    const error = new Error(`SerpAPI ${period} credit budget exhausted (${used}/${limit} searches)`);
+    error.status = 429;
+    error.code = this.BUDGET_EXHAUSTED;
+    return error;
+  }
+
+  /**
+   * Count a SerpAPI request or cache hit. Accounting errors are logged, not thrown
+   * @param {string} callType - search, cited_by, versions, profiles or author
+   * @param {string} triggerSource - api, schedule or manual
+   * @param {boolean} cached - True if the response came from the cache (no credit used)
+   * @returns {Promise<void>}
+   */
+  async record(callType, triggerSource, cached) {
+    try {
+      await serpApiUsageModel.increment(utcToday(), callType, triggerSource || 'api', {
+        requests: cached ? 0 : 1,
+        cache_hits: cached ? 1 : 0
+      });
+    } catch (error) {
+      console.error(`❌ Error recording SerpAPI usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Consumption against the budget, with breakdowns for the current month
+   * @param {number} days - Days of daily history to include
+   * @returns {Promise<object>} - Usage report
+   */
+  async getUsage(days = 30) {
+    const today = utcToday();
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const historyStart = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const [usedToday, usedThisMonth, byType, byTrigger, daily] = await Promise.all([
+      serpApiUsageModel.sumRequests(today, today),
+      serpApiUsageModel.sumRequests(monthStart, today),
+      serpApiUsageModel.sumBy('call_type', monthStart, today),
+      serpApiUsageModel.sumBy('trigger_source', monthStart, today),
+      serpApiUsageModel.findDaily(historyStart, today)
+    ]);
+
+    const period = (used, limit) => ({
+      used,
+      limit: limit || null,
+      remaining: limit ? Math.max(limit - used, 0) : null,
+      exhausted: limit ? used >= limit : false
+    });
+
+    return {
+      today: { date: today, ...period(usedToday, serpApiConfig.dailyCreditLimit) },
+      month: { from: monthStart, ...period(usedThisMonth, serpApiConfig.monthlyCreditLimit) },
+      by_call_type: byType,
+      by_trigger: byTrigger,
+      daily
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,121 @@
+const serpApiService = require('./serpApiService');
+const parserService = require('./parserService');
+const articleModel = require('../models/articleModel');
+const articleVersionModel = require('../models/articleVersionModel');
+const authorModel = require('../models/authorModel');
+
+/**
+ * Version Service - Google Scholar version clusters and duplicate merging
+ */
+class VersionService {
+  /**
+   * Fetch every version in an article's cluster and store them as alternate versions
+   * @param {object} article - Stored article row (must have cluster_id)
+   * @param {object} options - { forceRefresh }
+   * @returns {Promise<object>} - { fetched, added, cached, versions }
+   */
+  async fetchVersions(article, options = {}) {
+    const searchData = await serpApiService.getAllVersions(article.cluster_id, options);
+    const versions = parserService.filterValidPublications(
+      parserService.parseOrganicResults(searchData.organic_results)
+    );
+
+    let added = 0;
+
+    for (const version of versions) {
+      if (version.google_scholar_id === article.google_scholar_id) continue;
+
+      if (await articleVersionModel.create(article.id, version, 'versions')) {
+        added++;
+      }
+    }
+
+    return {
+      fetched: versions.length,
+      added,
+      cached: serpApiService.isCached(searchData),
+      versions: await articleVersionModel.findByArticleId(article.id)
+    };
+  }
+
+  /**
+   * Pick the record to keep from a group of duplicates:
+   * most cited, then with a PDF link, then oldest
+   * @param {Array<object>} articles - Articles of one duplicate group
+   * @returns {object} - Canonical article
+   */
+  pickCanonical(articles) {
+    return [...articles].sort((a, b) =>
+      (b.citation_count - a.citation_count) ||
+      ((b.pdf_url ? 1 : 0) - (a.pdf_url ? 1 : 0)) ||
+      (a.id - b.id)
+    )[0];
+  }
+
+  /**
+   * Store normalized titles for articles saved before duplicate matching existed
+   * @returns {Promise<number>} - Number of articles updated
+   */
+  async backfillNormalizedTitles() {
+    const untitled = await articleModel.findWithoutNormalizedTitle();
+    for (const row of untitled) {
+      await articleModel.updateNormalizedTitle(row.id, parserService.normalizeTitle(row.paper_title));
+    }
+    return untitled.length;
+  }
+
+  /**
+   * Merge stored articles that share a cluster_id or a normalized title + year
+   * @param {object} options - { dryRun }
+   * @returns {Promise<object>} - { summary, merges }
+   */
+  async deduplicate(options = {}) {
+    await this.backfillNormalizedTitles();
+
+    const merges = [];
+    const merged = new Set();
+
+    for (const matchBy of ['cluster', 'title']) {
+      const groups = await articleModel.findDuplicateGroups(matchBy);
+
+      for (const ids of groups) {
+        const articles = (await articleModel.findByIds(ids)).filter(row => !merged.has(row.id));
+        if (articles.length < 2) continue;
+
+        const canonical = this.pickCanonical(articles);
+        const duplicateIds = articles.filter(row => row.id !== canonical.id).map(row => row.id);
+
+        if (!options.dryRun) {
+          const authorIds = [];
+          for (const id of duplicateIds) {
+            authorIds.push(...await authorModel.findIdsByArticleId(id));
+          }
+
+          await articleModel.mergeInto(canonical.id, duplicateIds);
+          await authorModel.refreshCounters([...authorIds, ...await authorModel.findIdsByArticleId(canonical.id)]);
+        }
+
+        duplicateIds.forEach(id => merged.add(id));
+        merges.push({
+          matched_by: matchBy,
+          canonical_id: canonical.id,
+          title: canonical.paper_title,
+          merged_ids: duplicateIds
+        });
+      }
+    }
+
+    console.log(`🧬 De-duplication: ${merges.length} groups, ${merged.size} articles merged${options.dryRun ? ' (dry run)' : ''}`);
+
+    return {
+      summary: {
+        dry_run: !!options.dryRun,
+        groups: merges.length,
+        articles_merged: merged.size
+      },
+      merges
+    };
+  }
+}
+
+module.exports = new VersionService();
@@ -0,0 +1,119 @@
+/**
+ * Author name normalization. Google Scholar lists authors as "GE Hinton",
+ * searches and profiles use "Geoffrey Hinton"; both reduce to the canonical
+ * form surname + initials ("hinton ge" / "hinton g")
+ */
+
+// Lowercase words that belong to the surname ("L van der Maaten")
+const SURNAME_PARTICLES = ['al', 'bin', 'da', 'de', 'del', 'della', 'den', 'der', 'di', 'dos', 'du', 'la', 'le', 'ten', 'ter', 'van', 'von'];
+
+// Generational suffixes dropped before the surname is taken
+const SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv'];
+
+/**
+ * Split a name into surname, initials and first name
+ * Examples: "GE Hinton" -> { surname: "hinton", initials: "ge", firstName: null }
+ *           "Geoffrey E. Hinton" -> { surname: "hinton", initials: "ge", firstName: "geoffrey" }
+ *           "Hinton, Geoffrey" -> { surname: "hinton", initials: "g", firstName: "geoffrey" }
+ * @param {string} name - Author name
+ * @returns {object|null} - { surname, initials, firstName, key }, or null for names without latin letters
+ */
+const parseName = (name) => {
+  if (!name) return null;
+
+  const clean = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/(…|\.\.\.)/g, '')
+    .replace(/\./g, ' ')
+    .replace(/[^A-Za-z\s,'-]/g, ' ');
+
+  let surnameTokens;
+  let givenTokens;
+
+  if (clean.includes(',')) {
+    // "Surname, Given"
+    const [surnamePart, ...givenParts] = clean.split(',');
+    surnameTokens = surnamePart.split(/\s+/).filter(token => token);
+    givenTokens = givenParts.join(' ').split(/\s+/).filter(token => token);
+  } else {
+    const tokens = clean.split(/\s+/).filter(token => token);
+    while (tokens.length > 1 && SUFFIXES.includes(tokens[tokens.length - 1].toLowerCase())) {
+      tokens.pop();
+    }
+
+    let surnameStart = tokens.length - 1;
+    while (surnameStart > 0 && SURNAME_PARTICLES.includes(tokens[surnameStart - 1].toLowerCase())) {
+      surnameStart--;
+    }
+    surnameTokens = tokens.slice(surnameStart);
+    givenTokens = tokens.slice(0, surnameStart);
+  }
+
+  const surname = surnameTokens.join('').toLowerCase().replace(/[^a-z]/g, '');
+  if (!surname) return null;
+
+  let initials = '';
+  let firstName = null;
+
+  givenTokens.forEach((token, index) => {
+    // Scholar's run-together initials: "GE", "Y"
+    if (token.length === 1 || /^[A-Z]{2,3}$/.test(token)) {
+      initials += token.toLowerCase();
+      return;
+    }
+
+    const parts = token.toLowerCase().split('-').filter(part => /[a-z]/.test(part));
+    initials += parts.map(part => part.replace(/[^a-z]/g, '')[0]).join('');
+    if (index === 0) firstName = token.toLowerCase().replace(/[^a-z-]/g, '');
+  });
+
+  return {
+    surname,
+    initials,
+    firstName,
+    key: initials ? `${surname} ${initials}` : surname
+  };
+};
+
+/**
+ * Canonical form of a name (surname + initials), stored as authors.name_key
+ * @param {string} name - Author name
+ * @returns {string} - Name key, or an empty string when the name cannot be parsed
+ */
+const nameKey = (name) => {
+  const parsed = parseName(name);
+  return parsed ? parsed.key.substring(0, 255) : '';
+};
+
+/**
+ * Whether two names may refer to the same person: same surname, the initials of
+ * one start the initials of the other, and written-out first names agree
+ * ("G Hinton", "GE Hinton" and "Geoffrey Hinton" match; "Gerald Hinton" does not
+ * match "Geoffrey Hinton"). Names without initials never match
+ * @param {object} a - parseName() result
+ * @param {object} b - parseName() result
+ * @returns {boolean} - True when compatible
+ */
+const isCompatible = (a, b) => {
+  if (!a || !b || a.surname !== b.surname || !a.initials || !b.initials) {
+    return false;
+  }
+
+  if (!a.initials.startsWith(b.initials) && !b.initials.startsWith(a.initials)) {
+    return false;
+  }
+
+  if (a.firstName && b.firstName) {
+    // "Geoff" and "Geoffrey" are the same first name
+    return a.firstName.startsWith(b.firstName) || b.firstName.startsWith(a.firstName);
+  }
+
+  return true;
+};
+
+module.exports = {
+  parseName,
+  nameKey,
+  isCompatible
+};
@@ -0,0 +1,93 @@
+const { CircuitOpenError } = require('./serpApiErrors');
+
+/**
+ * Circuit Breaker - Short-circuits calls to a failing dependency.
+ * closed: calls go through; after `failureThreshold` consecutive failures it opens.
+ * open: calls fail at once until `cooldownMs` has passed.
+ * half_open: one trial call is let through; success closes the circuit, failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} options - { failureThreshold, cooldownMs }
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Throw when calls are currently short-circuited
+   * @throws {CircuitOpenError} - While open, or while a half-open trial is running
+   */
+  assertClosed() {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + this.cooldownMs - Date.now();
+      if (remaining > 0) {
+        throw new CircuitOpenError(remaining);
+      }
+      this.state = 'half_open';
+      console.log('🔌 SerpAPI circuit half-open, sending a trial request');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.cooldownMs);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log('🔌 SerpAPI circuit closed');
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed call
+   * @param {Error} error - Failure
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastError = { code: error.code || null, message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔌 SerpAPI circuit opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Current breaker state for health checks
+   * @returns {object} - { state, consecutive_failures, failure_threshold, opened_at, retry_at, last_error }
+   */
+  getState() {
+    const open = this.state === 'open';
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      opened_at: open ? new Date(this.openedAt).toISOString() : null,
+      retry_at: open ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      last_error: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
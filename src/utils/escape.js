@@ -0,0 +1,32 @@
+/**
+ * Escaping helpers for generated XML and HTML
+ */
+
+/**
+ * Escape text for XML output, dropping characters XML 1.0 does not allow
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => String(text)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = {
+  escapeXml,
+  escapeHtml
+};
@@ -0,0 +1,55 @@
+/**
+ * Pagination helpers shared by the listing endpoints
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse page/limit query parameters
+ * @param {object} query - Express request query
+ * @param {object} options - Defaults ({ defaultLimit, maxLimit })
+ * @returns {object} - { page, limit, offset }
+ */
+const parsePagination = (query, options = {}) => {
+  const defaultLimit = options.defaultLimit || DEFAULT_LIMIT;
+  const maxLimit = options.maxLimit || MAX_LIMIT;
+
+  let page = parseInt(query.page) || 1;
+  let limit = parseInt(query.limit) || defaultLimit;
+
+  if (page < 1) page = 1;
+  if (limit < 1) limit = defaultLimit;
+  if (limit > maxLimit) limit = maxLimit;
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit
+  };
+};
+
+/**
+ * Build pagination metadata for a response
+ * @param {number} total - Total matching records
+ * @param {number} page - Current page (1-indexed)
+ * @param {number} limit - Page size
+ * @returns {object} - Pagination metadata
+ */
+const buildPaginationMeta = (total, page, limit) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    total,
+    page,
+    limit,
+    total_pages: totalPages,
+    has_next: page < totalPages,
+    has_prev: page > 1
+  };
+};
+
+module.exports = {
+  parsePagination,
+  buildPaginationMeta
+};
@@ -0,0 +1,170 @@
+/**
+ * Typed SerpAPI errors. Each class carries the HTTP status answered to API
+ * clients, a stable code, and whether the request may succeed when retried
+ */
+class SerpApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - { status, code, retryable, retryAfterMs, upstreamFailure }
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = options.status || 502;
+    this.code = options.code || 'SERPAPI_ERROR';
+    this.retryable = !!options.retryable;
+    this.retryAfterMs = options.retryAfterMs ?? null;
+    // Counts towards opening the circuit breaker (SerpAPI itself is failing)
+    this.upstreamFailure = options.upstreamFailure !== undefined ? options.upstreamFailure : true;
+  }
+}
+
+class RateLimitedError extends SerpApiError {
+  constructor(message, retryAfterMs = null) {
+    super(`SerpAPI rate limit exceeded: ${message}`, { status: 503, code: 'SERPAPI_RATE_LIMITED', retryable: true, retryAfterMs });
+  }
+}
+
+class InvalidApiKeyError extends SerpApiError {
+  constructor(message) {
+    super(`SerpAPI rejected the API key: ${message}`, { status: 502, code: 'SERPAPI_INVALID_KEY' });
+  }
+}
+
+class QuotaExhaustedError extends SerpApiError {
+  constructor(message) {
+    super(`SerpAPI account has no searches left: ${message}`, { status: 503, code: 'SERPAPI_QUOTA_EXHAUSTED' });
+  }
+}
+
+class TimeoutError extends SerpApiError {
+  constructor(message) {
+    super(`SerpAPI request timed out: ${message}`, { status: 504, code: 'SERPAPI_TIMEOUT', retryable: true });
+  }
+}
+
+class ServerError extends SerpApiError {
+  constructor(message, retryAfterMs = null) {
+    super(`SerpAPI server error: ${message}`, { status: 502, code: 'SERPAPI_SERVER_ERROR', retryable: true, retryAfterMs });
+  }
+}
+
+class NetworkError extends SerpApiError {
+  constructor(message) {
+    super(`Network Error: ${message}`, { status: 503, code: 'SERPAPI_NETWORK_ERROR', retryable: true });
+  }
+}
+
+class CircuitOpenError extends SerpApiError {
+  constructor(retryAfterMs) {
+    super(`SerpAPI circuit breaker is open after repeated failures, retry in ${Math.ceil(retryAfterMs / 1000)}s`, {
+      status: 503,
+      code: 'SERPAPI_CIRCUIT_OPEN',
+      retryAfterMs,
+      upstreamFailure: false
+    });
+  }
+}
+
+class FixtureNotFoundError extends SerpApiError {
+  constructor(callType, file) {
+    super(`No recorded ${callType} response (${file}); record it with SCHOLAR_PROVIDER=record`, {
+      status: 502,
+      code: 'FIXTURE_NOT_FOUND',
+      upstreamFailure: false
+    });
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} - Delay in milliseconds or null when absent/invalid
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Turn an axios error into a typed SerpAPI error
+ * @param {Error} error - Error thrown by axios
+ * @returns {SerpApiError} - Classified error
+ */
+const classifyAxiosError = (error) => {
+  if (!error.response) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+      return new TimeoutError(error.message);
+    }
+    return new NetworkError(error.message);
+  }
+
+  const { status, headers = {}, data } = error.response;
+  const message = (data && data.error) || error.message;
+  const retryAfterMs = parseRetryAfter(headers['retry-after']);
+
+  if (status === 401 || status === 403 || /invalid api key/i.test(message)) {
+    return new InvalidApiKeyError(message);
+  }
+
+  if (status === 429) {
+    // SerpAPI also answers 429 when the plan's searches are used up
+    return /run out of searches|plan|quota/i.test(message)
+      ? new QuotaExhaustedError(message)
+      : new RateLimitedError(message, retryAfterMs);
+  }
+
+  if (status >= 500) {
+    return new ServerError(message, retryAfterMs);
+  }
+
+  return new SerpApiError(`SerpAPI Error: ${message}`, { upstreamFailure: false });
+};
+
+/**
+ * Whether an error payload only reports that the query matched nothing, as
+ * SerpAPI answers for a page past the last one. Such responses are empty results
+ * Example: "Google hasn't returned any results for this query."
+ * @param {string} message - The "error" field of the response
+ * @returns {boolean} - True for empty results
+ */
+const isEmptyResultPayload = (message) => /hasn['\u2019]t returned any results/i.test(message);
+
+/**
+ * Turn an error payload of a successful response into a typed SerpAPI error
+ * @param {string} message - The "error" field of the response
+ * @returns {SerpApiError} - Classified error
+ */
+const classifyPayloadError = (message) => {
+  if (/invalid api key/i.test(message)) {
+    return new InvalidApiKeyError(message);
+  }
+  if (/run out of searches/i.test(message)) {
+    return new QuotaExhaustedError(message);
+  }
+  // Other query-level errors, e.g. unsupported parameters
+  return new SerpApiError(`SerpAPI Error: ${message}`, { upstreamFailure: false });
+};
+
+module.exports = {
+  SerpApiError,
+  RateLimitedError,
+  InvalidApiKeyError,
+  QuotaExhaustedError,
+  TimeoutError,
+  ServerError,
+  NetworkError,
+  CircuitOpenError,
+  FixtureNotFoundError,
+  parseRetryAfter,
+  isEmptyResultPayload,
+  classifyAxiosError,
+  classifyPayloadError
+};
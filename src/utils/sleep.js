@@ -0,0 +1,14 @@
+/**
+ * Delay helper for pacing SerpAPI requests and retries
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  sleep
+};